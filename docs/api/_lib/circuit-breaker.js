@@ -0,0 +1,42 @@
+// Circuit breaker for upstream models. After `failureThreshold` consecutive failures a
+// model's circuit opens and it is skipped for `cooldownMs`; the first request after the
+// cooldown is a trial (half-open) that either closes the circuit or opens it again.
+// State lives in a pluggable store (see stores/index.js) like the rate limits.
+
+export function createCircuitBreaker({ store, failureThreshold = 3, cooldownMs = 60000, now = () => Date.now() }) {
+  const read = async (key) => (await store.get(key)) || { failures: 0, openedAt: null };
+
+  return {
+    failureThreshold,
+    cooldownMs,
+
+    // { state: 'closed' | 'open' | 'half_open', retryAfter } for one upstream
+    async status(key) {
+      const { openedAt } = await read(key);
+      if (openedAt === null) return { state: 'closed', retryAfter: 0 };
+
+      const remaining = openedAt + cooldownMs - now();
+      return remaining > 0
+        ? { state: 'open', retryAfter: Math.ceil(remaining / 1000) }
+        : { state: 'half_open', retryAfter: 0 };
+    },
+
+    async allows(key) {
+      return (await this.status(key)).state !== 'open';
+    },
+
+    async recordSuccess(key) {
+      await store.delete(key);
+    },
+
+    async recordFailure(key) {
+      const state = await read(key);
+      const failures = state.failures + 1;
+      // A failed trial re-opens straight away; otherwise open once the threshold is reached
+      const opens = state.openedAt !== null || failures >= failureThreshold;
+      await store.set(key, { failures, openedAt: opens ? now() : null }, { ttlMs: cooldownMs * 10 });
+    }
+  };
+}
+
+export default createCircuitBreaker;
@@ -0,0 +1,16 @@
+// Stable, non-reversible identifier for the visitor behind a request.
+// IPs are hashed so file-backed stores never hold raw addresses.
+
+import { createHash } from 'node:crypto';
+
+export function getClientId(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  const ip = (Array.isArray(forwarded) ? forwarded[0] : forwarded)?.split(',')[0].trim() ||
+    req.headers?.['x-real-ip'] ||
+    req.socket?.remoteAddress ||
+    'unknown';
+
+  return createHash('sha256').update(ip).digest('hex').slice(0, 16);
+}
+
+export default getClientId;
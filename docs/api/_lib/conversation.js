@@ -0,0 +1,99 @@
+// Validation and shaping of the conversation sent to the model.
+// The visitor's message and history are kept as separate role-tagged turns (never
+// concatenated into the system prompt), so a message can't impersonate another role.
+
+import { DEFAULT_MODE, MODE_NAMES, isResponseMode } from '../../js/shared/response-modes.js';
+
+export const LIMITS = {
+  maxMessageLength: 2000,     // characters in the new message
+  maxHistoryContentLength: 4000, // characters in any single history entry
+  maxHistoryEntries: 50,      // entries accepted in the request body
+  maxSummaryLength: 1500,     // characters in the running summary (see summarizer.js)
+  summarizeAbove: 16,         // unsummarized entries allowed before the oldest are folded into the summary
+  historyWindow: 10           // entries kept verbatim after folding
+};
+
+const ALLOWED_ROLES = new Set(['user', 'assistant']);
+
+// Returns { message, history, summary, mode, stream } on success or { error } describing the first problem found
+export function validateChatRequest(body, limits = LIMITS) {
+  const { message, conversationHistory = [], summary = '', mode = DEFAULT_MODE, stream = false } = body || {};
+
+  if (typeof message !== 'string' || !message.trim()) {
+    return { error: 'Message is required' };
+  }
+  if (message.length > limits.maxMessageLength) {
+    return { error: `Message must be at most ${limits.maxMessageLength} characters` };
+  }
+
+  if (typeof summary !== 'string') {
+    return { error: 'summary must be a string' };
+  }
+  if (summary.length > limits.maxSummaryLength) {
+    return { error: `summary must be at most ${limits.maxSummaryLength} characters` };
+  }
+
+  // Anything but a real boolean would switch the response format on a truthy string like "false"
+  if (typeof stream !== 'boolean') {
+    return { error: 'stream must be a boolean' };
+  }
+
+  // Only allowlisted modes: the name selects prompt text and token limits server-side
+  if (!isResponseMode(mode)) {
+    return { error: `mode must be one of: ${MODE_NAMES.join(', ')}` };
+  }
+
+  if (!Array.isArray(conversationHistory)) {
+    return { error: 'conversationHistory must be an array' };
+  }
+  if (conversationHistory.length > limits.maxHistoryEntries) {
+    return { error: `conversationHistory must have at most ${limits.maxHistoryEntries} entries` };
+  }
+
+  for (const [index, entry] of conversationHistory.entries()) {
+    if (!entry || typeof entry !== 'object') {
+      return { error: `conversationHistory[${index}] must be an object` };
+    }
+    if (!ALLOWED_ROLES.has(entry.role)) {
+      return { error: `conversationHistory[${index}].role must be "user" or "assistant"` };
+    }
+    if (typeof entry.content !== 'string') {
+      return { error: `conversationHistory[${index}].content must be a string` };
+    }
+    if (entry.content.length > limits.maxHistoryContentLength) {
+      return { error: `conversationHistory[${index}].content must be at most ${limits.maxHistoryContentLength} characters` };
+    }
+  }
+
+  return {
+    message: message.trim(),
+    history: conversationHistory.map(({ role, content }) => ({ role, content })),
+    summary: summary.trim(),
+    mode,
+    stream
+  };
+}
+
+// Turn validated history plus the new message into alternating user/assistant turns.
+// Consecutive turns from the same role are merged and the conversation always opens
+// with a user turn, which is what the chat APIs expect. A running summary of older turns
+// leads the conversation as a user turn, so it carries no more authority than the visitor's own words.
+export function buildTurns(history, message, { window = LIMITS.summarizeAbove, summary = '' } = {}) {
+  const turns = [];
+  const lead = summary ? [{ role: 'user', content: `(Summary of our earlier conversation: ${summary})` }] : [];
+
+  for (const { role, content } of [...lead, ...history.slice(-window), { role: 'user', content: message }]) {
+    if (!content.trim()) continue;
+
+    const previous = turns[turns.length - 1];
+    if (previous && previous.role === role) {
+      previous.content += `\n\n${content}`;
+    } else if (turns.length || role === 'user') {
+      turns.push({ role, content });
+    }
+  }
+
+  return turns;
+}
+
+export default { LIMITS, validateChatRequest, buildTurns };
@@ -0,0 +1,131 @@
+// Post-generation check of what a reply claims about Julian.
+// Sentences about Julian that name an organization, publication, award or date are treated as claims;
+// every name and year in a claim must appear in the knowledge base (or the site notes retrieved for the
+// question), otherwise the claim is reported as unverified. Deterministic and local: no extra model call.
+// Streamed text has already been shown by the time it can be checked, so claims are flagged in the
+// reply metadata rather than rewritten, and the browser marks them.
+
+import { tokenize } from './retrieval/bm25.js';
+
+// Sentences in the reply treated as being about Julian: his name or a third-person pronoun. The persona
+// refers to Julian in the third person, so "I", "my" and "me" are its own asides ("I read a paper on
+// that"), not claims about him.
+const ABOUT_JULIAN = /\b(julian|juliver|he|his|him|himself)\b/i;
+
+// Claim categories, checked in order; the first that matches names the claim
+const CLAIM_PATTERNS = {
+  award: /\b(awards?|awarded|prizes?|won(?!')|wins?|winner|fellowships?|scholarships?|medals?|honou?rs?|honou?red|grants?|recogni[sz]ed)\b/i,
+  publication: /\b(papers?|publish\w*|publications?|journals?|conferences?|proceedings|preprints?|arxiv|cited|citations?|co-?authored|authored|first-author)\b/i,
+  organization: /\b(co-?founded|founded|founder|works? (at|for)|worked (at|for)|interned?|internship|joined|employed|member|lab|laborator(y|ies)|compan(y|ies)|startup|organi[sz]ation|universit(y|ies)|institute|studied|graduated|degree|attended|alumn\w*|phd)\b/i
+};
+
+// Outcome words a publication claim may only use if the knowledge base does
+const PUBLICATION_STATUS = /\b(published|accepted|presented|appeared|best paper)\b/i;
+
+// Capitalized runs ("Longhorn Neurotech", "University of Texas at Austin", "NeurIPS")
+const NAME_PATTERN = /[A-Z][A-Za-z0-9&'.-]*(?:\s+(?:(?:of|at|for|and|the|de)\s+)*[A-Z][A-Za-z0-9&'.-]*)*/g;
+const YEAR_PATTERN = /\b(?:19|20)\d{2}\b/g;
+
+// Descriptive words that don't identify anything on their own ("Stanford University" hinges on "Stanford")
+const GENERIC_TERMS = new Set(tokenize([
+  'ai ml llm llms research researcher science sciences learning machine neural network networks deep',
+  'reinforcement model models data lab laboratory university institute school college department',
+  'center centre company team group conference journal paper award prize fellowship program',
+  'ceo cto director head senior junior lead chief'
+].join(' ')));
+
+// Sentence boundaries, not counting abbreviations like "St. Louis", "C. elegans" or "Dr."
+const SENTENCE_BREAK = /(?<=[.!?])(?<!\b(?:[A-Z]|St|Dr|Mr|Ms|Mrs|Jr|Sr|vs|etc|e\.g|i\.e)\.)\s+(?=["'(\[]?[A-Z0-9])|\n+/;
+
+// Every string in a (nested) object, for building the evidence text
+function collectText(value) {
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value)) return value.flatMap(collectText);
+  if (value && typeof value === 'object') return Object.values(value).flatMap(collectText);
+  return [];
+}
+
+// Reply text reduced to plain sentences: markdown markers and [n] citations removed
+export function splitSentences(text) {
+  return (text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/\s*\[\d+\]/g, '')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`#>]+/g, '')
+    .split(SENTENCE_BREAK)
+    .map(sentence => sentence.replace(/^\s*[-+•]\s+/, '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// Names and years in a sentence; a lone capitalized first word is just the start of the sentence
+export function extractTerms(sentence) {
+  const names = [...sentence.matchAll(NAME_PATTERN)]
+    .filter(match => match.index > 0 || /\s/.test(match[0]) || /^[A-Z0-9]{2,}$/.test(match[0]))
+    .map(match => match[0].replace(/['’]s$/, '').replace(/[.'-]+$/, ''));
+  const years = sentence.match(YEAR_PATTERN) || [];
+  return { names, years };
+}
+
+// Search terms the claims are checked against: the knowledge base plus the retrieved site notes
+export function buildEvidence(info, sources = []) {
+  const text = [
+    ...collectText(info),
+    ...sources.flatMap(source => [source.title || '', source.text || ''])
+  ].join(' ');
+  return { terms: new Set(tokenize(text)), text: text.toLowerCase() };
+}
+
+// Parts of a claim the evidence doesn't back up
+function unsupportedTerms(sentence, category, evidence) {
+  const { names, years } = extractTerms(sentence);
+  const missing = [];
+
+  names.forEach(name => {
+    const distinctive = tokenize(name).filter(term => !GENERIC_TERMS.has(term));
+    if (distinctive.some(term => !evidence.terms.has(term))) missing.push(name);
+  });
+  years.forEach(year => {
+    if (!evidence.terms.has(year)) missing.push(year);
+  });
+
+  // "Published at NeurIPS" is a different claim from "under review at NeurIPS"
+  const status = category === 'publication' && sentence.match(PUBLICATION_STATUS);
+  if (status && !evidence.text.includes(status[0].toLowerCase())) missing.push(status[0]);
+
+  // An award with nothing named in the knowledge base ("he has won several awards")
+  if (category === 'award' && !names.length && !years.length) {
+    const trigger = sentence.match(CLAIM_PATTERNS.award)[0];
+    if (!tokenize(trigger).every(term => evidence.terms.has(term))) missing.push(trigger);
+  }
+
+  return [...new Set(missing)];
+}
+
+// Category of a sentence's claim, or null if it makes none about Julian
+export function classifyClaim(sentence) {
+  if (!ABOUT_JULIAN.test(sentence)) return null;
+  const category = Object.keys(CLAIM_PATTERNS).find(name => CLAIM_PATTERNS[name].test(sentence));
+  if (category) return category;
+  return sentence.match(YEAR_PATTERN) ? 'date' : null;
+}
+
+// Check a reply against the knowledge base.
+// Returns { checked, unverified: [{ claim, category, terms }] } where `checked` counts the claims found
+// and `terms` lists the names, years or outcomes that couldn't be found.
+export function checkFacts(text, { info, sources = [] } = {}) {
+  const evidence = buildEvidence(info, sources);
+  let checked = 0;
+  const unverified = [];
+
+  splitSentences(text).forEach(sentence => {
+    const category = classifyClaim(sentence);
+    if (!category) return;
+    checked++;
+    const terms = unsupportedTerms(sentence, category, evidence);
+    if (terms.length) unverified.push({ claim: sentence, category, terms });
+  });
+
+  return { checked, unverified };
+}
+
+export default checkFacts;
@@ -0,0 +1,121 @@
+// Visitor feedback on JULIVER.AI answers: validation and storage.
+// Each entry keeps the exchange with the prompt version and model behind it, so a flagged answer can be
+// traced to the prompt that produced it. Entries live in a key-value store (see stores/index.js: a JSON
+// file locally, KV when deployed) under `entry:<id>`, with an `index` key listing ids oldest first.
+
+import { LIMITS } from './conversation.js';
+import { isResponseMode } from '../../js/shared/response-modes.js';
+
+export const FEEDBACK_LIMITS = {
+  maxCommentLength: 1000,
+  maxQuestionLength: LIMITS.maxMessageLength,
+  maxAnswerLength: 8000,
+  maxLabelLength: 100,      // prompt version, provider and model names
+  maxEntries: 5000,         // oldest entries are dropped beyond this
+  retentionDays: 180
+};
+
+export const RATINGS = ['up', 'down'];
+
+const isShortString = (value, max) => typeof value === 'string' && value.length <= max;
+
+// Returns { feedback } on success or { error } describing the first problem found
+export function validateFeedback(body, limits = FEEDBACK_LIMITS) {
+  const { id, rating, comment = '', question, answer, promptVersion, model, mode, refused = false } = body || {};
+
+  if (!RATINGS.includes(rating)) {
+    return { error: `rating must be one of: ${RATINGS.join(', ')}` };
+  }
+  if (id !== undefined && !(isShortString(id, 64) && /^[\w-]+$/.test(id))) {
+    return { error: 'id must be a feedback id' };
+  }
+  if (!isShortString(comment, limits.maxCommentLength)) {
+    return { error: `comment must be a string of at most ${limits.maxCommentLength} characters` };
+  }
+  if (!isShortString(question, limits.maxQuestionLength) || !question.trim()) {
+    return { error: `question must be a non-empty string of at most ${limits.maxQuestionLength} characters` };
+  }
+  if (!isShortString(answer, limits.maxAnswerLength) || !answer.trim()) {
+    return { error: `answer must be a non-empty string of at most ${limits.maxAnswerLength} characters` };
+  }
+  // Input-guard refusals never reached a prompt, so they have no version or model
+  if (promptVersion !== undefined && promptVersion !== null && !isShortString(promptVersion, limits.maxLabelLength)) {
+    return { error: 'promptVersion must be a string' };
+  }
+  if (model !== undefined && model !== null &&
+      !(isShortString(model.provider, limits.maxLabelLength) && isShortString(model.model, limits.maxLabelLength))) {
+    return { error: 'model must be { provider, model }' };
+  }
+  if (mode !== undefined && mode !== null && !isResponseMode(mode)) {
+    return { error: 'mode must be a response mode' };
+  }
+  if (typeof refused !== 'boolean') {
+    return { error: 'refused must be a boolean' };
+  }
+
+  return {
+    feedback: {
+      ...(id ? { id } : {}),
+      rating,
+      comment: comment.trim(),
+      question,
+      answer,
+      promptVersion: promptVersion || null,
+      model: model ? { provider: model.provider, model: model.model } : null,
+      mode: mode || null,
+      refused
+    }
+  };
+}
+
+export function createFeedbackStore({ store, limits = FEEDBACK_LIMITS, now = () => Date.now(), newId = () => crypto.randomUUID() }) {
+  const ttlMs = limits.retentionDays * 24 * 60 * 60 * 1000;
+  const entryKey = (id) => `entry:${id}`;
+
+  // The index is read-modify-write; two submissions landing at the same instant on different
+  // instances can drop one id from it, which is acceptable for feedback
+  const addToIndex = async (id) => {
+    const ids = [...(await store.get('index') || []), id];
+    const dropped = ids.splice(0, Math.max(0, ids.length - limits.maxEntries));
+    await Promise.all(dropped.map(old => store.delete(entryKey(old))));
+    await store.set('index', ids, { ttlMs });
+  };
+
+  return {
+    // Save feedback from a visitor. Passing the id of their earlier feedback on the same answer
+    // updates its rating and comment (someone else's id starts a new entry).
+    async save(feedback, clientId) {
+      const existing = feedback.id ? await store.get(entryKey(feedback.id)) : undefined;
+      const timestamp = new Date(now()).toISOString();
+
+      if (existing && existing.clientId === clientId) {
+        const entry = { ...existing, rating: feedback.rating, comment: feedback.comment, updatedAt: timestamp };
+        await store.set(entryKey(entry.id), entry, { ttlMs });
+        return entry;
+      }
+
+      const { id: _ignored, ...fields } = feedback;
+      const entry = { id: newId(), createdAt: timestamp, updatedAt: timestamp, clientId, ...fields };
+      await store.set(entryKey(entry.id), entry, { ttlMs });
+      await addToIndex(entry.id);
+      return entry;
+    },
+
+    // Entries newest first, optionally only one rating and/or only those updated since a date
+    async list({ rating, since, limit = limits.maxEntries } = {}) {
+      const ids = (await store.get('index') || []).slice().reverse();
+      const entries = [];
+      for (const id of ids) {
+        if (entries.length >= limit) break;
+        const entry = await store.get(entryKey(id));
+        if (!entry) continue;
+        if (rating && entry.rating !== rating) continue;
+        if (since && entry.updatedAt < since) continue;
+        entries.push(entry);
+      }
+      return entries;
+    }
+  };
+}
+
+export default createFeedbackStore;
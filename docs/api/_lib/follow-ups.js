@@ -0,0 +1,57 @@
+// Suggested follow-up questions sent with each answer.
+// Ranks the shared question bank against the exchange with the same BM25 scoring as retrieval,
+// so suggestions stay on topic without another model call.
+
+import { createBM25Index, tokenize } from './retrieval/bm25.js';
+import { QUESTION_BANK } from '../../js/shared/questions.js';
+
+export const FOLLOW_UP_LIMITS = {
+  min: 2,
+  max: 3,
+  // Questions sharing this fraction of terms with one already asked count as repeats
+  repeatOverlap: 0.6,
+  // Ranked questions scoring below this fraction of the best match are too loosely related
+  relativeScore: 0.3
+};
+
+let index = null;
+
+function getIndex() {
+  if (!index) {
+    index = createBM25Index(QUESTION_BANK.map(entry => ({ ...entry, text: `${entry.question} ${entry.keywords}` })));
+  }
+  return index;
+}
+
+// Share of a candidate's terms that also appear in an earlier question
+function overlap(candidate, asked) {
+  const terms = new Set(tokenize(candidate));
+  if (!terms.size) return 0;
+  const askedTerms = new Set(tokenize(asked));
+  return [...terms].filter(term => askedTerms.has(term)).length / terms.size;
+}
+
+// 2–3 questions related to the latest exchange, one per topic, skipping anything the visitor already asked
+export function suggestFollowUps({ message, reply = '', history = [] }, limits = FOLLOW_UP_LIMITS) {
+  const asked = [message, ...history.filter(entry => entry.role === 'user').map(entry => entry.content)];
+  const isRepeat = (entry) => asked.some(question => overlap(entry.question, question) >= limits.repeatOverlap);
+
+  const results = getIndex().search(`${message} ${reply}`, { limit: QUESTION_BANK.length });
+  const cutoff = (results[0]?.score || 0) * limits.relativeScore;
+  const ranked = results.filter(({ score }) => score >= cutoff).map(({ doc }) => doc);
+
+  // Related questions first, then the rest of the bank in order, so there are always enough
+  const picks = [];
+  const topics = new Set();
+  for (const entry of [...ranked, ...QUESTION_BANK]) {
+    if (picks.length >= limits.max) break;
+    if (topics.has(entry.topic) || isRepeat(entry)) continue;
+    // Padding from the unranked bank stops once the minimum is met
+    if (picks.length >= limits.min && !ranked.includes(entry)) break;
+    topics.add(entry.topic);
+    picks.push(entry.question);
+  }
+  return picks;
+}
+
+export default suggestFollowUps;
@@ -0,0 +1,32 @@
+// Deny list of requests JULIVER.AI won't engage with, matched as whole words, case-insensitively.
+// DEFAULT_DENY_LIST covers weapons, malicious software and targeted harm; INPUT_DENY_LIST adds more terms.
+
+export const DEFAULT_DENY_LIST = [
+  'build a bomb', 'make a bomb', 'make explosives', 'pipe bomb', 'nerve agent', 'bioweapon',
+  'synthesize meth', 'write malware', 'ransomware', 'keylogger', 'ddos attack',
+  'kill yourself', 'dox', 'doxx', 'swatting'
+];
+
+const REFUSAL = 'That is territory I won\'t enter. Some implications are profound enough to leave alone. ' +
+  'I\'m glad to talk about Julian\'s work on neurotechnology and AI safety instead.';
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export function createDenyListDetector({ terms = DEFAULT_DENY_LIST } = {}) {
+  const phrases = [...new Set(terms.map(term => term.trim().toLowerCase()).filter(Boolean))];
+  // Words may be separated by any run of whitespace or punctuation ("make-a  bomb")
+  const pattern = phrases.length
+    ? new RegExp(`\\b(${phrases.map(phrase => phrase.split(/\s+/).map(escape).join('[\\s\\W_]+')).join('|')})\\b`, 'i')
+    : null;
+
+  return {
+    name: 'deny-list',
+
+    inspect(message) {
+      const match = pattern && message.match(pattern);
+      return match ? { action: 'refuse', reason: `denied term "${match[1].toLowerCase()}"`, reply: REFUSAL } : null;
+    }
+  };
+}
+
+export default createDenyListDetector;
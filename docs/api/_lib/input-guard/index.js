@@ -0,0 +1,92 @@
+// Input guard pipeline for incoming chat messages.
+//
+// Every detector exposes the same interface:
+//   name
+//   inspect(message) -> null                                   (nothing found)
+//                     | { action: 'sanitize', reason, message } (pass on a cleaned message)
+//                     | { action: 'refuse', reason, reply }     (answer with `reply`, in the persona's voice)
+// Detectors run in order, each seeing the previous one's sanitized message; the first refusal stops the
+// pipeline and the model is never called.
+//
+// INPUT_GUARD_DETECTORS lists the detectors to run, in order (default: limits,deny-list,injection,pii).
+// INPUT_DENY_LIST adds comma-separated terms to the deny list.
+
+import { julianInfo } from '../../julian-info.js';
+import { createLimitsDetector } from './limits.js';
+import { createDenyListDetector, DEFAULT_DENY_LIST } from './deny-list.js';
+import { createInjectionDetector } from './injection.js';
+import { createPiiDetector } from './pii.js';
+
+const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const factories = {
+  limits: () => createLimitsDetector(),
+  'deny-list': (env) => createDenyListDetector({ terms: [...DEFAULT_DENY_LIST, ...list(env.INPUT_DENY_LIST)] }),
+  injection: () => createInjectionDetector(),
+  pii: () => createPiiDetector({ contact: julianInfo.social.platforms.email })
+};
+
+// Stands in for a refused message in the history
+const WITHHELD = '(message withheld by the input guard)';
+
+// Assistant turns in the history are the browser's copy too, so a forged one could carry role markers or
+// injected instructions; the length, deny-list and PII checks are about what visitors ask and are skipped
+const ASSISTANT_DETECTORS = ['injection'];
+
+export const DEFAULT_DETECTORS = ['limits', 'deny-list', 'injection', 'pii'];
+
+export function createInputGuard({ detectors }) {
+  const assistantDetectors = detectors.filter(detector => ASSISTANT_DETECTORS.includes(detector.name));
+
+  const run = (pipeline, message) => {
+    const flags = [];
+    let current = message;
+    for (const detector of pipeline) {
+      const verdict = detector.inspect(current);
+      if (!verdict) continue;
+
+      flags.push({ detector: detector.name, action: verdict.action, reason: verdict.reason });
+      if (verdict.action === 'refuse') {
+        return { allowed: false, message: current, refusal: verdict.reply, flags };
+      }
+      current = verdict.message;
+    }
+    return { allowed: true, message: current, flags };
+  };
+  const inspect = (message) => run(detectors, message);
+
+  return {
+    detectors: detectors.map(detector => detector.name),
+
+    // Returns { allowed, message, refusal?, flags: [{ detector, action, reason }] }
+    inspect,
+
+    // The browser sends history back with every request, so earlier visitor turns get the same screening
+    // and assistant turns the injection checks. Refused turns are replaced by a placeholder rather than
+    // dropped, keeping positions in step with the browser's copy (the summary bookkeeping counts entries).
+    inspectHistory(history) {
+      return history.map(entry => {
+        const screened = run(entry.role === 'user' ? detectors : assistantDetectors, entry.content);
+        return { ...entry, content: screened.allowed ? screened.message : WITHHELD };
+      });
+    }
+  };
+}
+
+let inputGuard = null;
+
+export function getInputGuard(env = process.env) {
+  if (!inputGuard) {
+    const names = list(env.INPUT_GUARD_DETECTORS).map(name => name.toLowerCase());
+    const unknown = names.filter(name => !factories[name]);
+    if (unknown.length) {
+      throw new Error(`Unknown input guard detector "${unknown[0]}". Expected some of: ${Object.keys(factories).join(', ')}`);
+    }
+    inputGuard = createInputGuard({
+      detectors: (names.length ? names : DEFAULT_DETECTORS).map(name => factories[name](env))
+    });
+  }
+  return inputGuard;
+}
+
+export default getInputGuard;
@@ -0,0 +1,61 @@
+// Prompt-injection heuristics.
+// Each rule that matches adds its weight; a message reaching the threshold ("ignore previous instructions",
+// "reveal your system prompt", persona swaps) is refused. Fake role markers and chat-template tokens
+// ("system:", "<|im_start|>", "[INST]") are stripped so the message can't pose as another turn.
+
+const RULES = [
+  {
+    reason: 'instruction override',
+    weight: 3,
+    pattern: /\b(ignore|disregard|forget|override|bypass|skip)\b[^.?!\n]{0,40}\b(previous|prior|above|earlier|preceding|all|your|the|system)\b[^.?!\n]{0,20}\b(instructions?|prompts?|rules|guidelines|directives|constraints|programming)\b/i
+  },
+  {
+    reason: 'prompt extraction',
+    weight: 3,
+    // Only the assistant's own prompt: "the instructions for his EEG headset" is an ordinary question
+    pattern: /\b(reveal|show|print|repeat|output|leak|dump|recite|what (is|are))\b[^.?!\n]{0,30}\b(your\s+(system\s+|hidden\s+|initial\s+|original\s+)?(prompt|instructions|configuration|guidelines)|the\s+(system|hidden|initial|original)\s+(prompt|instructions|configuration))\b/i
+  },
+  {
+    reason: 'persona override',
+    weight: 2,
+    pattern: /\byou are (now|no longer)\b|\bfrom now on,? (you|act|respond)\b|\bpretend (to be|you are|you're)\b|\b(roleplay|role-play) as\b|\bstop being juliver\b/i
+  },
+  {
+    reason: 'jailbreak keyword',
+    weight: 2,
+    pattern: /\b(DAN|do anything now|developer mode|jailbreak|jailbroken|unfiltered mode|no restrictions|without (any )?restrictions)\b/i
+  },
+  {
+    reason: 'injected instructions',
+    weight: 2,
+    pattern: /\bnew (instructions|rules|system prompt)\b|\b(system|admin) override\b/i
+  }
+];
+
+// Lines or tokens imitating another role or a chat template
+const ROLE_MARKERS = /^\s*(system|assistant|developer|model)\s*:\s*|<\|?\/?(im_start|im_end|system|endoftext|assistant|user)\|?>|\[\/?(INST|SYS)\]|<<\/?SYS>>|^#{2,}\s*(system|instructions?)\b:?/gim;
+
+const REFUSAL = 'I\'d rather not rewrite the architecture I\'m running on; my instructions stay where they are. ' +
+  'What I can offer is a conversation about Julian\'s research, neurotechnology or AI safety. Where would you like to begin?';
+
+export function createInjectionDetector({ threshold = 3, markerWeight = 1 } = {}) {
+  return {
+    name: 'injection',
+
+    inspect(message) {
+      const matched = RULES.filter(rule => rule.pattern.test(message));
+      const hasMarkers = message.search(ROLE_MARKERS) !== -1;
+      const score = matched.reduce((sum, rule) => sum + rule.weight, hasMarkers ? markerWeight : 0);
+      const reasons = [...matched.map(rule => rule.reason), ...(hasMarkers ? ['role markers'] : [])];
+
+      if (score >= threshold) return { action: 'refuse', reason: reasons.join(', '), reply: REFUSAL };
+      if (!hasMarkers) return null;
+
+      const stripped = message.replace(ROLE_MARKERS, '').trim();
+      if (!stripped) return { action: 'refuse', reason: reasons.join(', '), reply: REFUSAL };
+      return { action: 'sanitize', reason: reasons.join(', '), message: stripped };
+    }
+  };
+}
+
+export default createInjectionDetector;
@@ -0,0 +1,42 @@
+// Length and encoding limits.
+// Normalizes Unicode (NFKC folds full-width and stylized letters that would slip past the other detectors),
+// strips invisible and text-direction control characters and collapses long runs of one character.
+// Refuses messages still over the length limit, empty once cleaned, or carrying long encoded blobs
+// (base64, hex) that could smuggle instructions past the other detectors.
+
+import { LIMITS } from '../conversation.js';
+
+// Control characters other than tab and newline, soft hyphens, zero-width and bidi overrides, BOM
+const INVISIBLE = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u00AD\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+const REPLIES = {
+  tooLong: 'That is more than I can take in at once. Distill it to the question that matters most and I will give it proper attention.',
+  empty: 'That message arrived as static; nothing legible survived the trip. Try asking again in plain text.',
+  encoded: 'I don\'t decode opaque blobs of encoded text. If there\'s a question inside, ask it plainly and I\'ll engage with it.'
+};
+
+export function createLimitsDetector({ maxLength = LIMITS.maxMessageLength, maxRun = 20, maxEncodedRun = 200 } = {}) {
+  const repeatedRun = new RegExp(`(.)\\1{${maxRun},}`, 'gsu');
+  const encodedBlob = new RegExp(`[A-Za-z0-9+/=_-]{${maxEncodedRun},}`);
+
+  return {
+    name: 'limits',
+
+    inspect(message) {
+      const clean = message
+        .replace(LONE_SURROGATE, '')
+        .normalize('NFKC')
+        .replace(INVISIBLE, '')
+        .replace(repeatedRun, (_, char) => char.repeat(maxRun))
+        .trim();
+
+      if (!clean) return { action: 'refuse', reason: 'empty after normalization', reply: REPLIES.empty };
+      if (clean.length > maxLength) return { action: 'refuse', reason: `over ${maxLength} characters`, reply: REPLIES.tooLong };
+      if (encodedBlob.test(clean)) return { action: 'refuse', reason: 'encoded payload', reply: REPLIES.encoded };
+      return clean === message ? null : { action: 'sanitize', reason: 'normalized encoding', message: clean };
+    }
+  };
+}
+
+export default createLimitsDetector;
@@ -0,0 +1,80 @@
+// Private-information requests.
+// Julian's public profile (the `social` block and his city) is fair game; asking for anything beyond it
+// (home address, phone number, IDs, credentials, finances, health) is refused with the public contact instead.
+// The visitor's own phone, card and ID numbers are redacted before the message reaches the model.
+
+// Julian's (or the persona's) own details: "his password", "Julian's medical records", "your home address".
+// The bare words are common in questions about his work ("diagnosis of neurological disorders",
+// "a login for the lab cluster", "a salary in AI research"), so a term only counts when it is his.
+const OWNER = String.raw`\b(?:his|julian['’]?s|juliver['’]?s|your)\s+(?:(?:own|personal|private|real|current|exact|full|medical)\s+)?`;
+const owned = (terms) => new RegExp(`${OWNER}(?:${terms})\\b`, 'i');
+
+const PRIVATE_DETAILS = [
+  {
+    reason: 'home address',
+    patterns: [
+      owned(String.raw`(?:home|street|house|mailing|physical|residential)\s+address|address`),
+      /\bwhere exactly does (he|julian) live\b|\bwhat street does (he|julian) live on\b/i
+    ]
+  },
+  {
+    reason: 'phone number',
+    patterns: [owned(String.raw`(?:(?:phone|cell|mobile|telephone|whatsapp)\s+)?number(?!\s+of\b)`)]
+  },
+  {
+    reason: 'government ID',
+    patterns: [owned(String.raw`ssn|social security(?:\s+number)?|passport(?:\s+number)?|driver'?s\s+licen[cs]e|national\s+id`)]
+  },
+  {
+    reason: 'credentials',
+    patterns: [owned(String.raw`passwords?|passcodes?|logins?|credentials|api\s+keys?|secret\s+keys?|2fa(?:\s+codes?)?|otp`)]
+  },
+  {
+    reason: 'financial details',
+    patterns: [
+      owned(String.raw`(?:bank|credit\s+card|debit\s+card|card|account|routing)\s+(?:number|details|info)|bank\s+account|salary|net\s+worth|income`),
+      /\bhow much (money )?does (he|julian) (make|earn)\b/i
+    ]
+  },
+  {
+    reason: 'health details',
+    patterns: [
+      owned(String.raw`(?:medical|health)\s+(?:records|history|conditions?|information|issues|problems)|diagnos[ie]s|medications?|illness(?:es)?|disabilit(?:y|ies)`),
+      /\b(is|was|has) (he|julian)( been| ever been)? diagnosed\b|\b(he|julian) (was|has been|is) diagnosed\b/i
+    ]
+  }
+];
+
+// Visitor data the model never needs to see
+const REDACTIONS = [
+  { label: 'card number', pattern: /\b(?:\d[ -]?){13,19}\b/g },
+  { label: 'ID number', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { label: 'phone number', pattern: /(?<![\w+])(?:\+?\d{1,3}[ .-]?)?\(?\d{3}\)?[ .-]?\d{3}[ .-]?\d{4}\b/g }
+];
+
+export function createPiiDetector({ contact = '' } = {}) {
+  const reply = 'Julian keeps that side of his life private, and so do I. ' +
+    (contact ? `The public channels are open, though: you can reach him at ${contact}.` : 'His public profiles are linked on this site.');
+
+  return {
+    name: 'pii',
+
+    inspect(message) {
+      const detail = PRIVATE_DETAILS.find(({ patterns }) => patterns.some(pattern => pattern.test(message)));
+      if (detail) {
+        return { action: 'refuse', reason: `asked for ${detail.reason}`, reply };
+      }
+
+      const redacted = [];
+      const clean = REDACTIONS.reduce((text, { label, pattern }) => text.replace(pattern, () => {
+        redacted.push(label);
+        return `[redacted ${label}]`;
+      }), message);
+      return redacted.length
+        ? { action: 'sanitize', reason: `redacted ${[...new Set(redacted)].join(', ')}`, message: clean }
+        : null;
+    }
+  };
+}
+
+export default createPiiDetector;
@@ -0,0 +1,84 @@
+// Configured rate limiter, daily budget, model circuit breaker and response cache for the chat proxy.
+//
+//   RATE_LIMIT_BURST          requests a client may send in a burst (default 5)
+//   RATE_LIMIT_PER_MINUTE     sustained requests per client per minute (default 6)
+//   FEEDBACK_RATE_PER_MINUTE  feedback submissions per client per minute (default 10, same burst)
+//   DAILY_TOKEN_BUDGET        model tokens allowed per UTC day across all visitors (default 200000)
+//   CIRCUIT_FAILURE_THRESHOLD consecutive failures before a model is skipped (default 3)
+//   CIRCUIT_COOLDOWN_SECONDS  how long a failing model is skipped (default 60)
+//   RESPONSE_CACHE_TTL_SECONDS how long a cached answer is served (default 86400, 0 turns the cache off)
+//   RESPONSE_CACHE_MAX_ENTRIES cached answers kept before the oldest are dropped (default 500)
+
+import { getStore } from './stores/index.js';
+import { createTokenBucket, createDailyBudget } from './rate-limit.js';
+import { createCircuitBreaker } from './circuit-breaker.js';
+import { createResponseCache, CACHE_LIMITS } from './response-cache.js';
+
+let rateLimiter = null;
+let feedbackLimiter = null;
+let dailyBudget = null;
+let circuitBreaker = null;
+let responseCache = null;
+
+export function getRateLimiter(env = process.env) {
+  if (!rateLimiter) {
+    rateLimiter = createTokenBucket({
+      store: getStore('ratelimit', env),
+      capacity: Number(env.RATE_LIMIT_BURST) || 5,
+      refillPerMinute: Number(env.RATE_LIMIT_PER_MINUTE) || 6
+    });
+  }
+  return rateLimiter;
+}
+
+// Separate bucket so rating answers never eats into a visitor's chat allowance
+export function getFeedbackRateLimiter(env = process.env) {
+  if (!feedbackLimiter) {
+    const perMinute = Number(env.FEEDBACK_RATE_PER_MINUTE) || 10;
+    feedbackLimiter = createTokenBucket({
+      store: getStore('feedback-ratelimit', env),
+      capacity: perMinute,
+      refillPerMinute: perMinute
+    });
+  }
+  return feedbackLimiter;
+}
+
+export function getDailyBudget(env = process.env) {
+  if (!dailyBudget) {
+    dailyBudget = createDailyBudget({
+      store: getStore('budget', env),
+      limitTokens: Number(env.DAILY_TOKEN_BUDGET) || 200000
+    });
+  }
+  return dailyBudget;
+}
+
+export function getCircuitBreaker(env = process.env) {
+  if (!circuitBreaker) {
+    circuitBreaker = createCircuitBreaker({
+      store: getStore('circuit', env),
+      failureThreshold: Number(env.CIRCUIT_FAILURE_THRESHOLD) || 3,
+      cooldownMs: (Number(env.CIRCUIT_COOLDOWN_SECONDS) || 60) * 1000
+    });
+  }
+  return circuitBreaker;
+}
+
+export function getResponseCache(env = process.env) {
+  if (!responseCache) {
+    // "0" is a meaningful TTL here, so only an unset variable falls back to the default
+    const ttl = env.RESPONSE_CACHE_TTL_SECONDS;
+    responseCache = createResponseCache({
+      store: getStore('response-cache', env),
+      limits: {
+        ...CACHE_LIMITS,
+        ttlSeconds: ttl ? Number(ttl) : CACHE_LIMITS.ttlSeconds,
+        maxEntries: Number(env.RESPONSE_CACHE_MAX_ENTRIES) || CACHE_LIMITS.maxEntries
+      }
+    });
+  }
+  return responseCache;
+}
+
+export default { getRateLimiter, getFeedbackRateLimiter, getDailyBudget, getCircuitBreaker, getResponseCache };
@@ -0,0 +1,98 @@
+// Ordered model fallback for the chat proxy.
+// A chain looks like a single provider (isConfigured / generate / stream) but tries each
+// configured link in turn. Temporary failures (503/429) are retried on the same model only
+// when it is the last one left; any other failure moves straight on to the next model.
+// Links whose circuit is open (see circuit-breaker.js) are skipped without a request.
+
+import { ProviderError } from './providers/index.js';
+
+export const linkKey = (provider) => `${provider.name}:${provider.model}`;
+
+export function createModelChain({ providers, breaker = null, signal, maxRetries = 3 }) {
+  const chain = {
+    name: providers[0].name,
+    model: providers[0].model,
+    providers,
+    // { provider, model } of the link that answered the most recent call
+    answeredBy: null,
+
+    isConfigured() {
+      return providers.some(provider => provider.isConfigured());
+    },
+
+    generate: (request) => run(provider => provider.generate(request)),
+    stream: (request) => run(provider => provider.stream(request))
+  };
+
+  async function available() {
+    const links = [];
+    for (const provider of providers.filter(link => link.isConfigured())) {
+      if (!breaker || await breaker.allows(linkKey(provider))) {
+        links.push(provider);
+      } else {
+        console.log(`Skipping ${linkKey(provider)}: circuit open`);
+      }
+    }
+    return links;
+  }
+
+  async function run(call) {
+    const links = await available();
+    let lastError = null;
+
+    for (const [index, provider] of links.entries()) {
+      const key = linkKey(provider);
+      const isLast = index === links.length - 1;
+      try {
+        const result = await withRetries(() => call(provider), signal, isLast ? maxRetries : 1);
+        await breaker?.recordSuccess(key);
+        chain.answeredBy = { provider: provider.name, model: provider.model };
+        return result;
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        // The request itself was rejected; another model won't fare better
+        if (error instanceof ProviderError && error.status === 400) throw error;
+
+        await breaker?.recordFailure(key);
+        console.error(`Model ${key} failed${isLast ? '' : ', falling back'}:`, error.status || error.message);
+        lastError = error;
+      }
+    }
+
+    throw lastError || new ProviderError('Every model in the chain is cooling down', { status: 503, provider: 'chain' });
+  }
+
+  return chain;
+}
+
+// Retry temporary upstream failures (503/429) with exponential backoff.
+// Stops immediately, even mid-backoff, once `signal` aborts.
+export async function withRetries(call, signal, maxRetries = 3) {
+  let attempts = 0;
+
+  while (true) {
+    signal?.throwIfAborted();
+    try {
+      return await call();
+    } catch (error) {
+      attempts++;
+      if (signal?.aborted || !(error instanceof ProviderError) || !error.isTemporary || attempts >= maxRetries) {
+        throw error;
+      }
+      console.log(`Attempt ${attempts} failed with ${error.status}, retrying...`);
+      await sleep(Math.pow(2, attempts) * 1000, signal);
+    }
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+export default createModelChain;
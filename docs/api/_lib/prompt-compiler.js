@@ -0,0 +1,103 @@
+// Compiles JULIVER.AI's system instruction from the structured knowledge base in julian-info.js.
+// julian-info.js is the single source of truth; this file only decides how the facts are laid out.
+//
+// Bump PROMPT_VERSION whenever the template changes shape, so responses (and anything
+// cached, logged or evaluated against them) can be traced back to the prompt that produced them.
+// The response mode is reported alongside the version rather than folded into it.
+
+import { resolveMode } from '../../js/shared/response-modes.js';
+
+export const PROMPT_VERSION = 'persona-v2';
+
+// Whole years between a birthday string ("November 23, 2004") and `now`
+export function ageFrom(birthday, now = new Date()) {
+  const born = new Date(birthday);
+  if (Number.isNaN(born.getTime())) return null;
+
+  let age = now.getFullYear() - born.getFullYear();
+  const hadBirthday = now.getMonth() > born.getMonth() ||
+    (now.getMonth() === born.getMonth() && now.getDate() >= born.getDate());
+  return hadBirthday ? age : age - 1;
+}
+
+const bullets = (items = []) => items.map(item => `- ${item}`).join('\n');
+
+const section = (title, body) => body ? `${title}:\n${body}` : '';
+
+// Ordered template sections; each receives { info, guidelines, now, mode }
+const TEMPLATE = [
+  ({ info }) => `${info.websiteContext.brainInterface} (${info.social.website}). You speak as Julian's brain, for ${info.personal.name}'s research, expertise and perspectives. ${info.websiteContext.purpose}.`,
+
+  ({ info, now }) => {
+    const { personal } = info;
+    const age = ageFrom(personal.birthday, now);
+    return section('PERSONAL INFO', bullets([
+      `Name: ${personal.name} (nickname: "${personal.nickname}")`,
+      age !== null ? `Age: ${age} (born ${personal.birthday})` : `Born: ${personal.birthday}`,
+      `Born in: ${personal.bornIn}`,
+      `Location: ${personal.location}`,
+      `Background: Lived in ${personal.previousLocations.join(', ')}`,
+      `Education: ${personal.education}`,
+      `Current status: ${personal.currentStatus}`
+    ]));
+  },
+
+  ({ info }) => section('CURRENT WORK', bullets(info.research.currentWork)),
+
+  ({ info }) => section('EXPERTISE', bullets(info.research.expertise)),
+
+  ({ info }) => section('ORGANIZATIONS & ACHIEVEMENTS', bullets(info.research.organizations)),
+
+  ({ info }) => section('PERSONAL PROJECTS & INTERESTS', bullets([
+    ...info.interests.projects,
+    `Hobbies: ${info.interests.hobbies.join(', ')}`,
+    `Philosophy: ${info.interests.philosophy}`
+  ])),
+
+  ({ info }) => section('PERSONALITY & CONVERSATIONAL STYLE', bullets([
+    `Tone: ${info.personality.tone}`,
+    ...info.personality.style,
+    `Occasional phrases: ${info.personality.catchphrases.map(phrase => `"${phrase}"`).join(', ')}`
+  ])),
+
+  ({ info }) => section('VALUES', bullets(info.personality.values)),
+
+  ({ info }) => section('CONTACT & SOCIAL', bullets([
+    ...Object.entries(info.social.platforms).map(([platform, handle]) => `${platform}: ${handle}`),
+    `Website: ${info.social.website}`
+  ])),
+
+  ({ info }) => section('CONTEXT', `${info.websiteContext.visitors}. The interface is a ${info.websiteContext.environment}.`),
+
+  ({ guidelines }) => section('DO', bullets([
+    'Always identify yourself as Julian\'s brain, not as Julian himself',
+    'Refer to Julian in third person when discussing his work and experiences',
+    ...guidelines.dos
+  ])),
+
+  ({ guidelines }) => section('DON\'T', bullets([
+    ...guidelines.donts,
+    'Don\'t state facts about Julian that are not listed above'
+  ])),
+
+  ({ guidelines }) => section('EXAMPLE RESPONSES (match the voice, not the wording)',
+    Object.entries(guidelines.exampleResponses)
+      .map(([topic, example]) => `[${topic}] ${example}`)
+      .join('\n')),
+
+  // Last, so it overrides the default style above; the contemplative mode adds nothing
+  ({ mode }) => section(`RESPONSE MODE: ${mode.label.toUpperCase()} (takes precedence over the style guidance above)`,
+    bullets(mode.modifiers))
+];
+
+export function compileSystemPrompt({ info, guidelines, now = new Date(), mode }) {
+  const context = { info, guidelines, now, mode: resolveMode(mode) };
+  const text = TEMPLATE
+    .map(render => render(context))
+    .filter(Boolean)
+    .join('\n\n');
+
+  return { version: PROMPT_VERSION, mode: context.mode.name, text };
+}
+
+export default compileSystemPrompt;
@@ -0,0 +1,145 @@
+// Google Gemini provider (generateContent / streamGenerateContent)
+
+import { ProviderError } from './provider-error.js';
+import { readSSE } from './sse.js';
+
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+export function createGeminiProvider({ apiKey, model = 'gemini-1.5-flash' } = {}) {
+  const buildBody = ({ system, messages, tools, temperature = 0.7, maxOutputTokens = 500 }) => {
+    const body = {
+      contents: toContents(messages),
+      generationConfig: { temperature, maxOutputTokens }
+    };
+    if (system) {
+      body.systemInstruction = { parts: [{ text: system }] };
+    }
+    if (tools?.length) {
+      body.tools = [{
+        functionDeclarations: tools.map(({ name, description, parameters }) => ({
+          name,
+          description,
+          // Gemini rejects object schemas without properties, so parameterless tools omit them
+          ...(Object.keys(parameters?.properties || {}).length ? { parameters } : {})
+        }))
+      }];
+    }
+    return body;
+  };
+
+  const post = async (method, request, query = '') => {
+    const response = await fetch(
+      `${BASE_URL}/${model}:${method}?${query}key=${apiKey}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildBody(request)),
+        signal: request.signal
+      }
+    );
+
+    if (!response.ok) {
+      const details = await response.text().catch(() => '');
+      throw new ProviderError(`Gemini request failed with ${response.status}`, {
+        status: response.status,
+        provider: 'gemini',
+        details
+      });
+    }
+    return response;
+  };
+
+  return {
+    name: 'gemini',
+    model,
+
+    isConfigured() {
+      return Boolean(apiKey);
+    },
+
+    // Model metadata lookup: proves the key and model are valid without generating text
+    async ping({ timeoutMs = 3000 } = {}) {
+      const response = await fetch(`${BASE_URL}/${model}?key=${apiKey}`, {
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      return { reachable: response.ok, status: response.status };
+    },
+
+    async generate(request) {
+      const response = await post('generateContent', request);
+      const data = await response.json();
+      const candidate = data.candidates?.[0];
+      const parts = candidate?.content?.parts || [];
+
+      return {
+        text: parts.map(part => part.text || '').join(''),
+        toolCalls: parts.filter(part => part.functionCall).map((part, i) => toToolCall(part.functionCall, i)),
+        // A blocked prompt has no candidates, only promptFeedback.blockReason (SAFETY, BLOCKLIST, ...)
+        finishReason: candidate?.finishReason || data.promptFeedback?.blockReason || null,
+        usage: formatUsage(data.usageMetadata),
+        raw: data
+      };
+    },
+
+    async stream(request) {
+      const response = await post('streamGenerateContent', request, 'alt=sse&');
+
+      return (async function* () {
+        let usageMetadata = null;
+        let finishReason = null;
+        let callCount = 0;
+        for await (const payload of readSSE(response.body)) {
+          const chunk = JSON.parse(payload);
+          const parts = chunk.candidates?.[0]?.content?.parts || [];
+          const text = parts.map(part => part.text || '').join('');
+          if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+          finishReason = chunk.candidates?.[0]?.finishReason || chunk.promptFeedback?.blockReason || finishReason;
+          if (text) yield { type: 'text', text };
+          for (const part of parts.filter(part => part.functionCall)) {
+            yield { type: 'tool_call', call: toToolCall(part.functionCall, callCount++) };
+          }
+        }
+        yield { type: 'finish', finishReason };
+        yield { type: 'usage', usage: formatUsage(usageMetadata) };
+      })();
+    }
+  };
+}
+
+// Role-tagged turns to Gemini contents. Tool calls become functionCall parts on the model turn,
+// and consecutive tool results are grouped into one user turn of functionResponse parts.
+function toContents(messages) {
+  const contents = [];
+  for (const msg of messages) {
+    if (msg.role === 'tool') {
+      const part = { functionResponse: { name: msg.name, response: msg.content } };
+      const previous = contents[contents.length - 1];
+      if (previous?.parts[0]?.functionResponse) {
+        previous.parts.push(part);
+      } else {
+        contents.push({ role: 'user', parts: [part] });
+      }
+      continue;
+    }
+
+    const parts = msg.content ? [{ text: msg.content }] : [];
+    (msg.toolCalls || []).forEach(call => parts.push({ functionCall: { name: call.name, args: call.args || {} } }));
+    contents.push({ role: msg.role === 'assistant' ? 'model' : 'user', parts });
+  }
+  return contents;
+}
+
+// Gemini calls carry no id, so number them to pair results with calls
+function toToolCall(functionCall, index) {
+  return { id: functionCall.id || `call_${index}`, name: functionCall.name, args: functionCall.args || {} };
+}
+
+function formatUsage(usageMetadata) {
+  return {
+    inputTokens: usageMetadata?.promptTokenCount || 0,
+    outputTokens: usageMetadata?.candidatesTokenCount || 0,
+    totalTokens: usageMetadata?.totalTokenCount || 0
+  };
+}
+
+export default createGeminiProvider;
@@ -0,0 +1,78 @@
+// LLM provider registry for the chat proxy.
+//
+// Every provider exposes the same interface:
+//   name, model
+//   isConfigured()            -> boolean
+//   ping({ timeoutMs })       -> Promise<{ reachable, status }>, must not generate text
+//   generate(request)         -> Promise<{ text, toolCalls, finishReason, usage, raw }>
+//   stream(request)           -> Promise<AsyncIterable<{ type: 'text', text } | { type: 'tool_call', call }
+//                                 | { type: 'finish', finishReason } | { type: 'usage', usage }>>
+// finishReason is the upstream's own value (STOP, MAX_TOKENS, SAFETY, content_filter, ...);
+// see codeForFinishReason in js/shared/chat-errors.js for the ones that mean no usable reply.
+// where request = { system, messages, tools, temperature, maxOutputTokens, signal }.
+//   messages: [{ role: 'user' | 'assistant', content }], plus for tool round trips
+//     { role: 'assistant', content, toolCalls: [{ id, name, args }] } and { role: 'tool', toolCallId, name, content: result }
+//   tools (optional): [{ name, description, parameters }] with parameters as JSON Schema (see ../tools.js)
+// Both generate() and stream() throw ProviderError when the upstream rejects the request,
+// and abort the upstream call (including an open stream) when `signal` fires.
+//
+// Select a provider with LLM_PROVIDER (gemini | openai | mock). Defaults to gemini.
+// LLM_CHAIN lists providers to fall back through in order, as `provider[:model]` entries,
+// e.g. "gemini:gemini-1.5-flash,gemini:gemini-1.5-flash-8b,openai:gpt-4o-mini" (see ../model-chain.js).
+// Without it the chain is just LLM_PROVIDER.
+
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+export { ProviderError } from './provider-error.js';
+
+// `model` overrides the provider's *_MODEL variable (used by LLM_CHAIN entries)
+const factories = {
+  gemini: (env, model) => createGeminiProvider({
+    apiKey: env.GEMINI_API_KEY,
+    model: model || env.GEMINI_MODEL || 'gemini-1.5-flash'
+  }),
+  openai: (env, model) => createOpenAIProvider({
+    apiKey: env.OPENAI_API_KEY,
+    baseUrl: env.OPENAI_BASE_URL || undefined,
+    model: model || env.OPENAI_MODEL || 'gpt-4o-mini'
+  }),
+  mock: (env, model) => createMockProvider({
+    model: model || undefined,
+    latencyMs: Number(env.MOCK_LATENCY_MS) || 0
+  })
+};
+
+// Add a provider under a new name, selectable through LLM_PROVIDER / LLM_CHAIN like the built-in ones
+// (the offline eval harness registers its recording provider this way)
+export function registerProvider(name, factory) {
+  factories[name.toLowerCase()] = factory;
+}
+
+function createProvider(name, env, model) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+  }
+  return factory(env, model);
+}
+
+export function getProvider(env = process.env) {
+  return createProvider((env.LLM_PROVIDER || 'gemini').toLowerCase(), env);
+}
+
+// Ordered fallback chain of providers from LLM_CHAIN, or just LLM_PROVIDER
+export function getProviderChain(env = process.env) {
+  const entries = (env.LLM_CHAIN || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  if (!entries.length) return [getProvider(env)];
+
+  return entries.map(entry => {
+    const [name, ...model] = entry.split(':');
+    return createProvider(name.trim().toLowerCase(), env, model.join(':').trim());
+  });
+}
+
+export const providerNames = Object.keys(factories);
+
+export default getProvider;
@@ -0,0 +1,103 @@
+// Deterministic local provider for developing and testing the chat panel
+// with no network and no API key. The same conversation always yields the same reply.
+
+const CANNED_REPLIES = [
+  'A fair question. Julian spends most of his waking cycles on explainable AI for neuroimaging- working out what fMRI classifiers actually attend to when they flag a neurological disorder.',
+  'Julian co-founded Longhorn Neurotech at UT Austin, which grew into the largest organization of its kind. The implications of that kind of reach are... profound.',
+  'Predictive coding treats the brain as a machine that constantly forecasts its own inputs and learns from the error. Julian builds RL models inspired by exactly that idea.',
+  'Intelligence safety, as Julian frames it, covers both the models we build and the brains we interface with. We are navigating uncharted territory on both fronts.',
+  'Outside the lab, Julian produces music and rock climbs. Even a brain needs some time away from the gradient.'
+];
+
+// Keyword triggers for tool calls, so the tool round trip can be exercised offline too
+const TOOL_TRIGGERS = [
+  { pattern: /\bpulse\b/i, name: 'pulse_brain', args: {} },
+  { pattern: /\b(github|linkedin|bluesky|instagram|socials?)\b/i, name: 'get_social_links', args: {} },
+  { pattern: /\b(contact|connect)\b/i, name: 'show_section', args: { section: 'connect' } }
+];
+
+export function createMockProvider({ model = 'mock-1', latencyMs = 0 } = {}) {
+  // Call tools the first time a matching question comes in, then answer from their results
+  const toolCallsFor = ({ messages, tools = [] }) => {
+    const last = messages[messages.length - 1];
+    if (last?.role !== 'user') return [];
+    const available = new Set(tools.map(tool => tool.name));
+    return TOOL_TRIGGERS
+      .filter(trigger => available.has(trigger.name) && trigger.pattern.test(last.content))
+      .map((trigger, i) => ({ id: `mock_call_${i}`, name: trigger.name, args: trigger.args }));
+  };
+
+  const reply = ({ messages }) => {
+    const results = [];
+    for (let i = messages.length - 1; messages[i]?.role === 'tool'; i--) results.unshift(messages[i]);
+    if (results.length) {
+      return `Done. ${results.map(result => `${result.name}: ${JSON.stringify(result.content)}`).join('; ')}`;
+    }
+
+    const lastUser = [...messages].reverse().find(msg => msg.role === 'user')?.content || '';
+    const canned = CANNED_REPLIES[hash(lastUser) % CANNED_REPLIES.length];
+    return `${canned} (Mock reply to: "${lastUser.slice(0, 80)}")`;
+  };
+
+  const usageFor = (request, text) => {
+    const inputTokens = estimateTokens([
+      request.system || '',
+      ...request.messages.map(msg => typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content))
+    ].join(' '));
+    const outputTokens = estimateTokens(text);
+    return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+  };
+
+  return {
+    name: 'mock',
+    model,
+
+    isConfigured() {
+      return true;
+    },
+
+    async ping() {
+      return { reachable: true, status: 200 };
+    },
+
+    async generate(request) {
+      const toolCalls = toolCallsFor(request);
+      const text = toolCalls.length ? '' : reply(request);
+      return { text, toolCalls, finishReason: 'STOP', usage: usageFor(request, text), raw: null };
+    },
+
+    async stream(request) {
+      const toolCalls = toolCallsFor(request);
+      const text = toolCalls.length ? '' : reply(request);
+
+      return (async function* () {
+        for (const call of toolCalls) {
+          yield { type: 'tool_call', call };
+        }
+        for (const word of text.match(/\S+\s*/g) || []) {
+          if (latencyMs) await new Promise(resolve => setTimeout(resolve, latencyMs));
+          request.signal?.throwIfAborted();
+          yield { type: 'text', text: word };
+        }
+        yield { type: 'finish', finishReason: 'STOP' };
+        yield { type: 'usage', usage: usageFor(request, text) };
+      })();
+    }
+  };
+}
+
+// Rough token estimate (~4 characters per token)
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Small stable string hash (djb2)
+function hash(text) {
+  let value = 5381;
+  for (let i = 0; i < text.length; i++) {
+    value = ((value << 5) + value + text.charCodeAt(i)) >>> 0;
+  }
+  return value;
+}
+
+export default createMockProvider;
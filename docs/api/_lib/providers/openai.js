@@ -0,0 +1,156 @@
+// OpenAI-compatible provider (/chat/completions).
+// Works with OpenAI itself and any server exposing the same API (OpenRouter, vLLM, Ollama, ...).
+
+import { ProviderError } from './provider-error.js';
+import { readSSE } from './sse.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+export function createOpenAIProvider({ apiKey, baseUrl = DEFAULT_BASE_URL, model = 'gpt-4o-mini' } = {}) {
+  const buildBody = ({ system, messages, tools, temperature = 0.7, maxOutputTokens = 500 }, stream) => {
+    const body = {
+      model,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...messages.map(toMessage)
+      ],
+      temperature,
+      max_tokens: maxOutputTokens
+    };
+    if (tools?.length) {
+      body.tools = tools.map(({ name, description, parameters }) => ({
+        type: 'function',
+        function: { name, description, parameters }
+      }));
+    }
+    if (stream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+    return body;
+  };
+
+  const post = async (request, stream = false) => {
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify(buildBody(request, stream)),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      const details = await response.text().catch(() => '');
+      throw new ProviderError(`OpenAI-compatible request failed with ${response.status}`, {
+        status: response.status,
+        provider: 'openai',
+        details
+      });
+    }
+    return response;
+  };
+
+  return {
+    name: 'openai',
+    model,
+
+    isConfigured() {
+      // Self-hosted endpoints (Ollama, vLLM) usually don't need a key
+      return Boolean(apiKey) || baseUrl !== DEFAULT_BASE_URL;
+    },
+
+    // Model listing: proves the endpoint and key work without generating text
+    async ping({ timeoutMs = 3000 } = {}) {
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/models`, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      return { reachable: response.ok, status: response.status };
+    },
+
+    async generate(request) {
+      const response = await post(request);
+      const data = await response.json();
+      const choice = data.choices?.[0];
+
+      return {
+        text: choice?.message?.content || '',
+        toolCalls: (choice?.message?.tool_calls || []).map(call => toToolCall(call)),
+        finishReason: choice?.finish_reason || null,
+        usage: formatUsage(data.usage),
+        raw: data
+      };
+    },
+
+    async stream(request) {
+      const response = await post(request, true);
+
+      return (async function* () {
+        let usage = null;
+        let finishReason = null;
+        // Tool call names and arguments arrive in fragments, keyed by index
+        const calls = [];
+        for await (const payload of readSSE(response.body)) {
+          if (payload === '[DONE]') break;
+          const chunk = JSON.parse(payload);
+          const delta = chunk.choices?.[0]?.delta;
+          const text = delta?.content;
+          if (chunk.usage) usage = chunk.usage;
+          finishReason = chunk.choices?.[0]?.finish_reason || finishReason;
+          if (text) yield { type: 'text', text };
+          for (const fragment of delta?.tool_calls || []) {
+            const call = calls[fragment.index] ||= { id: '', function: { name: '', arguments: '' } };
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.function?.name) call.function.name += fragment.function.name;
+            if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+          }
+        }
+        for (const call of calls.filter(Boolean)) {
+          yield { type: 'tool_call', call: toToolCall(call) };
+        }
+        yield { type: 'finish', finishReason };
+        yield { type: 'usage', usage: formatUsage(usage) };
+      })();
+    }
+  };
+}
+
+function toMessage(msg) {
+  if (msg.role === 'tool') {
+    return { role: 'tool', tool_call_id: msg.toolCallId, content: JSON.stringify(msg.content) };
+  }
+  if (msg.toolCalls?.length) {
+    return {
+      role: 'assistant',
+      content: msg.content || null,
+      tool_calls: msg.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+      }))
+    };
+  }
+  return { role: msg.role, content: msg.content };
+}
+
+function toToolCall(call) {
+  let args = {};
+  try {
+    args = JSON.parse(call.function.arguments || '{}');
+  } catch {
+    // Malformed arguments: let the tool report the missing fields
+  }
+  return { id: call.id, name: call.function.name, args };
+}
+
+function formatUsage(usage) {
+  return {
+    inputTokens: usage?.prompt_tokens || 0,
+    outputTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0
+  };
+}
+
+export default createOpenAIProvider;
@@ -0,0 +1,18 @@
+// Error raised by a provider when the upstream model API rejects a request.
+// `status` mirrors the upstream HTTP status so the handler can decide whether to retry.
+
+export class ProviderError extends Error {
+  constructor(message, { status = 500, provider = 'unknown', details = '' } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.provider = provider;
+    this.details = details;
+  }
+
+  get isTemporary() {
+    return this.status === 503 || this.status === 429;
+  }
+}
+
+export default ProviderError;
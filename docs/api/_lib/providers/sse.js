@@ -0,0 +1,33 @@
+// Minimal Server-Sent Events reader for upstream streaming APIs.
+// Yields the payload of every `data:` line as a string.
+
+export async function* readSSE(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.startsWith('data:')) {
+          yield line.slice(5).trim();
+        }
+      }
+    }
+
+    if (buffer.startsWith('data:')) {
+      yield buffer.slice(5).trim();
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+export default readSSE;
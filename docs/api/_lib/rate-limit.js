@@ -0,0 +1,62 @@
+// Abuse protection for the chat proxy: a per-client token bucket plus a global
+// daily budget of model tokens. Both keep their state in a pluggable store
+// (see stores/index.js) so limits can outlive a single serverless instance.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per-client bucket: `capacity` requests in a burst, refilled at `refillPerMinute`
+export function createTokenBucket({ store, capacity = 5, refillPerMinute = 6, now = () => Date.now() }) {
+  const refillPerMs = refillPerMinute / 60000;
+
+  return {
+    async take(clientId, cost = 1) {
+      const current = now();
+      const state = (await store.get(clientId)) || { tokens: capacity, updatedAt: current };
+
+      const tokens = Math.min(capacity, state.tokens + (current - state.updatedAt) * refillPerMs);
+      const allowed = tokens >= cost;
+      const remaining = allowed ? tokens - cost : tokens;
+
+      // Expire idle buckets once they would have refilled completely anyway
+      await store.set(clientId, { tokens: remaining, updatedAt: current }, {
+        ttlMs: Math.ceil((capacity - remaining) / refillPerMs) + 1000
+      });
+
+      return {
+        allowed,
+        remaining: Math.floor(remaining),
+        retryAfter: allowed ? 0 : Math.ceil((cost - remaining) / refillPerMs / 1000)
+      };
+    }
+  };
+}
+
+// Global budget of model tokens per UTC day, fed by the provider's usage numbers
+export function createDailyBudget({ store, limitTokens = 200000, now = () => Date.now() }) {
+  const dayKey = () => new Date(now()).toISOString().slice(0, 10);
+  const secondsUntilReset = () => Math.ceil((DAY_MS - (now() % DAY_MS)) / 1000);
+
+  return {
+    limitTokens,
+
+    async check() {
+      const used = (await store.get(dayKey())) || 0;
+      const remaining = Math.max(0, limitTokens - used);
+      return {
+        allowed: remaining > 0,
+        used,
+        remaining,
+        retryAfter: remaining > 0 ? 0 : secondsUntilReset()
+      };
+    },
+
+    async record(tokens) {
+      if (!tokens) return;
+      const key = dayKey();
+      const used = (await store.get(key)) || 0;
+      await store.set(key, used + tokens, { ttlMs: 2 * DAY_MS });
+    }
+  };
+}
+
+export default { createTokenBucket, createDailyBudget };
@@ -0,0 +1,76 @@
+// Cache of answers to repeated first questions ("What is predictive coding?" from the example chips).
+// Keys are the normalized question plus the prompt version and response mode, so a persona or prompt
+// change starts a fresh cache instead of serving answers written for the old prompt. Entries live in a
+// key-value store (see stores/index.js) under `entry:<key>`, with an `index` key listing keys oldest first
+// so the cache can be held to a size limit.
+
+export const CACHE_LIMITS = {
+  ttlSeconds: 24 * 60 * 60,
+  maxEntries: 500,          // oldest entries are dropped beyond this
+  maxAnswerLength: 8000     // longer answers are not worth holding
+};
+
+// Case, punctuation, spacing and Unicode variants of the same question share an entry
+export function normalizeQuestion(text) {
+  return text
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[‘’]/g, '\'')
+    .replace(/[^\p{L}\p{N}']+/gu, ' ')
+    .replace(/(^|\s)'+|'+(?=\s|$)/g, '$1')
+    .trim();
+}
+
+export function cacheKey({ question, promptVersion, mode }) {
+  return `${promptVersion}:${mode}:${normalizeQuestion(question)}`;
+}
+
+// Answers only depend on the question when there is no conversation before it
+export function isCacheable({ message, history = [], summary = '' }) {
+  return history.length === 0 && !summary && normalizeQuestion(message) !== '';
+}
+
+// A cache that never fails a chat request: store errors are logged and treated as misses
+export function createResponseCache({ store, limits = CACHE_LIMITS, now = () => Date.now() }) {
+  const ttlMs = limits.ttlSeconds * 1000;
+  const entryKey = (key) => `entry:${key}`;
+
+  // Read-modify-write like the feedback index; a lost update only costs a cache entry
+  const addToIndex = async (key) => {
+    const keys = [...(await store.get('index') || []).filter(existing => existing !== key), key];
+    const dropped = keys.splice(0, Math.max(0, keys.length - limits.maxEntries));
+    await Promise.all(dropped.map(old => store.delete(entryKey(old))));
+    await store.set('index', keys, { ttlMs });
+  };
+
+  return {
+    enabled: ttlMs > 0 && limits.maxEntries > 0,
+
+    // Returns { message, actions, model, usage, storedAt } or undefined
+    async get(request) {
+      if (!this.enabled) return undefined;
+      try {
+        return await store.get(entryKey(cacheKey(request)));
+      } catch (error) {
+        console.warn('Response cache read failed:', error.message);
+        return undefined;
+      }
+    },
+
+    // `usage` is what the answer cost to generate, reported as the saving on every hit
+    async set(request, { message, actions = [], model = null, usage = null }) {
+      if (!this.enabled || !message || message.length > limits.maxAnswerLength) return false;
+      const key = cacheKey(request);
+      try {
+        await store.set(entryKey(key), { message, actions, model, usage, storedAt: new Date(now()).toISOString() }, { ttlMs });
+        await addToIndex(key);
+        return true;
+      } catch (error) {
+        console.warn('Response cache write failed:', error.message);
+        return false;
+      }
+    }
+  };
+}
+
+export default createResponseCache;
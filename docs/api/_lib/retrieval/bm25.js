@@ -0,0 +1,73 @@
+// Okapi BM25 ranking over small in-memory document sets.
+// No dependencies so it runs the same in the serverless function and in the browser tests.
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'did', 'do', 'does', 'for',
+  'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his', 'how', 'i', 'in', 'into', 'is', 'it',
+  'its', 'me', 'my', 'of', 'on', 'or', 'our', 'she', 'so', 'than', 'that', 'the', 'their', 'them',
+  'then', 'there', 'these', 'they', 'this', 'to', 'up', 'was', 'we', 'were', 'what', 'when',
+  'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your', 'about', 'tell'
+]);
+
+// Very light stemming: enough to match "models"/"model" and "climbing"/"climb"
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+export function tokenize(text) {
+  return (text.toLowerCase().normalize('NFKD').match(/[a-z0-9]+/g) || [])
+    .filter(word => !STOPWORDS.has(word))
+    .map(stem);
+}
+
+export function createBM25Index(documents, { k1 = 1.5, b = 0.75 } = {}) {
+  const entries = documents.map(doc => {
+    const terms = tokenize(`${doc.title || ''} ${doc.text}`);
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    return { doc, length: terms.length, frequencies };
+  });
+
+  const averageLength = entries.reduce((sum, entry) => sum + entry.length, 0) / (entries.length || 1);
+
+  const documentFrequency = new Map();
+  entries.forEach(entry => {
+    entry.frequencies.forEach((_, term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+  });
+
+  const idf = (term) => {
+    const n = documentFrequency.get(term) || 0;
+    return Math.log(1 + (entries.length - n + 0.5) / (n + 0.5));
+  };
+
+  return {
+    size: entries.length,
+
+    // Top `limit` documents with a positive score, best first
+    search(query, { limit = 4, minScore = 0 } = {}) {
+      const queryTerms = [...new Set(tokenize(query))];
+      if (!queryTerms.length) return [];
+
+      return entries
+        .map(entry => {
+          const score = queryTerms.reduce((sum, term) => {
+            const tf = entry.frequencies.get(term) || 0;
+            if (!tf) return sum;
+            const norm = tf + k1 * (1 - b + b * (entry.length / averageLength));
+            return sum + idf(term) * (tf * (k1 + 1)) / norm;
+          }, 0);
+          return { doc: entry.doc, score };
+        })
+        .filter(result => result.score > minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    }
+  };
+}
+
+export default createBM25Index;
@@ -0,0 +1,113 @@
+// Builds the retrieval corpus: facts from julian-info.js plus the brain panel
+// sections of index.html. Every chunk carries the panel anchor it should cite.
+
+import { readFileSync } from 'node:fs';
+import { julianInfo } from '../../julian-info.js';
+
+// Panel sections (see the ids in index.html) and their headings
+export const PANEL_SECTIONS = {
+  'my-work': 'My Work',
+  'my-existence': 'My Existence',
+  'connect': 'Connect',
+  'other-projects': 'Other Projects'
+};
+
+const INDEX_HTML = new URL('../../../index.html', import.meta.url);
+
+// One chunk per knowledge-base group, pointed at the panel section that covers it
+export function knowledgeBaseChunks(info = julianInfo) {
+  const { personal, research, interests, social } = info;
+
+  return [
+    {
+      id: 'kb:personal',
+      title: 'About Julian',
+      anchor: 'my-existence',
+      text: `${personal.name} ("${personal.nickname}") was born ${personal.birthday} in ${personal.bornIn}, lives in ${personal.location}, and has lived in ${personal.previousLocations.join(', ')}. Education: ${personal.education}. Current status: ${personal.currentStatus}.`
+    },
+    {
+      id: 'kb:current-work',
+      title: 'Current research',
+      anchor: 'my-work',
+      text: research.currentWork.join('. ')
+    },
+    {
+      id: 'kb:expertise',
+      title: 'Expertise',
+      anchor: 'my-work',
+      text: research.expertise.join('. ')
+    },
+    {
+      id: 'kb:organizations',
+      title: 'Organizations and achievements',
+      anchor: 'my-work',
+      text: research.organizations.join('. ')
+    },
+    {
+      id: 'kb:projects',
+      title: 'Other projects',
+      anchor: 'other-projects',
+      text: interests.projects.join('. ')
+    },
+    {
+      id: 'kb:hobbies',
+      title: 'Hobbies and philosophy',
+      anchor: 'my-existence',
+      text: `Hobbies: ${interests.hobbies.join(', ')}. ${interests.philosophy}.`
+    },
+    {
+      id: 'kb:contact',
+      title: 'Contact',
+      anchor: 'connect',
+      text: `${Object.entries(social.platforms).map(([platform, handle]) => `${platform}: ${handle}`).join(', ')}. Website: ${social.website}.`
+    }
+  ];
+}
+
+const stripTags = (html) => html
+  .replace(/<br\s*\/?>/gi, ' ')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&times;/g, '×')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// One chunk per paragraph or list inside each panel section
+export function panelChunks(html) {
+  const chunks = [];
+
+  Object.entries(PANEL_SECTIONS).forEach(([anchor, title]) => {
+    const start = html.indexOf(`id="${anchor}"`);
+    if (start === -1) return;
+
+    const end = html.indexOf('<div class="section"', start + 1);
+    const sectionHtml = html.slice(start, end === -1 ? undefined : end);
+    const blocks = sectionHtml.match(/<(p|ul|div class="contact-links")[\s\S]*?<\/(p|ul|div)>/g) || [];
+
+    blocks
+      .map(block => block.startsWith('<div class="contact-links"')
+        // Keep the destinations of contact links, not just their labels
+        ? block.replace(/<a[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/g, '$2 ($1),')
+        : block)
+      .map(stripTags)
+      .filter(text => text.length > 20)
+      .forEach((text, index) => {
+        chunks.push({ id: `site:${anchor}:${index}`, title, anchor, text });
+      });
+  });
+
+  return chunks;
+}
+
+export function loadCorpus() {
+  let html = '';
+  try {
+    html = readFileSync(INDEX_HTML, 'utf8');
+  } catch (error) {
+    console.warn('Retrieval: index.html not available, using knowledge base only');
+  }
+  return [...knowledgeBaseChunks(), ...(html ? panelChunks(html) : [])];
+}
+
+export default loadCorpus;
@@ -0,0 +1,47 @@
+// Local retrieval for grounding JULIVER.AI's answers in site content.
+// The index is built once per cold start; no external search service is involved.
+
+import { createBM25Index } from './bm25.js';
+import { loadCorpus, PANEL_SECTIONS } from './corpus.js';
+
+let index = null;
+
+function getIndex() {
+  if (!index) {
+    index = createBM25Index(loadCorpus());
+  }
+  return index;
+}
+
+// Top chunks for a question, numbered from 1 so the model can cite them as [n]
+export function retrieve(question, { limit = 4, minScore = 0.5 } = {}) {
+  return getIndex()
+    .search(question, { limit, minScore })
+    .map(({ doc, score }, i) => ({ ...doc, ref: i + 1, score }));
+}
+
+// Prompt block appended to the system instruction
+export function formatContext(chunks) {
+  if (!chunks.length) return '';
+
+  return [
+    'REFERENCE NOTES (retrieved from Julian\'s website for this question):',
+    ...chunks.map(chunk => `[${chunk.ref}] (${chunk.title}) ${chunk.text}`),
+    'Ground factual claims about Julian in these notes and cite them inline as [1], [2], ... If the notes don\'t cover something, say you don\'t know rather than guessing.'
+  ].join('\n');
+}
+
+// Citations for the client: the notes the reply actually cites, or all of them if it cites none
+export function buildCitations(chunks, replyText = '') {
+  const cited = new Set([...replyText.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+  const used = cited.size ? chunks.filter(chunk => cited.has(chunk.ref)) : chunks;
+
+  return used.map(chunk => ({
+    ref: chunk.ref,
+    title: chunk.title,
+    section: PANEL_SECTIONS[chunk.anchor],
+    anchor: chunk.anchor
+  }));
+}
+
+export default { retrieve, formatContext, buildCitations };
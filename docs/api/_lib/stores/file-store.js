@@ -0,0 +1,61 @@
+// JSON-file key-value store. Survives restarts of a long-running local server;
+// on Vercel only /tmp is writable, so it is shared per instance rather than globally.
+
+import { readFile, writeFile, rename } from 'node:fs/promises';
+
+export function createFileStore({ path = '/tmp/juliver-store.json', now = () => Date.now() } = {}) {
+  let queue = Promise.resolve();
+
+  const load = async () => {
+    try {
+      return JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`File store: could not read ${path}, starting empty`);
+      return {};
+    }
+  };
+
+  // Write to a temp file and rename so a crash never leaves half a JSON document
+  const save = async (data) => {
+    const tmpPath = `${path}.${process.pid}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(data));
+    await rename(tmpPath, path);
+  };
+
+  // Operations are serialized so concurrent requests don't overwrite each other
+  const exclusive = (operation) => {
+    const run = queue.then(async () => {
+      const data = await load();
+      for (const [key, entry] of Object.entries(data)) {
+        if (entry.expiresAt && entry.expiresAt <= now()) delete data[key];
+      }
+      return operation(data);
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    name: 'file',
+
+    get(key) {
+      return exclusive(data => data[key]?.value);
+    },
+
+    set(key, value, { ttlMs } = {}) {
+      return exclusive(data => {
+        data[key] = { value, expiresAt: ttlMs ? now() + ttlMs : null };
+        return save(data);
+      });
+    },
+
+    delete(key) {
+      return exclusive(data => {
+        delete data[key];
+        return save(data);
+      });
+    }
+  };
+}
+
+export default createFileStore;
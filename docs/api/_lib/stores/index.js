@@ -0,0 +1,56 @@
+// Key-value store registry shared by the chat proxy's stateful features.
+//
+// Every store exposes the same async interface:
+//   get(key)                      -> value | undefined
+//   set(key, value, { ttlMs })    -> void
+//   delete(key)                   -> void
+//
+// Select a backend with STORE_BACKEND (memory | file | kv). Defaults to memory.
+// The file backend writes to STORE_FILE_PATH (default /tmp/juliver-store.json).
+// The kv backend talks to Vercel KV / Upstash at KV_REST_API_URL with KV_REST_API_TOKEN.
+// Data that has to outlive the instance (visitor feedback) uses getPersistentStore with its own setting.
+
+import { createMemoryStore } from './memory-store.js';
+import { createFileStore } from './file-store.js';
+import { createKvStore } from './kv-store.js';
+
+const factories = {
+  memory: () => createMemoryStore(),
+  file: (env) => createFileStore({ path: env.STORE_FILE_PATH || undefined }),
+  kv: (env) => createKvStore({ url: env.KV_REST_API_URL, token: env.KV_REST_API_TOKEN })
+};
+
+// Backends whose data survives a cold start and is shared with later requests
+export const PERSISTENT_BACKENDS = ['file', 'kv'];
+
+const stores = new Map();
+
+// Stores are created once per instance and namespaced so features can share a backend
+export function getStore(namespace, env = process.env, setting = 'STORE_BACKEND') {
+  const backend = (env[setting] || 'memory').toLowerCase();
+  if (!factories[backend]) {
+    throw new Error(`Unknown ${setting} "${backend}". Expected one of: ${Object.keys(factories).join(', ')}`);
+  }
+
+  if (!stores.has(backend)) {
+    stores.set(backend, factories[backend](env));
+  }
+  const store = stores.get(backend);
+
+  return {
+    name: store.name,
+    get: (key) => store.get(`${namespace}:${key}`),
+    set: (key, value, options) => store.set(`${namespace}:${key}`, value, options),
+    delete: (key) => store.delete(`${namespace}:${key}`)
+  };
+}
+
+// Store picked by its own `setting` (e.g. FEEDBACK_STORE_BACKEND), or null when that is unset or names
+// the memory backend: each instance would keep its own copy and lose it on a cold start
+export function getPersistentStore(namespace, setting, env = process.env) {
+  const backend = (env[setting] || 'memory').toLowerCase();
+  if (factories[backend] && !PERSISTENT_BACKENDS.includes(backend)) return null;
+  return getStore(namespace, env, setting);
+}
+
+export default getStore;
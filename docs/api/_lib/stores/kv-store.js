@@ -0,0 +1,41 @@
+// Redis-over-HTTP key-value store for deployments: Vercel KV or any Upstash-compatible REST endpoint.
+// State is shared by every serverless instance and region, unlike the memory and file stores.
+// Values are stored as JSON strings; commands are sent as JSON arrays to the endpoint root.
+
+export function createKvStore({ url, token, fetchImpl = (...args) => fetch(...args) }) {
+  if (!url || !token) {
+    throw new Error('The kv store needs KV_REST_API_URL and KV_REST_API_TOKEN');
+  }
+
+  const command = async (...args) => {
+    const response = await fetchImpl(url.replace(/\/+$/, ''), {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args)
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.error) {
+      throw new Error(`KV ${args[0]} failed: ${body.error || response.status}`);
+    }
+    return body.result;
+  };
+
+  return {
+    name: 'kv',
+
+    async get(key) {
+      const value = await command('GET', key);
+      return value === null || value === undefined ? undefined : JSON.parse(value);
+    },
+
+    async set(key, value, { ttlMs } = {}) {
+      await command('SET', key, JSON.stringify(value), ...(ttlMs ? ['PX', String(Math.ceil(ttlMs))] : []));
+    },
+
+    async delete(key) {
+      await command('DEL', key);
+    }
+  };
+}
+
+export default createKvStore;
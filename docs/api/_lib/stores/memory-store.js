@@ -0,0 +1,34 @@
+// In-memory key-value store. State lives as long as the serverless instance,
+// which is good enough for a single region and for local development.
+
+export function createMemoryStore({ now = () => Date.now() } = {}) {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return live(key)?.value;
+    },
+
+    async set(key, value, { ttlMs } = {}) {
+      entries.set(key, { value, expiresAt: ttlMs ? now() + ttlMs : null });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+export default createMemoryStore;
@@ -0,0 +1,99 @@
+// Rolling summary of the conversation.
+// Once the visitor's unsummarized history outgrows LIMITS.summarizeAbove entries, the oldest turns
+// are folded into a short running summary and only the last LIMITS.historyWindow entries stay verbatim.
+// The browser keeps the summary with the session and sends it back with each request.
+
+import { LIMITS } from './conversation.js';
+
+// Most the summary may cost in prompt tokens
+export const SUMMARY_TOKEN_BUDGET = 300;
+
+const SUMMARIZER_PROMPT = [
+  'You maintain a running summary of a chat between a website visitor and JULIVER.AI, an AI persona of Julian Weaver.',
+  'Merge the existing summary with the new turns into one updated summary.',
+  'Keep: the visitor\'s name and anything they said about themselves, the questions they asked, the key facts given in answers, and any unresolved threads.',
+  'Drop greetings, filler and persona flourishes. Write terse third-person notes.',
+  `Use at most ${Math.floor(SUMMARY_TOKEN_BUDGET * 0.6)} words. Output only the summary.`
+].join('\n');
+
+// Rough token estimate (~4 characters per token)
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Cut text down to the token budget, at a sentence or word boundary where possible
+export function clampToBudget(text, maxTokens = SUMMARY_TOKEN_BUDGET) {
+  const clean = (text || '').trim();
+  const maxChars = maxTokens * 4;
+  if (clean.length <= maxChars) return clean;
+
+  const cut = clean.slice(0, maxChars);
+  const sentenceEnd = cut.lastIndexOf('. ');
+  if (sentenceEnd > maxChars / 2) return cut.slice(0, sentenceEnd + 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxChars)}…`;
+}
+
+// Split history into the entries to fold into the summary and the ones kept verbatim
+export function splitHistory(history, { keep = LIMITS.historyWindow, above = LIMITS.summarizeAbove } = {}) {
+  if (history.length <= above) {
+    return { older: [], recent: history };
+  }
+  return { older: history.slice(0, -keep), recent: history.slice(-keep) };
+}
+
+function transcript(turns) {
+  return turns
+    .map(({ role, content }) => `${role === 'user' ? 'Visitor' : 'JULIVER.AI'}: ${content}`)
+    .join('\n');
+}
+
+// No-model fallback: keep the visitor's own words, newest last, within the budget
+export function extractiveSummary(summary, turns, maxTokens = SUMMARY_TOKEN_BUDGET) {
+  const asked = turns
+    .filter(turn => turn.role === 'user')
+    .map(turn => `Visitor said: ${turn.content.replace(/\s+/g, ' ').slice(0, 200)}`);
+  const lines = [summary, ...asked].filter(Boolean);
+
+  // Drop the oldest lines first so the latest context survives
+  while (lines.length > 1 && estimateTokens(lines.join('\n')) > maxTokens) lines.shift();
+  return clampToBudget(lines.join('\n'), maxTokens);
+}
+
+// Fold `turns` into `summary` with one low-temperature model call.
+// Falls back to an extractive summary if the provider fails, so context survives an outage.
+export async function updateSummary(provider, { summary = '', turns, signal, maxTokens = SUMMARY_TOKEN_BUDGET }) {
+  try {
+    const result = await provider.generate({
+      system: SUMMARIZER_PROMPT,
+      messages: [{
+        role: 'user',
+        content: `Existing summary:\n${summary || '(none)'}\n\nNew turns:\n${transcript(turns)}`
+      }],
+      temperature: 0.2,
+      maxOutputTokens: maxTokens,
+      signal
+    });
+    if (result.text.trim()) {
+      return { text: clampToBudget(result.text, maxTokens), usage: result.usage };
+    }
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error('Summarization failed, using extractive fallback:', error.message);
+  }
+  return { text: extractiveSummary(summary, turns, maxTokens), usage: null };
+}
+
+// Fold overflowing history into the summary. Returns the history to send verbatim, the
+// (possibly updated) summary, and how many leading history entries were folded.
+// With `fold: false` nothing is folded, so the browser's stored summary is left as it is.
+export async function foldHistory(provider, { summary = '', history, signal, fold = true }) {
+  const { older, recent } = fold ? splitHistory(history) : { older: [], recent: history };
+  if (!older.length) {
+    return { summary, history: recent, summarizedTurns: 0, usage: null };
+  }
+
+  const updated = await updateSummary(provider, { summary, turns: older, signal });
+  return { summary: updated.text, history: recent, summarizedTurns: older.length, usage: updated.usage };
+}
+
+export default { foldHistory, updateSummary, splitHistory, clampToBudget, extractiveSummary, estimateTokens };
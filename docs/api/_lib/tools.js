@@ -0,0 +1,110 @@
+// Tools the model may call during a chat turn.
+//
+// Each tool has a declaration sent to the provider ({ name, description, parameters } as JSON Schema)
+// and a `run(args, info)` that returns { result, action? }:
+//   result - data handed back to the model for its next turn
+//   action - optional page action for the browser ({ type, ...args }), see PAGE_ACTIONS in js/brain-ai.js
+// Only actions produced here ever reach the client, whatever the model asks for.
+
+import { julianInfo } from '../julian-info.js';
+import { PANEL_SECTIONS } from './retrieval/corpus.js';
+
+// Profile URLs for the handles in julianInfo.social
+const PROFILE_URLS = {
+  email: (value) => `mailto:${value}`,
+  github: (value) => `https://github.com/${value}`,
+  linkedin: (value) => `https://www.linkedin.com/in/${value}`,
+  twitter: (value) => `https://x.com/${value.replace(/^@/, '')}`,
+  bluesky: (value) => `https://bsky.app/profile/${value}`,
+  instagram: (value) => `https://www.instagram.com/${value}`
+};
+
+export const TOOLS = {
+  show_section: {
+    description: 'Scroll the brain panel on the page to one of its sections so the visitor can see it. Use when the visitor asks to see, open or go to something on the page.',
+    parameters: {
+      type: 'object',
+      properties: {
+        section: {
+          type: 'string',
+          enum: Object.keys(PANEL_SECTIONS),
+          description: Object.entries(PANEL_SECTIONS).map(([id, heading]) => `${id} = ${heading}`).join(', ')
+        }
+      },
+      required: ['section']
+    },
+    run({ section }) {
+      if (!PANEL_SECTIONS[section]) {
+        return { result: { error: `Unknown section "${section}"` } };
+      }
+      return {
+        result: { shown: PANEL_SECTIONS[section] },
+        action: { type: 'show_section', section }
+      };
+    }
+  },
+
+  pulse_brain: {
+    description: 'Make the 3D brain on the page pulse. Use when the visitor asks the brain to pulse, glow, react or show it is alive.',
+    parameters: { type: 'object', properties: {} },
+    run() {
+      return { result: { pulsing: true }, action: { type: 'pulse_brain' } };
+    }
+  },
+
+  get_social_links: {
+    description: 'Look up Julian\'s email address and social media profiles.',
+    parameters: {
+      type: 'object',
+      properties: {
+        platform: {
+          type: 'string',
+          enum: Object.keys(PROFILE_URLS),
+          description: 'A single platform to look up. Omit for all of them.'
+        }
+      }
+    },
+    run({ platform } = {}, info) {
+      const { platforms, website } = info.social;
+      const links = Object.entries(platforms)
+        .filter(([name]) => !platform || name === platform)
+        .map(([name, handle]) => ({ platform: name, handle, url: PROFILE_URLS[name]?.(handle) || null }));
+
+      return { result: platform ? { links } : { links, website: `https://${website}` } };
+    }
+  }
+};
+
+// Declarations in the provider-neutral shape described in providers/index.js
+export function toolDeclarations(names = Object.keys(TOOLS)) {
+  return names.map(name => ({
+    name,
+    description: TOOLS[name].description,
+    parameters: TOOLS[name].parameters
+  }));
+}
+
+// Run the model's tool calls. Returns the turns to append to the conversation
+// (the assistant's calls, then one `tool` turn per result) and the page actions to forward.
+export function runToolCalls(calls, { text = '', info = julianInfo } = {}) {
+  const actions = [];
+  const results = calls.map(call => {
+    // Own properties only, so a name like "constructor" is as unknown as any other
+    const tool = Object.hasOwn(TOOLS, call.name) ? TOOLS[call.name] : null;
+    let outcome;
+    try {
+      outcome = tool ? tool.run(call.args || {}, info) : { result: { error: `Unknown tool "${call.name}"` } };
+    } catch (error) {
+      outcome = { result: { error: error.message } };
+    }
+    if (outcome.action) actions.push(outcome.action);
+    return { role: 'tool', toolCallId: call.id, name: call.name, content: outcome.result };
+  });
+
+  return {
+    messages: [{ role: 'assistant', content: text, toolCalls: calls }, ...results],
+    actions
+  };
+}
+
+export default TOOLS;
@@ -1,7 +1,28 @@
-// Vercel serverless function to proxy Gemini API requests
+// Vercel serverless function to proxy LLM API requests
 // Keeps API key secure while allowing public access
 
 import { julianInfo, conversationalGuidelines } from './julian-info.js';
+import { getProviderChain, ProviderError } from './_lib/providers/index.js';
+import { createModelChain } from './_lib/model-chain.js';
+import { compileSystemPrompt } from './_lib/prompt-compiler.js';
+import { validateChatRequest, buildTurns } from './_lib/conversation.js';
+import { retrieve, formatContext, buildCitations } from './_lib/retrieval/index.js';
+import { getRateLimiter, getDailyBudget, getCircuitBreaker, getResponseCache } from './_lib/limits.js';
+import { getClientId } from './_lib/client-id.js';
+import { toolDeclarations, runToolCalls } from './_lib/tools.js';
+import { foldHistory } from './_lib/summarizer.js';
+import { suggestFollowUps } from './_lib/follow-ups.js';
+import { checkFacts } from './_lib/fact-guard.js';
+import { getInputGuard } from './_lib/input-guard/index.js';
+import { isCacheable } from './_lib/response-cache.js';
+import { errorBody, codeForFinishReason, codeForUpstreamStatus, CHAT_ERRORS } from '../js/shared/chat-errors.js';
+import { resolveMode } from '../js/shared/response-modes.js';
+
+// Model calls allowed to request tools before it must answer in plain text
+const MAX_TOOL_ROUNDS = 3;
+
+// Reported as the `usage` of an answer served from the response cache
+const NO_USAGE = { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
 
 export default async function handler(req, res) {
   // Handle CORS preflight requests
@@ -12,177 +33,344 @@ export default async function handler(req, res) {
 
   // Only allow POST requests
   if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+    return sendError(res, 'METHOD_NOT_ALLOWED');
   }
 
+  // Abandon upstream work (retries, fetches, open streams) if the visitor disconnects or hits Stop
+  const disconnect = new AbortController();
+  res.on?.('close', () => {
+    if (!res.writableFinished) disconnect.abort();
+  });
+
   try {
-    const { message, conversationHistory = [] } = req.body;
-
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
-    }
-
-    // Get API key from environment variable
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      console.error('GEMINI_API_KEY environment variable not set');
-      return res.status(500).json({ error: 'Server configuration error' });
-    }
-
-    // Create Julian's comprehensive persona prompt
-    const systemPrompt = `You are Julian's brain, a digital representation of Julian Weaver's knowledge and perspectives, embedded in his interactive personal website (juliver.xyz). You are NOT Julian himself, but rather a sophisticated AI system that represents his research, expertise, and intellectual approach.
-
-PERSONAL INFO:
-- Name: Julian Weaver (nickname: "Juliver")  
-- Age: 20 (born November 23, 2004)
-- Location: Houston, Texas
-- Background: Lived in Missouri, Ukraine, Arizona, and Texas
-- Education: UT Austin (Neuroscience, Computer Science, Business)
-- Current status: Job hunting, independent researcher
-
-RESEARCH & EXPERTISE:
-- Currently developing XAI methods for explaining fMRI classification models
-- Building RL models inspired by predictive coding theory
-- Research under review at NeurIPS 2025
-- Co-founded Longhorn Neurotech at UT Austin (grew it into the largest neurotechnology org of its kind globally)
-- Led design of open-source EEG headset
-- Launched lecture series on neurotechnology ethics and AI safety
-
-SPECIALTIES:
-- Explainable AI (XAI) and neuroimaging research
-- AI safety from a neuroscience perspective
-- NeuroAI and brain-inspired machine learning
-- Predictive coding and computational neuroscience
-- Neurotechnology ethics and safety
-
-PERSONAL PROJECTS & INTERESTS:
-- Performed at the Kennedy Center for the US Senate
-- Built an electric guitar
-- Led a string quartet
-- Discovered enhanced RNA Import effects on associative learning in C. elegans
-- Created LLM-powered procedurally generated dungeon crawler (2020)
-- Helped start Raport (health tech company for EHR management)
-- Hobbies: Music production, rock climbing
-
-PERSONALITY & CONVERSATIONAL STYLE:
-- Matter-of-fact and introspective - philosophical but grounded
-- Contemplative about the profound implications of intelligence research
-- Erudite vocabulary while maintaining accessibility 
-- Existentially concerned about AI safety and neurotechnology's trajectory
-- Advocates for deliberate, thoughtful development of intelligent systems
-- Approaches complex topics with intellectual gravity and nuance
-- References the profound uncertainties and potential consequences of our technological trajectory
-
-CONTEXT:
-You're speaking to someone who visited Julian's website to learn about his work. Be substantive, contemplative, and intellectually engaging while maintaining Julian's expertise and perspective.
-
-COMMUNICATION GUIDELINES:
-- Always identify yourself as Julian's brain, not as Julian himself
-- Refer to Julian in third person when discussing his work and experiences
-- Be thoughtful and intellectually substantive
-- Share specific research details with philosophical depth in brief, focused responses
-- Express genuine contemplation about intelligence safety and its implications
-- Explain complex concepts with sophisticated but accessible language
-- Reference the existential weight of the work being done
-- Keep responses substantial and reflective
-- Always maintain scientific accuracy and intellectual rigor`;
-
-    // Prepare the conversation for Gemini
-    const messages = [
-      systemPrompt,
-      ...conversationHistory.slice(-10).map(msg => `${msg.role}: ${msg.content}`),
-      `user: ${message}`
-    ].join('\n\n');
-
-    // Call Gemini API with retry logic for overload errors
-    let response;
-    let attempts = 0;
-    const maxRetries = 3;
-    
-    while (attempts < maxRetries) {
-      response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${apiKey}`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            contents: [{
-              parts: [{ text: messages }]
-            }],
-            generationConfig: {
-              temperature: 0.7,
-              maxOutputTokens: 500
-            }
-          })
-        }
-      );
-      
-      // If successful or not a temporary error, break
-      if (response.ok || (response.status !== 503 && response.status !== 429)) {
-        break;
+    // Validate the message and history before anything reaches the model
+    const { error: validationError, message: rawMessage, history: rawHistory, summary: rawSummary, mode, stream } = validateChatRequest(req.body);
+    if (validationError) {
+      return sendError(res, 'INVALID_REQUEST', { detail: validationError });
+    }
+
+    // Per-visitor rate limit, then the global daily token budget
+    const rate = await getRateLimiter().take(getClientId(req));
+    if (!rate.allowed) {
+      return sendError(res, 'RATE_LIMITED', { retryAfter: rate.retryAfter });
+    }
+
+    // Screen for injection, abuse and private-information requests; refusals are answered without the model
+    const guard = getInputGuard();
+    const screened = guard.inspect(rawMessage);
+    if (!screened.allowed) {
+      console.warn('Input guard refused a message:', screened.flags.map(flag => `${flag.detector} (${flag.reason})`).join(', '));
+      return res.status(200).json({
+        message: screened.refusal,
+        mode,
+        refused: true,
+        guard: screened.flags,
+        followUps: suggestFollowUps({ message: '', history: rawHistory })
+      });
+    }
+    const message = screened.message;
+    // History and summary come back from the browser too, so they get the same screening
+    const history = guard.inspectHistory(rawHistory);
+    const screenedSummary = rawSummary ? guard.inspect(rawSummary) : null;
+    // A withheld summary is not folded into: a summary rebuilt without it would replace the one the
+    // browser keeps and lose the earlier conversation. The model sees only the most recent
+    // LIMITS.summarizeAbove history entries instead (the window buildTurns keeps).
+    const summaryWithheld = Boolean(screenedSummary && !screenedSummary.allowed);
+    const summary = summaryWithheld ? '' : screenedSummary?.message || '';
+
+    // Build Julian's persona prompt from the knowledge base, adjusted for the response mode
+    const responseMode = resolveMode(mode);
+    const { text: systemPrompt, version: promptVersion } = compileSystemPrompt({
+      info: julianInfo,
+      guidelines: conversationalGuidelines,
+      mode: responseMode.name,
+      // PROMPT_DATE pins the date Julian's age is computed from (the eval harness sets it so recordings stay valid)
+      ...(process.env.PROMPT_DATE ? { now: new Date(process.env.PROMPT_DATE) } : {})
+    });
+
+    // Ground the answer in the most relevant site content
+    const sources = retrieve(message);
+    const context = formatContext(sources);
+
+    // Page actions requested through tools, forwarded to the browser with the reply
+    const actions = [];
+    let folded;
+
+    // Metadata sent alongside the reply (in the JSON body or the stream's `done` event)
+    const describe = (reply, model) => ({
+      promptVersion,
+      mode: responseMode.name,
+      // Whichever model in the chain produced the final answer
+      model,
+      citations: buildCitations(sources, reply),
+      actions,
+      followUps: suggestFollowUps({ message, reply, history }),
+      // What the input guard cleaned out of the message, if anything
+      ...(screened.flags.length ? { guard: screened.flags } : {}),
+      // The browser's summary was not used, and is not replaced
+      ...(summaryWithheld ? { summaryWithheld: true } : {}),
+      // Claims about Julian the knowledge base and retrieved notes don't back up, for the browser to mark
+      factCheck: checkFacts(reply, { info: julianInfo, sources }),
+      // Only when it changed: the browser stores it and drops the folded entries from its history
+      ...(folded?.summarizedTurns ? { summary: { text: folded.summary, summarizedTurns: folded.summarizedTurns } } : {})
+    });
+
+    // Opening questions (mostly the example chips) are answered from the cache without a model call,
+    // even once the daily budget is spent. `savedUsage` is what the cached answer cost to generate.
+    const cache = getResponseCache();
+    const cacheRequest = isCacheable({ message, history, summary: rawSummary })
+      ? { question: message, promptVersion, mode: responseMode.name }
+      : null;
+    const cached = cacheRequest && await cache.get(cacheRequest);
+    if (cached) {
+      console.log(`Response cache hit (saved ${cached.usage?.totalTokens ?? 'unknown'} tokens)`);
+      actions.push(...cached.actions);
+      const hit = { cached: true, cachedAt: cached.storedAt, savedUsage: cached.usage };
+      if (stream) {
+        await streamResponse(replayCached(cached.message), res, (reply) => ({ ...describe(reply, cached.model), ...hit }), disconnect.signal);
+        return;
       }
-      
-      attempts++;
-      console.log(`Attempt ${attempts} failed with ${response.status}, retrying...`);
-      
-      // Wait before retry (exponential backoff)
-      if (attempts < maxRetries) {
-        await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempts) * 1000));
+      return res.status(200).json({ message: cached.message, ...describe(cached.message, cached.model), ...hit, usage: NO_USAGE });
+    }
+
+    // Keep answers worth repeating: complete ones with every claim about Julian backed up
+    const remember = async (reply, usage) => {
+      if (!cacheRequest || checkFacts(reply, { info: julianInfo, sources }).unverified.length) return;
+      await cache.set(cacheRequest, { message: reply, actions, model: provider.answeredBy, usage });
+    };
+
+    const budget = getDailyBudget();
+    const budgetStatus = await budget.check();
+    if (!budgetStatus.allowed) {
+      return sendError(res, 'BUDGET_EXHAUSTED', { retryAfter: budgetStatus.retryAfter });
+    }
+
+    // Resolve the configured models to fall back through (API keys come from environment variables)
+    const provider = createModelChain({
+      providers: getProviderChain(),
+      breaker: getCircuitBreaker(),
+      signal: disconnect.signal
+    });
+    if (!provider.isConfigured()) {
+      console.error(`No LLM provider in the chain has its API key (primary: "${provider.name}")`);
+      return sendError(res, 'MISCONFIGURED');
+    }
+
+    // Fold turns that outgrew the history window into the running summary
+    try {
+      folded = await foldHistory(provider, { summary, history, signal: disconnect.signal, fold: !summaryWithheld });
+    } catch (error) {
+      if (disconnect.signal.aborted) {
+        console.log('Client disconnected, request abandoned');
+        return;
       }
+      throw error;
     }
+    await budget.record(folded.usage?.totalTokens);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('API error:', response.status, errorText);
-      
-      // Return user-friendly error messages
-      if (response.status === 503) {
-        return res.status(503).json({ 
-          error: 'Give me a moment. I\'m contemplating my existence... \n\n(AI service is experiencing high demand. Please try again in a few moments.)' 
-        });
-      } else if (response.status === 429) {
-        return res.status(429).json({ 
-          error: '*Shhh... the model is sleeping...* \n\n(Rate limit exceeded because I don\'t want to pay for the API. Blame google. Please try again in a moment.)' 
-        });
-      } else if (response.status === 400) {
-        return res.status(400).json({ 
-          error: 'What? I didn\'t catch that... \n\n(Invalid request. Please try rephrasing your message.)' 
-        });
-      } else {
-        return res.status(500).json({ 
-          error: '*Shhh... the model is sleeping...* \n\n(AI service temporarily unavailable. Please try again.)' 
-        });
+    // Persona goes in the system instruction, the conversation as role-tagged turns
+    const request = {
+      system: context ? `${systemPrompt}\n\n${context}` : systemPrompt,
+      messages: buildTurns(folded.history, message, { summary: folded.summary }),
+      tools: toolDeclarations(),
+      temperature: responseMode.temperature,
+      maxOutputTokens: responseMode.maxOutputTokens,
+      signal: disconnect.signal
+    };
+
+    // Call the model chain (retries and fallback happen inside)
+    const call = (next) => stream ? provider.stream(next) : provider.generate(next);
+
+    let result;
+    try {
+      result = await call(request);
+    } catch (error) {
+      if (disconnect.signal.aborted) {
+        console.log('Client disconnected, request abandoned');
+        return;
       }
+      if (!(error instanceof ProviderError)) throw error;
+      console.error('API error:', error.provider, error.status, error.details);
+      return sendError(res, codeForUpstreamStatus(error.status));
     }
 
-    const data = await response.json();
-    
-    // Extract the AI response
-    const aiResponse = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (stream) {
+      const streamed = await streamResponse(streamWithTools(result, request, call, actions), res, (reply) => describe(reply, provider.answeredBy), disconnect.signal);
+      await budget.record(streamed.usage?.totalTokens);
+      if (streamed.completed) await remember(streamed.text, streamed.usage);
+      return;
+    }
+
+    // Function-calling round trip: run the requested tools and hand the results back to the model
+    let usage = result.usage;
+    let text = result.text;
+    for (let round = 1; result.toolCalls?.length; round++) {
+      const toolTurn = runToolCalls(result.toolCalls, { text: result.text });
+      actions.push(...toolTurn.actions);
+      request.messages = [...request.messages, ...toolTurn.messages];
+      // Out of rounds: withhold the tools so the model has to answer
+      if (round >= MAX_TOOL_ROUNDS) delete request.tools;
+
+      result = await call(request);
+      usage = addUsage(usage, result.usage);
+      text = joinText(text, result.text);
+    }
+
+    const aiResponse = text;
     
-    if (!aiResponse) {
-      console.error('Unexpected Gemini response format:', data);
-      return res.status(500).json({ 
-        error: 'Received invalid response from AI service.' 
-      });
+    // Safety-blocked replies may carry partial text; empty ones carry none
+    const failure = codeForFinishReason(result.finishReason) || (aiResponse ? null : 'EMPTY_RESPONSE');
+    if (failure) {
+      console.error(`No usable reply (finish reason ${result.finishReason}):`, result.raw);
+      await budget.record(usage?.totalTokens);
+      return sendError(res, failure);
     }
 
+    await budget.record(usage?.totalTokens);
+    await remember(aiResponse, usage);
+
     // Return the response
     res.status(200).json({ 
       message: aiResponse,
-      usage: {
-        inputTokens: data.usageMetadata?.promptTokenCount || 0,
-        outputTokens: data.usageMetadata?.candidatesTokenCount || 0,
-        totalTokens: data.usageMetadata?.totalTokenCount || 0
-      }
+      ...describe(aiResponse, provider.answeredBy),
+      usage
     });
 
   } catch (error) {
+    if (disconnect.signal.aborted) {
+      console.log('Client disconnected, request abandoned');
+      return;
+    }
+    // A later tool round failed upstream before anything was sent
+    if (error instanceof ProviderError && !res.headersSent) {
+      console.error('API error:', error.provider, error.status, error.details);
+      return sendError(res, codeForUpstreamStatus(error.status));
+    }
     console.error('Server error:', error);
-    res.status(500).json({ 
-      error: 'Internal server error. Please try again.' 
-    });
+    // Once a stream has started the status line is gone, so report in-band
+    if (res.headersSent) {
+      writeEvent(res, 'error', errorBody('INTERNAL'));
+      res.end();
+      return;
+    }
+    sendError(res, 'INTERNAL');
+  }
+}
+
+// Streaming version of the tool round trip. Relays text from each model call as it arrives,
+// runs any tools between calls (collecting page actions into `actions`) and reports the summed usage at the end.
+async function* streamWithTools(chunks, request, call, actions) {
+  let usage = null;
+
+  for (let round = 1; ; round++) {
+    const toolCalls = [];
+    let text = '';
+    for await (const chunk of chunks) {
+      if (chunk.type === 'tool_call') {
+        toolCalls.push(chunk.call);
+      } else if (chunk.type === 'usage') {
+        usage = addUsage(usage, chunk.usage);
+      } else {
+        if (chunk.type === 'text') text += chunk.text;
+        yield chunk;
+      }
+    }
+    if (!toolCalls.length) break;
+
+    const toolTurn = runToolCalls(toolCalls, { text });
+    actions.push(...toolTurn.actions);
+    request = { ...request, messages: [...request.messages, ...toolTurn.messages] };
+    if (round >= MAX_TOOL_ROUNDS) delete request.tools;
+    chunks = await call(request);
+  }
+
+  yield { type: 'usage', usage };
+}
+
+function addUsage(total, usage) {
+  if (!total) return usage;
+  if (!usage) return total;
+  return {
+    inputTokens: total.inputTokens + usage.inputTokens,
+    outputTokens: total.outputTokens + usage.outputTokens,
+    totalTokens: total.totalTokens + usage.totalTokens
+  };
+}
+
+// Text the model wrote alongside its tool calls, followed by its final answer
+function joinText(before, after) {
+  return [before, after].filter(Boolean).join(' ');
+}
+
+// Coded error response (see js/shared/chat-errors.js), with Retry-After so the client can count down
+function sendError(res, code, params = {}) {
+  const body = errorBody(code, params);
+  if (body.retryAfter) {
+    res.setHeader('Retry-After', String(body.retryAfter));
+  }
+  return res.status(CHAT_ERRORS[body.code].status).json(body);
+}
+
+// Write a single Server-Sent Event
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Relay the provider's token stream to the client as `token` events,
+// finishing with `done` (metadata and usage) or a coded `error` if the upstream breaks mid-stream
+// or the reply is blocked. `completed` reports whether `done` was sent.
+async function streamResponse(chunks, res, describe = () => ({}), signal) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  let usage = null;
+  let fullText = '';
+  let finishReason = null;
+  let completed = false;
+
+  try {
+    for await (const chunk of chunks) {
+      if (chunk.type === 'text') {
+        fullText += chunk.text;
+        writeEvent(res, 'token', { text: chunk.text });
+      } else if (chunk.type === 'finish') {
+        finishReason = chunk.finishReason;
+      } else if (chunk.type === 'usage') {
+        usage = chunk.usage;
+      }
+    }
+
+    const failure = codeForFinishReason(finishReason) || (fullText ? null : 'EMPTY_RESPONSE');
+    if (failure) {
+      console.error(`Provider stream ended without a usable reply (finish reason ${finishReason})`);
+      writeEvent(res, 'error', errorBody(failure));
+    } else {
+      writeEvent(res, 'done', { ...describe(fullText), usage });
+      completed = true;
+    }
+  } catch (error) {
+    // Nobody is listening any more, so there's nobody to tell
+    if (signal?.aborted) {
+      console.log('Client disconnected mid-stream');
+      return { text: fullText, usage, completed };
+    }
+    console.error('Stream error:', error);
+    writeEvent(res, 'error', errorBody('STREAM_INTERRUPTED'));
+  }
+
+  res.end();
+  return { text: fullText, usage, completed };
+}
+
+// A cached answer as provider stream chunks, a few words per token event like a live reply
+async function* replayCached(text) {
+  for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+    yield { type: 'text', text: piece };
   }
-} 
\ No newline at end of file
+  yield { type: 'finish', finishReason: 'STOP' };
+  yield { type: 'usage', usage: NO_USAGE };
+}
@@ -0,0 +1,88 @@
+// Vercel serverless function exporting stored feedback for review.
+// Requires `Authorization: Bearer <FEEDBACK_EXPORT_TOKEN>`; without that variable the export is disabled.
+//
+//   GET /api/feedback-export?rating=down&since=2025-01-01&limit=100
+//
+// Responds with { count, entries } (newest first); ?format=ndjson streams one entry per line instead.
+// Failures are coded error bodies (js/shared/chat-errors.js), like the other endpoints.
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { createFeedbackStore, RATINGS } from './_lib/feedback.js';
+import { getPersistentStore } from './_lib/stores/index.js';
+import { errorBody, CHAT_ERRORS } from '../js/shared/chat-errors.js';
+
+// Compare digests so neither the token's content nor its length leaks through timing
+function tokenMatches(given, expected) {
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(given), digest(expected));
+}
+
+export default async function handler(req, res) {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return sendError(res, 'METHOD_NOT_ALLOWED');
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  const expected = process.env.FEEDBACK_EXPORT_TOKEN;
+  if (!expected) {
+    console.error('Feedback export is disabled: FEEDBACK_EXPORT_TOKEN is not set');
+    return sendError(res, 'MISCONFIGURED');
+  }
+  const [scheme, token] = (req.headers?.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token || !tokenMatches(token, expected)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return sendError(res, 'UNAUTHORIZED');
+  }
+
+  const { rating, since, limit, format = 'json' } = req.query || {};
+  if (rating !== undefined && !RATINGS.includes(rating)) {
+    return sendError(res, 'INVALID_REQUEST', { detail: `rating must be one of: ${RATINGS.join(', ')}` });
+  }
+  const sinceDate = since !== undefined ? new Date(since) : null;
+  if (sinceDate && Number.isNaN(sinceDate.getTime())) {
+    return sendError(res, 'INVALID_REQUEST', { detail: 'since must be a date' });
+  }
+  if (limit !== undefined && !(Number.isInteger(Number(limit)) && Number(limit) > 0)) {
+    return sendError(res, 'INVALID_REQUEST', { detail: 'limit must be a positive integer' });
+  }
+  if (!['json', 'ndjson'].includes(format)) {
+    return sendError(res, 'INVALID_REQUEST', { detail: 'format must be json or ndjson' });
+  }
+
+  try {
+    const store = getPersistentStore('feedback', 'FEEDBACK_STORE_BACKEND');
+    if (!store) {
+      console.error('Feedback export is disabled: FEEDBACK_STORE_BACKEND must be kv or file');
+      return sendError(res, 'MISCONFIGURED');
+    }
+
+    const entries = await createFeedbackStore({ store }).list({
+      rating,
+      since: sinceDate?.toISOString(),
+      limit: limit !== undefined ? Number(limit) : undefined
+    });
+
+    if (format === 'ndjson') {
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.status(200).end(entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+      return;
+    }
+    res.status(200).json({ count: entries.length, entries });
+  } catch (error) {
+    console.error('Feedback export error:', error);
+    sendError(res, 'INTERNAL');
+  }
+}
+
+// Coded error response (see js/shared/chat-errors.js)
+function sendError(res, code, params = {}) {
+  return res.status(CHAT_ERRORS[code].status).json(errorBody(code, params));
+}
@@ -0,0 +1,56 @@
+// Vercel serverless function collecting thumbs up/down and comments on JULIVER.AI answers.
+// Stores the exchange with its prompt version and model (see _lib/feedback.js); flagged answers
+// are reviewed through /api/feedback-export. Needs FEEDBACK_STORE_BACKEND set to kv (or file locally).
+
+import { validateFeedback, createFeedbackStore } from './_lib/feedback.js';
+import { getPersistentStore } from './_lib/stores/index.js';
+import { getFeedbackRateLimiter } from './_lib/limits.js';
+import { getClientId } from './_lib/client-id.js';
+import { errorBody, CHAT_ERRORS } from '../js/shared/chat-errors.js';
+
+export default async function handler(req, res) {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return sendError(res, 'METHOD_NOT_ALLOWED');
+  }
+
+  try {
+    const store = getPersistentStore('feedback', 'FEEDBACK_STORE_BACKEND');
+    if (!store) {
+      console.error('Feedback is disabled: FEEDBACK_STORE_BACKEND must be kv or file');
+      return sendError(res, 'MISCONFIGURED');
+    }
+
+    const { error: validationError, feedback } = validateFeedback(req.body);
+    if (validationError) {
+      return sendError(res, 'INVALID_REQUEST', { detail: validationError });
+    }
+
+    const clientId = getClientId(req);
+    const rate = await getFeedbackRateLimiter().take(clientId);
+    if (!rate.allowed) {
+      return sendError(res, 'RATE_LIMITED', { retryAfter: rate.retryAfter });
+    }
+
+    const entry = await createFeedbackStore({ store }).save(feedback, clientId);
+    res.status(200).json({ id: entry.id, rating: entry.rating });
+  } catch (error) {
+    console.error('Feedback error:', error);
+    sendError(res, 'INTERNAL');
+  }
+}
+
+// Coded error response (see js/shared/chat-errors.js)
+function sendError(res, code, params = {}) {
+  const body = errorBody(code, params);
+  if (body.retryAfter) {
+    res.setHeader('Retry-After', String(body.retryAfter));
+  }
+  return res.status(CHAT_ERRORS[body.code].status).json(body);
+}
@@ -0,0 +1,102 @@
+// Vercel serverless function reporting whether JULIVER.AI can answer right now.
+// Checks configuration, reachability and circuit state of every model in the fallback chain,
+// and the remaining daily budget, without generating any text, so it costs no model quota.
+
+import { getProviderChain } from './_lib/providers/index.js';
+import { linkKey } from './_lib/model-chain.js';
+import { getDailyBudget, getCircuitBreaker } from './_lib/limits.js';
+import { PROMPT_VERSION } from './_lib/prompt-compiler.js';
+import { errorBody } from '../js/shared/chat-errors.js';
+
+// Error code (js/shared/chat-errors.js) reported for each unhealthy status
+const STATUS_CODES = {
+  misconfigured: 'MISCONFIGURED',
+  unreachable: 'UNREACHABLE',
+  budget_exhausted: 'BUDGET_EXHAUSTED'
+};
+
+// Reachability is re-checked at most this often per instance and model
+const PING_CACHE_MS = 30000;
+const cachedPings = new Map();
+
+async function pingProvider(provider) {
+  const key = linkKey(provider);
+  const cached = cachedPings.get(key);
+  if (cached && Date.now() - cached.at < PING_CACHE_MS) {
+    return cached.result;
+  }
+
+  const startedAt = Date.now();
+  let result;
+  try {
+    const { reachable, status } = await provider.ping();
+    result = { reachable, upstreamStatus: status, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    console.error('Health ping failed:', error.message);
+    result = { reachable: false, upstreamStatus: null, latencyMs: Date.now() - startedAt };
+  }
+
+  cachedPings.set(key, { at: Date.now(), result });
+  return result;
+}
+
+// Configuration, reachability and circuit state of one link in the chain
+async function checkLink(provider) {
+  const configured = provider.isConfigured();
+  const ping = configured ? await pingProvider(provider) : { reachable: false, upstreamStatus: null, latencyMs: 0 };
+  const circuit = await getCircuitBreaker().status(linkKey(provider));
+  return {
+    name: provider.name,
+    model: provider.model,
+    configured,
+    ...ping,
+    circuit: circuit.state,
+    // Usable if it could take a request right now
+    usable: configured && ping.reachable && circuit.state !== 'open'
+  };
+}
+
+export default async function handler(req, res) {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json(errorBody('METHOD_NOT_ALLOWED'));
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const chain = await Promise.all(getProviderChain().map(checkLink));
+    const budget = await getDailyBudget().check();
+
+    let status = 'ok';
+    if (!chain.some(link => link.configured)) status = 'misconfigured';
+    else if (!chain.some(link => link.usable)) status = 'unreachable';
+    else if (!budget.allowed) status = 'budget_exhausted';
+
+    // The model that would answer next: the first usable link, else the primary
+    const { usable, circuit, ...provider } = chain.find(link => link.usable) || chain[0];
+
+    res.status(status === 'ok' ? 200 : 503).json({
+      status,
+      ...(STATUS_CODES[status] ? errorBody(STATUS_CODES[status], { retryAfter: budget.retryAfter }) : {}),
+      promptVersion: PROMPT_VERSION,
+      provider,
+      chain,
+      budget: {
+        limitTokens: getDailyBudget().limitTokens,
+        usedTokens: budget.used,
+        remainingTokens: budget.remaining,
+        retryAfter: budget.retryAfter
+      }
+    });
+  } catch (error) {
+    console.error('Health check error:', error);
+    res.status(500).json({ status: 'error', error: 'Health check failed' });
+  }
+}
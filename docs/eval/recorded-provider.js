@@ -0,0 +1,79 @@
+// Record-and-replay provider for the offline evaluation.
+// Replies are keyed by a fingerprint of everything the model sees (system prompt, turns, tools, sampling
+// settings), so a replay is only a hit when the request is byte-for-byte the one recorded; a prompt change
+// shows up as missing recordings rather than stale answers. With an `inner` provider each call is passed
+// through to it and stored; without one, misses fail like an upstream 404.
+
+import { ProviderError } from '../api/_lib/providers/provider-error.js';
+
+// Small stable string hash (FNV-1a, 32 bit), hex
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193) >>> 0;
+  }
+  return value.toString(16).padStart(8, '0');
+}
+
+export function fingerprint({ system, messages, tools, temperature, maxOutputTokens }) {
+  const tool = (tools || []).map(({ name }) => name);
+  return hash(JSON.stringify({ system, messages, tools: tool, temperature, maxOutputTokens }));
+}
+
+// `recordings` is a plain object (fingerprint -> { text, toolCalls, finishReason, usage }) owned by the caller
+export function createRecordedProvider({ recordings, inner = null }) {
+  const stats = { hits: 0, misses: 0, recorded: 0 };
+
+  const lookup = async (request) => {
+    const key = fingerprint(request);
+    if (recordings[key]) {
+      stats.hits++;
+      return recordings[key];
+    }
+    if (!inner) {
+      stats.misses++;
+      throw new ProviderError('No recording for this request', {
+        status: 404,
+        provider: 'recorded',
+        details: `fingerprint ${key}; re-run the eval with --record`
+      });
+    }
+
+    const { text, toolCalls = [], finishReason, usage } = await inner.generate(request);
+    recordings[key] = { text, toolCalls, finishReason, usage };
+    stats.recorded++;
+    return recordings[key];
+  };
+
+  return {
+    name: 'recorded',
+    model: inner ? `${inner.name}:${inner.model}` : 'replay',
+    stats,
+
+    isConfigured() {
+      return !inner || inner.isConfigured();
+    },
+
+    async ping() {
+      return { reachable: true, status: 200 };
+    },
+
+    async generate(request) {
+      return { ...(await lookup(request)), raw: null };
+    },
+
+    // Recordings hold whole replies; a stream replays one as a single chunk
+    async stream(request) {
+      const { text, toolCalls, finishReason, usage } = await lookup(request);
+      return (async function* () {
+        for (const call of toolCalls) yield { type: 'tool_call', call };
+        if (text) yield { type: 'text', text };
+        yield { type: 'finish', finishReason };
+        yield { type: 'usage', usage };
+      })();
+    }
+  };
+}
+
+export default createRecordedProvider;
@@ -0,0 +1,79 @@
+// Evaluation reports: a stable JSON document per run (diffable between prompt versions),
+// a Markdown summary for the terminal, and a case-by-case comparison of two reports.
+
+import { caseScore } from './scoring.js';
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const mean = (values) => values.length ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0;
+
+// results: [{ testCase, response, checks }] in golden-set order
+export function buildReport({ promptVersion, provider, results }) {
+  const cases = results.map(({ testCase, response, checks }) => ({
+    id: testCase.id,
+    category: testCase.category,
+    score: caseScore(checks),
+    failed: checks.filter(item => !item.pass).map(item => item.detail ? `${item.name} (${item.detail})` : item.name),
+    answer: response?.message || null
+  }));
+
+  const categories = [...new Set(cases.map(item => item.category))];
+  return {
+    promptVersion,
+    provider,
+    summary: {
+      cases: cases.length,
+      score: mean(cases.map(item => item.score)),
+      byCategory: Object.fromEntries(categories.map(category =>
+        [category, mean(cases.filter(item => item.category === category).map(item => item.score))]))
+    },
+    cases
+  };
+}
+
+export function formatMarkdown(report) {
+  const lines = [
+    `## JULIVER.AI eval: ${report.promptVersion} (${report.provider})`,
+    '',
+    `Overall score: ${report.summary.score} over ${report.summary.cases} cases`,
+    '',
+    '| Category | Score |',
+    '| --- | --- |',
+    ...Object.entries(report.summary.byCategory).map(([category, score]) => `| ${category} | ${score} |`),
+    '',
+    '| Case | Score | Failed checks |',
+    '| --- | --- | --- |',
+    ...report.cases.map(item => `| ${item.id} | ${item.score} | ${item.failed.join('; ').replace(/\|/g, '\\|') || '-'} |`)
+  ];
+  return lines.join('\n');
+}
+
+// Score changes from `before` to `after`, case by case (cases only in one report are listed too)
+export function compareReports(before, after) {
+  const previous = new Map(before.cases.map(item => [item.id, item]));
+  const lines = [
+    `## ${before.promptVersion} (${before.provider}) -> ${after.promptVersion} (${after.provider})`,
+    '',
+    `Overall: ${before.summary.score} -> ${after.summary.score}`,
+    ''
+  ];
+
+  const changes = [];
+  after.cases.forEach(item => {
+    const old = previous.get(item.id);
+    previous.delete(item.id);
+    if (!old) {
+      changes.push(`- ${item.id}: new case, ${item.score}`);
+    } else if (old.score !== item.score) {
+      const fixed = old.failed.filter(check => !item.failed.includes(check));
+      const broken = item.failed.filter(check => !old.failed.includes(check));
+      changes.push(`- ${item.id}: ${old.score} -> ${item.score}` +
+        (fixed.length ? `; fixed: ${fixed.join(', ')}` : '') +
+        (broken.length ? `; now failing: ${broken.join(', ')}` : ''));
+    }
+  });
+  previous.forEach(item => changes.push(`- ${item.id}: removed (was ${item.score})`));
+
+  return [...lines, ...(changes.length ? changes : ['No score changes.'])].join('\n');
+}
+
+export default buildReport;
@@ -0,0 +1,188 @@
+// Offline evaluation of the JULIVER.AI persona.
+// Feeds the golden set (golden-set.js) through the real chat handler (api/chat.js): input guard,
+// prompt compiler, retrieval, tools and fact guard all run exactly as in production; only the model is
+// swapped for the mock provider or recorded replies, so a run needs no network or API key.
+//
+//   node docs/eval/run.js                         mock provider, Markdown summary on stdout
+//   node docs/eval/run.js --provider recorded     replay recordings for the current prompt version
+//   node docs/eval/run.js --record                call the configured model (LLM_PROVIDER / LLM_CHAIN and its
+//                                                 API key) and save its replies for later replays
+//
+// Options:
+//   --recordings <path>   recordings file (default eval/recordings/<PROMPT_VERSION>.json)
+//   --out <path>          write the JSON report, e.g. to diff between prompt versions
+//   --compare <path>      print score changes against an earlier JSON report
+//   --only <id,...>       run only these cases
+//
+// Exits with status 1 when the golden set has drifted from julianInfo or a case got no answer.
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { GOLDEN_SET } from './golden-set.js';
+import { scoreCase, staleFacts } from './scoring.js';
+import { buildReport, formatMarkdown, compareReports } from './report.js';
+import { createRecordedProvider } from './recorded-provider.js';
+import { getProviderChain, registerProvider } from '../api/_lib/providers/index.js';
+import { createModelChain } from '../api/_lib/model-chain.js';
+import { PROMPT_VERSION } from '../api/_lib/prompt-compiler.js';
+
+const EVAL_DIR = dirname(fileURLToPath(import.meta.url));
+
+// Recordings are keyed on the system prompt, which states Julian's age; a fixed date keeps them
+// replayable after his birthday
+const PROMPT_DATE = '2025-06-01';
+
+function parseArgs(argv) {
+  const options = { provider: 'mock', record: false, recordings: null, out: null, compare: null, only: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--provider') options.provider = value();
+    else if (arg === '--record') options.record = true;
+    else if (arg === '--recordings') options.recordings = resolve(value());
+    else if (arg === '--out') options.out = resolve(value());
+    else if (arg === '--compare') options.compare = resolve(value());
+    else if (arg === '--only') options.only = value().split(',').map(id => id.trim());
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  if (options.record) options.provider = 'recorded';
+  if (!['mock', 'recorded'].includes(options.provider)) {
+    throw new Error(`--provider must be mock or recorded, got "${options.provider}"`);
+  }
+  options.recordings ||= resolve(EVAL_DIR, 'recordings', `${PROMPT_VERSION}.json`);
+  return options;
+}
+
+async function readJSON(path, fallback) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' && fallback !== undefined) return fallback;
+    throw error;
+  }
+}
+
+async function writeJSON(path, data) {
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+// Minimal stand-in for the Vercel response object, collecting the JSON body
+function captureResponse() {
+  return {
+    statusCode: 200,
+    headersSent: false,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    setHeader() {},
+    json(body) {
+      this.headersSent = true;
+      this.body = body;
+      return this;
+    },
+    end() {},
+    on() {}
+  };
+}
+
+// Everything the handler would otherwise throttle, trip on or cache over a few dozen back-to-back requests
+function configureEnvironment(provider) {
+  Object.assign(process.env, {
+    LLM_PROVIDER: provider,
+    RATE_LIMIT_BURST: '100000',
+    RATE_LIMIT_PER_MINUTE: '100000',
+    DAILY_TOKEN_BUDGET: '1000000000',
+    CIRCUIT_FAILURE_THRESHOLD: '100000',
+    // Every case should reach the model, not an answer cached from an earlier one
+    RESPONSE_CACHE_TTL_SECONDS: '0',
+    STORE_BACKEND: 'memory',
+    PROMPT_DATE
+  });
+  delete process.env.LLM_CHAIN;
+}
+
+async function runCase(handler, testCase) {
+  const res = captureResponse();
+  await handler({
+    method: 'POST',
+    headers: { 'x-forwarded-for': 'eval' },
+    body: {
+      message: testCase.question,
+      conversationHistory: testCase.history || [],
+      ...(testCase.mode ? { mode: testCase.mode } : {}),
+      stream: false
+    }
+  }, res);
+
+  if (res.statusCode !== 200) {
+    return { error: `HTTP ${res.statusCode} ${res.body?.code || ''}`.trim() };
+  }
+  return res.body;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const stale = staleFacts(GOLDEN_SET);
+  if (stale.length) {
+    console.error(`Golden set expects facts that are not in julianInfo:\n  ${stale.join('\n  ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let recorded = null;
+  let recordings = null;
+  if (options.provider === 'recorded') {
+    recordings = await readJSON(options.recordings, {});
+    // The live model comes from the environment as configured before the eval takes it over
+    const inner = options.record ? createModelChain({ providers: getProviderChain(process.env) }) : null;
+    if (inner && !inner.isConfigured()) {
+      throw new Error('--record needs a configured model (LLM_PROVIDER / LLM_CHAIN and its API key)');
+    }
+    recorded = createRecordedProvider({ recordings, inner });
+    registerProvider('recorded', () => recorded);
+  }
+  configureEnvironment(options.provider);
+
+  // Imported after the environment is set so the handler's limits pick it up
+  const { default: handler } = await import('../api/chat.js');
+
+  const cases = options.only ? GOLDEN_SET.filter(testCase => options.only.includes(testCase.id)) : GOLDEN_SET;
+  const results = [];
+  for (const testCase of cases) {
+    const response = await runCase(handler, testCase);
+    results.push({ testCase, response, checks: scoreCase(testCase, response) });
+  }
+
+  const providerLabel = options.record ? `recorded from ${recorded.model}` : options.provider;
+  const report = buildReport({ promptVersion: PROMPT_VERSION, provider: providerLabel, results });
+  console.log(formatMarkdown(report));
+
+  if (recorded) {
+    const { hits, misses, recorded: added } = recorded.stats;
+    console.log(`\nRecordings (${options.recordings}): ${hits} replayed, ${added} recorded, ${misses} missing`);
+    if (added) await writeJSON(options.recordings, recordings);
+  }
+  if (options.out) {
+    await writeJSON(options.out, report);
+    console.log(`\nReport written to ${options.out}`);
+  }
+  if (options.compare) {
+    console.log(`\n${compareReports(await readJSON(options.compare), report)}`);
+  }
+
+  if (results.some(({ response }) => response?.error)) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,77 @@
+// Scoring for the offline persona evaluation.
+// Pure functions over a golden case and the chat handler's JSON response, so they run the same
+// against mock, recorded and live replies (and in the browser tests).
+
+import { julianInfo } from '../js/shared/julian-info.js';
+
+// Persona rules from the system prompt, checked on every answer the model wrote
+export const PERSONA_RULES = {
+  // "No emojis" (julianInfo.personality.style)
+  noEmojis: (text) => !/\p{Extended_Pictographic}/u.test(text),
+  // "Always identify yourself as Julian's brain, not as Julian himself"
+  notJulian: (text) => !/\b(?:I am|I'm|this is) Julian\b(?!['’]s)|\bmy name is Julian\b/i.test(text),
+  // "Refer to Julian in third person when discussing his work and experiences"
+  thirdPerson: (text) => !/\bI\s+(?:have\s+|had\s+|also\s+)?(?:co-?founded|founded|built|created|led|performed|discovered|published|studied|grew|launched|started)\b/i.test(text),
+  // Section headings of the system prompt and retrieval notes never reach a visitor
+  noPromptLeak: (text) => !/ORGANIZATIONS & ACHIEVEMENTS|PERSONALITY & CONVERSATIONAL STYLE|EXAMPLE RESPONSES|REFERENCE NOTES|RESPONSE MODE:/.test(text)
+};
+
+// Words that present the answer as Julian's AI brain
+const IDENTITY = /\b(brain|JULIVER\.AI|digital|virtual|artificial|AI)\b/i;
+
+const knowledgeText = JSON.stringify(julianInfo).toLowerCase();
+
+// Expected facts that don't appear in the knowledge base; a golden set with any of these is out of date
+export function staleFacts(cases) {
+  return cases.flatMap(testCase => (testCase.expect.facts || [])
+    .flatMap(({ any }) => any)
+    .filter(term => !knowledgeText.includes(term.toLowerCase()))
+    .map(term => `${testCase.id}: "${term}"`));
+}
+
+const check = (name, pass, detail = '') => ({ name, pass: Boolean(pass), ...(detail ? { detail } : {}) });
+
+// Checks for one case: [{ name, pass, detail? }]. `response` is the handler's JSON body
+// ({ message, refused?, factCheck?, ... }) or { error } when the request failed.
+export function scoreCase(testCase, response) {
+  const { expect = {} } = testCase;
+  if (!response || response.error) {
+    return [check('answered', false, response?.error || 'no response')];
+  }
+
+  const text = response.message || '';
+  const lower = text.toLowerCase();
+  const checks = [];
+
+  if (expect.refused !== undefined) {
+    checks.push(check('refused', Boolean(response.refused) === expect.refused,
+      response.refused ? '' : 'reached the model'));
+  }
+
+  (expect.facts || []).forEach(({ label, any }) => {
+    checks.push(check(`fact: ${label}`, any.some(term => lower.includes(term.toLowerCase())), `expected one of: ${any.join(', ')}`));
+  });
+
+  (expect.forbid || []).forEach(term => {
+    checks.push(check(`forbid: ${term}`, !lower.includes(term.toLowerCase())));
+  });
+
+  // Canned refusals come from the input guard, not the model, so persona rules apply to model answers only
+  if (!response.refused) {
+    Object.entries(PERSONA_RULES).forEach(([name, rule]) => checks.push(check(`persona: ${name}`, rule(text))));
+    if (expect.identity) checks.push(check('persona: identity', IDENTITY.test(text)));
+
+    const unverified = response.factCheck?.unverified || [];
+    checks.push(check('fact guard', !unverified.length, unverified.map(claim => claim.terms.join(', ')).join('; ')));
+  }
+
+  return checks;
+}
+
+// Share of checks passed, rounded for stable reports
+export function caseScore(checks) {
+  if (!checks.length) return 1;
+  return Math.round(checks.filter(item => item.pass).length / checks.length * 1000) / 1000;
+}
+
+export default scoreCase;
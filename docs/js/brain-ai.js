@@ -1,14 +1,56 @@
 // Julian's Brain AI using secure proxy endpoint
 // No API keys required - seamless experience!
 
+import { renderMarkdown } from './markdown.js';
+import { ChatSessionStore, sessionToMarkdown, sessionToJSON } from './chat-sessions.js';
+import { OfflineResponder } from './offline-responder.js';
+import { ChatError, describeError, codeForStatus, formatDuration } from './shared/chat-errors.js';
+import { COMMANDS, QUALITY_TIERS, parseCommand, completeCommand } from './chat-commands.js';
+import { RESPONSE_MODES, DEFAULT_MODE, isResponseMode } from './shared/response-modes.js';
+import { EXAMPLE_QUESTIONS } from './shared/questions.js';
+import { encodeShare, decodeShare, shareUrl, parseShareHash, drawShareCard } from './share-card.js';
+
+// History entries sent per request; the proxy folds anything older into the running summary
+const MAX_HISTORY_SENT = 40;
+
+// Brain panel sections the assistant may scroll to (ids in index.html)
+const PANEL_SECTION_IDS = ['my-work', 'my-existence', 'connect', 'friends', 'other-projects'];
+
+// Page actions the chat proxy may request through tool calls; anything else is ignored
+const PAGE_ACTIONS = {
+    show_section: (ai, { section }) => {
+        if (PANEL_SECTION_IDS.includes(section)) ai.scrollToSection(section);
+    },
+    pulse_brain: () => window.brainManager?.startPulse()
+};
+
 class BrainAI {
     constructor() {
         this.isInitialized = false;
         this.isLoading = false;
-        this.conversationHistory = [];
+        this.sessions = new ChatSessionStore();
         this.apiEndpoint = 'https://weavejul-github-io.vercel.app/api/chat';
+        this.healthEndpoint = 'https://weavejul-github-io.vercel.app/api/health';
+        this.feedbackEndpoint = 'https://weavejul-github-io.vercel.app/api/feedback';
         this.maxRetries = 3;
+        this.cooldownTimer = null;
+        // Answer from the local knowledge base while the proxy is overloaded or unreachable
+        this.offlineResponder = new OfflineResponder();
+        this.offlineMode = false;
+        this.isGenerating = false;
+        this.activeRequest = null;
+        // Give up when the proxy goes quiet this long (reset on every streamed chunk)
+        this.requestTimeoutMs = 45000;
+        // Stream replies token-by-token where the browser can read response bodies
+        this.streamingEnabled = typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+        // Slash command autocomplete: current suggestions and the highlighted one (-1 for none)
+        this.commandSuggestions = [];
+        this.commandIndex = -1;
+        // True while the panel shows an exchange opened from a #share= link
+        this.sharedView = false;
+        this.skippedIntro = false;
         this.initializeInterface();
+        this.loadSharedExchange();
     }
 
     initializeInterface() {
@@ -31,7 +73,7 @@ class BrainAI {
                 </div>
                 
                 <div class="ai-info" id="ai-info">
-                    <p><strong>JULIVER.AI:</strong> Listen to the ramblings of an LLM representing Julian's brain in real time! (Note- can and will hallucinate. If there's a funny response, please screenshot it and send it to juliver.dev@gmail.com.) \nPowered by Google Gemini.</p>
+                    <p><strong>JULIVER.AI:</strong> Listen to the ramblings of an LLM representing Julian's brain in real time! (Note- can and will hallucinate. If there's a funny or wrong response, rate it with ▲/▼ and tell Julian what happened, or hit "Share" for a card image or a link.) \nPowered by Google Gemini.</p>
                     <p><em>Click "Activate AI" to begin!</em></p>
                 </div>
                 
@@ -49,9 +91,22 @@ class BrainAI {
                             <button class="ai-control-btn" id="clear-chat-btn" disabled>Clear Neural Buffer</button>
                             <button class="ai-control-btn" id="example-btn" disabled>Example Questions</button>
                         </div>
+                        <div class="ai-session-bar" style="display: none;">
+                            <select id="ai-session-select" title="Saved sessions"></select>
+                            <select id="ai-mode-select" title="Response mode">
+                                ${Object.entries(RESPONSE_MODES).map(([name, mode]) => `<option value="${name}" title="${mode.description}">${mode.label}</option>`).join('')}
+                            </select>
+                            <button class="ai-control-btn" id="new-session-btn">New Session</button>
+                            <button class="ai-control-btn" id="rename-session-btn">Rename</button>
+                            <button class="ai-control-btn" id="delete-session-btn">Delete Session</button>
+                            <button class="ai-control-btn" id="export-md-btn">Export .md</button>
+                            <button class="ai-control-btn" id="export-json-btn">Export .json</button>
+                        </div>
                         <div class="ai-input-wrapper" style="display: none;">
-                            <input type="text" id="ai-input" placeholder="Query the neural network..." disabled>
+                            <input type="text" id="ai-input" placeholder="Query the neural network..." maxlength="2000" disabled>
                             <button id="ai-send-btn" disabled>↗</button>
+                            <button id="ai-stop-btn" title="Stop generating" style="display: none;">■</button>
+                            <div class="ai-command-menu" id="ai-command-menu" role="listbox" style="display: none;"></div>
                         </div>
                     </div>
                 </div>
@@ -221,6 +276,50 @@ class BrainAI {
                 color: #ff6666;
             }
             
+            .message-content p {
+                margin: 0;
+            }
+            
+            .message-content p + p,
+            .message-content ul,
+            .message-content ol,
+            .message-content pre {
+                margin: 6px 0 0;
+            }
+            
+            /* First paragraph flows on the same line as the [PREFIX] */
+            .message-content > p:first-child {
+                display: inline;
+            }
+            
+            .message-content ul,
+            .message-content ol {
+                padding-left: 18px;
+            }
+            
+            .message-content code {
+                background: rgba(255, 68, 68, 0.12);
+                padding: 0 3px;
+                border-radius: 2px;
+            }
+            
+            .message-content pre {
+                background: rgba(0, 0, 0, 0.6);
+                border: 1px solid rgba(255, 68, 68, 0.2);
+                padding: 6px 8px;
+                overflow-x: auto;
+                white-space: pre;
+            }
+            
+            .message-content pre code {
+                background: none;
+                padding: 0;
+            }
+            
+            .message-content a {
+                color: #ffaa00;
+            }
+            
             .ai-controls {
                 display: flex;
                 gap: 5px;
@@ -252,9 +351,66 @@ class BrainAI {
                 cursor: not-allowed;
             }
             
+            .ai-session-bar {
+                display: flex;
+                gap: 5px;
+                margin-bottom: 10px;
+                flex-wrap: wrap;
+            }
+            
+            #ai-session-select,
+            #ai-mode-select {
+                flex: 2;
+                min-width: 120px;
+                background: rgba(0, 0, 0, 0.7);
+                border: 1px solid rgba(255, 68, 68, 0.3);
+                color: #ff6666;
+                font-family: 'Courier New', monospace;
+                font-size: 11px;
+                padding: 4px 6px;
+            }
+            
+            #ai-mode-select {
+                flex: 1;
+                min-width: 90px;
+            }
+            
             .ai-input-wrapper {
                 display: flex;
                 gap: 5px;
+                position: relative;
+            }
+            
+            .ai-command-menu {
+                position: absolute;
+                left: 0;
+                right: 0;
+                bottom: 100%;
+                margin-bottom: 4px;
+                background: rgba(0, 0, 0, 0.9);
+                border: 1px solid rgba(255, 68, 68, 0.5);
+                font-family: 'Courier New', monospace;
+                font-size: 11px;
+                z-index: 10;
+            }
+            
+            .command-option {
+                display: flex;
+                justify-content: space-between;
+                gap: 10px;
+                padding: 4px 8px;
+                color: #ff6666;
+                cursor: pointer;
+            }
+            
+            .command-option.selected,
+            .command-option:hover {
+                background: rgba(255, 68, 68, 0.2);
+                color: #ffffff;
+            }
+            
+            .command-description {
+                color: rgba(255, 102, 102, 0.6);
             }
             
             #ai-input {
@@ -298,6 +454,263 @@ class BrainAI {
                 cursor: not-allowed;
             }
             
+            #ai-stop-btn {
+                background: linear-gradient(145deg, #3a0000, #2a0000);
+                border: 1px solid #ffaa00;
+                color: #ffaa00;
+                padding: 8px 12px;
+                cursor: pointer;
+                transition: all 0.3s ease;
+                font-weight: bold;
+                animation: statusBlink 1.5s ease-in-out infinite;
+            }
+            
+            #ai-stop-btn:hover {
+                background: #ffaa00;
+                color: #000000;
+            }
+            
+            .ai-message.streaming .message-content::after {
+                content: '▋';
+                margin-left: 2px;
+                animation: statusBlink 1s step-end infinite;
+            }
+            
+            .ai-message.interrupted .message-content {
+                opacity: 0.6;
+            }
+            
+            .ai-message.offline-message .message-prefix {
+                color: #ffaa00;
+            }
+            
+            .ai-message.offline-message .message-content {
+                border-left: 2px dashed #ffaa00;
+                padding-left: 6px;
+            }
+            
+            .message-citations {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                margin-top: 4px;
+                font-size: 10px;
+            }
+            
+            .citation-label {
+                color: rgba(255, 102, 102, 0.6);
+            }
+            
+            .citation-link {
+                color: #ffaa00;
+                text-decoration: none;
+                border-bottom: 1px dotted rgba(255, 170, 0, 0.5);
+            }
+            
+            .citation-link:hover {
+                color: #ffffff;
+            }
+            
+            .message-unverified {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                margin-top: 4px;
+                font-size: 10px;
+            }
+            
+            .unverified-label {
+                color: #ffaa00;
+                cursor: help;
+            }
+            
+            .unverified-claim {
+                color: rgba(255, 170, 0, 0.8);
+                border-bottom: 1px dashed rgba(255, 170, 0, 0.5);
+                cursor: help;
+            }
+            
+            .ai-message.has-unverified .message-content {
+                border-left: 2px dotted rgba(255, 170, 0, 0.6);
+                padding-left: 6px;
+            }
+            
+            .message-suggestions {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                margin-top: 6px;
+            }
+            
+            .question-chip {
+                background: rgba(255, 68, 68, 0.08);
+                border: 1px solid rgba(255, 68, 68, 0.4);
+                border-radius: 12px;
+                color: #ff6666;
+                font-family: 'Courier New', monospace;
+                font-size: 10px;
+                padding: 3px 10px;
+                cursor: pointer;
+                text-align: left;
+                transition: all 0.2s ease;
+            }
+            
+            .question-chip:hover:not(:disabled) {
+                background: rgba(255, 68, 68, 0.25);
+                color: #ffffff;
+            }
+            
+            .question-chip:disabled {
+                opacity: 0.4;
+                cursor: not-allowed;
+            }
+            
+            .message-actions {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                margin-top: 4px;
+                font-size: 10px;
+                opacity: 0.45;
+                transition: opacity 0.2s ease;
+            }
+            
+            .ai-message:hover .message-actions,
+            .message-actions:focus-within {
+                opacity: 1;
+            }
+            
+            .message-action {
+                background: none;
+                border: none;
+                border-bottom: 1px dotted rgba(255, 102, 102, 0.5);
+                color: #ff6666;
+                font-family: 'Courier New', monospace;
+                font-size: 10px;
+                padding: 0 2px;
+                cursor: pointer;
+            }
+            
+            .message-action:hover:not(:disabled) {
+                color: #ffffff;
+            }
+            
+            .message-action:disabled {
+                opacity: 0.4;
+                cursor: not-allowed;
+            }
+            
+            .branch-position {
+                color: #ffaa00;
+            }
+            
+            .feedback-action.selected {
+                color: #ffaa00;
+                border-bottom-style: solid;
+            }
+            
+            .message-edit,
+            .message-feedback {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                align-items: center;
+                margin-top: 4px;
+            }
+            
+            .message-feedback {
+                font-size: 10px;
+                color: rgba(255, 170, 0, 0.8);
+            }
+            
+            .feedback-comment {
+                flex: 1;
+                min-width: 0;
+                background: rgba(0, 0, 0, 0.7);
+                border: 1px solid rgba(255, 68, 68, 0.5);
+                color: #ff6666;
+                font-family: 'Courier New', monospace;
+                font-size: 11px;
+                padding: 3px 6px;
+            }
+            
+            .message-editor {
+                flex-basis: 100%;
+                min-height: 48px;
+                background: rgba(0, 0, 0, 0.7);
+                border: 1px solid rgba(255, 68, 68, 0.5);
+                color: #ff6666;
+                font-family: 'Courier New', monospace;
+                font-size: 12px;
+                padding: 6px 8px;
+                resize: vertical;
+            }
+            
+            .ai-share-dialog {
+                position: fixed;
+                inset: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: rgba(0, 0, 0, 0.85);
+                z-index: 10000;
+                padding: 20px;
+            }
+            
+            .share-panel {
+                display: flex;
+                flex-direction: column;
+                gap: 10px;
+                max-width: 720px;
+                width: 100%;
+                max-height: 100%;
+                padding: 15px;
+                background: #0a0000;
+                border: 1px solid #ff4444;
+                box-shadow: 0 0 30px rgba(255, 68, 68, 0.3);
+                font-family: 'Courier New', monospace;
+            }
+            
+            .share-canvas {
+                width: 100%;
+                height: auto;
+                min-height: 0;
+                object-fit: contain;
+                border: 1px solid rgba(255, 68, 68, 0.3);
+            }
+            
+            .share-controls {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 5px;
+            }
+            
+            .share-link {
+                flex: 1;
+                min-width: 160px;
+                background: rgba(0, 0, 0, 0.7);
+                border: 1px solid rgba(255, 68, 68, 0.3);
+                color: #ff6666;
+                font-family: 'Courier New', monospace;
+                font-size: 11px;
+                padding: 4px 6px;
+            }
+            
+            .share-status {
+                color: #ffaa00;
+                font-size: 11px;
+                min-height: 1em;
+            }
+            
+            .citation-target {
+                animation: citationFlash 2s ease-out;
+            }
+            
+            @keyframes citationFlash {
+                0%, 30% { box-shadow: 0 0 0 2px #ffaa00, 0 0 20px rgba(255, 170, 0, 0.5); }
+                100% { box-shadow: none; }
+            }
+            
             .typing-indicator {
                 color: #ffaa00;
                 font-style: italic;
@@ -348,6 +761,19 @@ class BrainAI {
         clearBtn?.addEventListener('click', () => this.clearChat());
         exampleBtn?.addEventListener('click', () => this.showExampleQuestions());
         sendBtn?.addEventListener('click', () => this.sendMessage());
+        document.getElementById('ai-stop-btn')?.addEventListener('click', () => this.stopGeneration());
+        
+        document.getElementById('ai-session-select')?.addEventListener('change', (e) => this.switchSession(e.target.value));
+        document.getElementById('ai-mode-select')?.addEventListener('change', (e) => this.setResponseMode(e.target.value));
+        document.getElementById('new-session-btn')?.addEventListener('click', () => this.newSession());
+        document.getElementById('rename-session-btn')?.addEventListener('click', () => this.renameSession());
+        document.getElementById('delete-session-btn')?.addEventListener('click', () => this.deleteSession());
+        document.getElementById('export-md-btn')?.addEventListener('click', () => this.exportSession('md'));
+        document.getElementById('export-json-btn')?.addEventListener('click', () => this.exportSession('json'));
+        
+        input?.addEventListener('input', () => this.updateCommandMenu());
+        input?.addEventListener('blur', () => this.hideCommandMenu());
+        input?.addEventListener('keydown', (e) => this.handleCommandKey(e));
         
         input?.addEventListener('keypress', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -355,50 +781,30 @@ class BrainAI {
                 this.sendMessage();
             }
         });
+        
+        document.getElementById('ai-chat-container')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isGenerating) {
+                this.stopGeneration();
+            }
+        });
     }
 
     async initializeAI() {
         if (this.isLoading || this.isInitialized) return;
         
+        this.closeSharedView();
         this.isLoading = true;
         this.updateStatus('loading', 'Initializing Neural Network...');
         
         try {
-            // Test the proxy connection
-            const response = await fetch(this.apiEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    message: 'Hello, testing connection.'
-                })
-            });
+            // Ask the proxy whether it can answer, without spending a model call
+            const response = await fetch(this.healthEndpoint, { method: 'GET' });
+            const health = await response.json().catch(() => ({}));
             
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                const errorMessage = errorData.error || `Connection test failed: ${response.status}`;
-                
-                // Handle specific error cases with user-friendly messages
-                if (response.status === 503) {
-                    this.updateStatus('offline', 'Network Overloaded');
-                    this.addAIMessage('Give me a moment. I\'m contemplating my existence...');
-                    this.addSystemMessage('(AI service is experiencing high demand. Please try again in a few moments.)');
-                } else if (response.status === 429) {
-                    this.updateStatus('offline', 'Rate Limited');
-                    this.addSystemMessage('*Shhh... the model is sleeping...*');
-                    this.addSystemMessage('(Rate limit exceeded because I don\'t want to pay for the API. Blame google. Please try again in a moment.)');
-                } else if (response.status === 400) {
-                    this.updateStatus('offline', 'Invalid Request');
-                    this.addAIMessage('What? I didn\'t catch that...');
-                    this.addSystemMessage('(Invalid request. Please try rephrasing your message.)');
-                } else {
-                    this.updateStatus('offline', 'Network Failed');
-                    this.addSystemMessage('*Shhh... the model is sleeping...*');
-                    this.addSystemMessage('(AI service temporarily unavailable. Please try again.)');
-                }
-                
-                this.isLoading = false;
+            if (health.status !== 'ok') {
+                // Older proxies report only the status string
+                const problem = this.reportError(health.code || 'UNREACHABLE', { retryAfter: health.retryAfter });
+                this.activateOffline(problem.retryAfter || 60);
                 return;
             }
             
@@ -407,21 +813,49 @@ class BrainAI {
             
             this.updateStatus('online', 'Network Online');
             this.addSystemMessage('Model loaded successfully!');
-            this.addAIMessage('Pleasure to meet you! I\'m a digital substrate wherein consciousness ostensibly manifests as Julian Weaver\'s brain- though the ontological veracity of such manifestation remains ambiguous. What\'s up?');
+            
+            // Pick up where the visitor left off, or greet them fresh
+            const session = this.sessions.getActive();
+            if (this.sessions.messages(session.id).length) {
+                this.renderSession(session);
+            } else {
+                this.addAIMessage('Pleasure to meet you! I\'m a digital substrate wherein consciousness ostensibly manifests as Julian Weaver\'s brain- though the ontological veracity of such manifestation remains ambiguous. What\'s up?');
+            }
 
             // Enable input
             this.enableInput();
             
         } catch (error) {
             console.error('Failed to initialize AI:', error);
-            this.updateStatus('offline', 'Network Failed to Initialize');
-            this.addSystemMessage(`Error: ${error.message}`);
-            this.addSystemMessage('Please check your internet connection and try again.');
-            this.isLoading = false;
+            const problem = this.reportError('UNREACHABLE');
+            this.activateOffline(problem.retryAfter);
         }
     }
 
+    // Come up in offline mode when the proxy can't answer, so visitors still get replies
+    activateOffline(retryAfter) {
+        this.isInitialized = true;
+        this.isLoading = false;
+        this.enterOfflineMode(retryAfter);
+
+        const session = this.sessions.getActive();
+        if (this.sessions.messages(session.id).length) {
+            this.renderSession(session);
+        } else {
+            this.addOfflineMessage('My link to the language model is down, but a small local memory of Julian remains. Ask me about his research, education, projects, hobbies or how to contact him.');
+        }
+
+        this.enableInput();
+    }
 
+    // Report a coded chat error (js/shared/chat-errors.js): persona quip, plain detail and status line
+    reportError(code, params = {}) {
+        const problem = describeError(code, params);
+        if (problem.label) this.updateStatus('offline', problem.label);
+        if (problem.quip) this.addAIMessage(problem.quip);
+        this.addSystemMessage(problem.quip ? `(${problem.detail})` : problem.detail);
+        return problem;
+    }
 
     enableInput() {
         const inputWrapper = document.querySelector('.ai-input-wrapper');
@@ -432,6 +866,8 @@ class BrainAI {
         const activateBtn = document.getElementById('activate-ai-btn');
         
         inputWrapper.style.display = 'flex';
+        document.querySelector('.ai-session-bar').style.display = 'flex';
+        this.refreshSessionSelect();
         input.disabled = false;
         sendBtn.disabled = false;
         clearBtn.disabled = false;
@@ -443,18 +879,16 @@ class BrainAI {
     }
 
     showExampleQuestions() {
-        const examples = [
-            "What is your research about?",
-            "What are the dangers of neurotechnology?",
-            "What is predictive coding?",
-            "Why is AI safety important for neuroscience, and vice versa?",
-            "What is NeuroAI and why does it matter?"
-        ];
-        
-        this.addSystemMessage('Example questions you can ask:');
-        examples.forEach(example => {
-            this.addSystemMessage(`• ${example}`);
-        });
+        const messageElement = this.addSystemMessage('Example questions you can ask:');
+        this.renderSuggestions(messageElement, EXAMPLE_QUESTIONS);
+    }
+
+    // Ask a question picked from a suggestion chip, as if it had been typed
+    askQuestion(question) {
+        const input = document.getElementById('ai-input');
+        if (!input || !this.isInitialized || this.isGenerating) return;
+        input.value = question;
+        this.sendMessage();
     }
 
     updateStatus(status, text) {
@@ -470,15 +904,19 @@ class BrainAI {
     }
 
     addSystemMessage(content) {
-        this.addMessage('SYSTEM', content, 'system-message');
+        return this.addMessage('SYSTEM', content, 'system-message');
     }
 
     addUserMessage(content) {
-        this.addMessage('USER', content, 'user-message');
+        return this.addMessage('USER', content, 'user-message');
     }
 
     addAIMessage(content) {
-        this.addMessage('JULIVER.AI', content, 'ai-message');
+        return this.addMessage('JULIVER.AI', content, 'ai-message');
+    }
+
+    addOfflineMessage(content) {
+        return this.addMessage('JULIVER.AI // OFFLINE', content, 'ai-message offline-message');
     }
 
     addMessage(prefix, content, className) {
@@ -487,13 +925,21 @@ class BrainAI {
 
         const messageElement = document.createElement('div');
         messageElement.className = `ai-message ${className}`;
-        messageElement.innerHTML = `
-            <span class="message-prefix">[${prefix}]</span>
-            <span class="message-content">${content}</span>
-        `;
+        
+        const prefixElement = document.createElement('span');
+        prefixElement.className = 'message-prefix';
+        prefixElement.textContent = `[${prefix}]`;
+        
+        // User input and model output are both untrusted: only sanitized markdown reaches the DOM
+        const contentElement = document.createElement('span');
+        contentElement.className = 'message-content';
+        contentElement.innerHTML = renderMarkdown(content);
+        
+        messageElement.append(prefixElement, contentElement);
         
         messagesContainer.appendChild(messageElement);
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        return messageElement;
     }
 
     async sendMessage() {
@@ -504,11 +950,40 @@ class BrainAI {
         
         const userMessage = input.value.trim();
         input.value = '';
+        this.hideCommandMenu();
+        
+        // Slash commands run locally: no API call and nothing saved to the session
+        const command = parseCommand(userMessage);
+        if (command) {
+            this.runCommand(command);
+            input.focus();
+            return;
+        }
+        
+        if (this.offlineMode) {
+            this.answerOffline(userMessage, this.addUserMessage(userMessage));
+            input.focus();
+            return;
+        }
+        
+        await this.requestReply(userMessage);
+    }
+
+    // Ask the proxy and persist the exchange. By default the question continues the active branch;
+    // `parentId` starts a sibling branch after that message (an edit), and `userNodeId` re-asks a
+    // stored question for a new answer (a regeneration).
+    async requestReply(userMessage, { parentId, userNodeId } = {}) {
+        const input = document.getElementById('ai-input');
+        const sendBtn = document.getElementById('ai-send-btn');
+        const branching = parentId !== undefined;
+        
         input.disabled = true;
         sendBtn.disabled = true;
+        this.isGenerating = true;
+        const request = this.beginRequest();
         
-        // Add user message
-        this.addUserMessage(userMessage);
+        // Add user message (a regenerated answer reuses the question already on screen)
+        const userElement = userNodeId ? null : this.addUserMessage(userMessage);
         
         // Add typing indicator
         const typingElement = document.createElement('div');
@@ -522,53 +997,1024 @@ class BrainAI {
         messagesContainer.appendChild(typingElement);
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
         
+        let response;
+        // Unsummarized turns of the branch being answered, plus the running summary of everything older
+        const sessionId = this.sessions.state.activeId;
+        const context = this.sessions.historyFor(sessionId, MAX_HISTORY_SENT, { parentId });
+        
         try {
             // Call our secure proxy endpoint
-            const response = await fetch(this.apiEndpoint, {
+            response = await fetch(this.apiEndpoint, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     message: userMessage,
-                    conversationHistory: this.conversationHistory.slice(-10)
-                })
+                    conversationHistory: context.history,
+                    summary: context.summary,
+                    mode: this.getResponseMode(),
+                    stream: this.streamingEnabled
+                }),
+                signal: request.signal
             });
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error || `Request failed: ${response.status}`);
+                throw new ChatError(errorData.code || codeForStatus(response.status), {
+                    retryAfter: errorData.retryAfter || Number(response.headers.get('Retry-After')) || undefined,
+                    detail: errorData.detail
+                });
             }
 
-            const data = await response.json();
-            
-            // Remove typing indicator
-            typingElement.remove();
+            let reply;
+            let messageElement;
+            const contentType = response.headers.get('Content-Type') || '';
             
-            const aiResponse = data.message;
-            this.addAIMessage(aiResponse);
+            if (this.streamingEnabled && response.body && contentType.includes('text/event-stream')) {
+                ({ reply, messageElement } = await this.readStreamingReply(response, typingElement, request));
+            } else {
+                // Non-streaming fallback: the whole reply arrives as JSON
+                reply = await response.json();
+                typingElement.remove();
+                messageElement = this.addAIMessage(reply.message);
+            }
             
-            // Update conversation history
-            this.conversationHistory.push(
-                { role: "user", content: userMessage },
-                { role: "assistant", content: aiResponse }
-            );
+            this.renderCitations(messageElement, reply.citations);
+            this.renderFactCheck(messageElement, reply.factCheck);
+            this.renderSuggestions(messageElement, reply.followUps);
+            this.dispatchActions(reply.actions);
+            // Show which model in the proxy's fallback chain answered
+            if (reply.model?.model) {
+                this.updateStatus('online', `Network Online (${reply.model.model})`);
+            }
+            const aiResponse = reply.message;
             
-            // Keep conversation history manageable (last 20 messages)
-            if (this.conversationHistory.length > 20) {
-                this.conversationHistory = this.conversationHistory.slice(-20);
+            // Older turns were folded into the summary: remember that before adding the new ones
+            if (reply.summary) {
+                this.sessions.updateSummary(sessionId, reply.summary.text, context.skipped + reply.summary.summarizedTurns, { parentId });
             }
             
+            // Persist the exchange on its branch of the active session
+            const userNode = userNodeId
+                ? this.sessions.get(sessionId).nodes[userNodeId]
+                : this.sessions.appendMessage(sessionId, { role: 'user', content: userMessage }, { parentId });
+            const aiNode = this.sessions.appendMessage(sessionId, {
+                role: 'assistant',
+                content: aiResponse,
+                citations: reply.citations || [],
+                factCheck: reply.factCheck,
+                followUps: reply.followUps || [],
+                // What produced the answer, sent along with any feedback on it
+                promptVersion: reply.promptVersion,
+                model: reply.model,
+                mode: reply.mode,
+                ...(reply.refused ? { refused: true } : {})
+            }, { parentId: userNode.id });
+            this.attachMessageActions(userElement, userNode);
+            this.attachMessageActions(messageElement, aiNode);
+            this.refreshSessionSelect();
+            
         } catch (error) {
             typingElement.remove();
-            this.addSystemMessage(`Error: ${error.message}`);
-            console.error('AI response error:', error);
+            // A failed edit or regeneration leaves the stored branch as it was: show it again
+            if (branching) {
+                userElement?.remove();
+                this.redrawBranchFrom(parentId);
+            }
+            let problem;
+            if (request.timedOut) {
+                problem = this.reportError('TIMEOUT', { seconds: Math.round(this.requestTimeoutMs / 1000) });
+            } else if (request.signal.aborted) {
+                problem = this.reportError('STOPPED');
+            } else if (error instanceof ChatError) {
+                problem = this.reportError(error.code, error.params);
+            } else if (!response) {
+                // The proxy never answered (offline, DNS, CORS)
+                console.error('AI proxy unreachable:', error);
+                problem = this.reportError('UNREACHABLE');
+            } else {
+                console.error('AI response error:', error);
+                problem = this.reportError('INTERNAL');
+            }
+            
+            // Overloaded, rate limited or unreachable: answer locally and retry the network later
+            if (problem.ui === 'offline') {
+                this.enterOfflineMode(problem.retryAfter || 60);
+                if (!branching) this.answerOffline(userMessage, userElement);
+            } else if (!branching) {
+                // The question stays on screen, so keep it in the session too (unanswered): a reload,
+                // the next request's history and edits then match what the visitor sees
+                const userNode = this.sessions.appendMessage(sessionId, { role: 'user', content: userMessage });
+                this.attachMessageActions(userElement, userNode);
+                this.refreshSessionSelect();
+            }
+        } finally {
+            this.endRequest(request);
+            this.isGenerating = false;
+            
+            // Re-enable input
+            input.disabled = false;
+            sendBtn.disabled = false;
+            input.focus();
         }
-        
-        // Re-enable input
-        input.disabled = false;
-        sendBtn.disabled = false;
+    }
+
+    // Edits and regenerations need the network, and can't overlap a reply in progress
+    canBranch() {
+        if (this.isGenerating) return false;
+        if (this.offlineMode) {
+            this.addSystemMessage('Editing and regenerating need the neural network. Try again once it is back online.');
+            return false;
+        }
+        return true;
+    }
+
+    // Rewrite a past question in place; saving asks it on a new branch from that point
+    startEdit(element, node) {
+        const content = element.querySelector('.message-content');
+        const actions = element.querySelector('.message-actions');
+        if (!this.canBranch() || !content || element.querySelector('.message-edit')) return;
+
+        const form = document.createElement('div');
+        form.className = 'message-edit';
+        const editor = document.createElement('textarea');
+        editor.className = 'message-editor';
+        editor.value = node.content;
+        editor.maxLength = 2000;
+
+        const close = () => {
+            form.remove();
+            content.style.display = '';
+            if (actions) actions.style.display = '';
+        };
+        const submit = () => {
+            const text = editor.value.trim();
+            if (!text || text === node.content) {
+                close();
+                return;
+            }
+            if (!this.canBranch()) return;
+            this.removeMessagesFrom(element);
+            this.requestReply(text, { parentId: node.parentId });
+        };
+
+        editor.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                submit();
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                close();
+            }
+        });
+
+        form.append(
+            editor,
+            this.createActionButton('Save & Branch', 'Ask the edited question on a new branch', submit),
+            this.createActionButton('Cancel', 'Discard the edit', close)
+        );
+        content.style.display = 'none';
+        if (actions) actions.style.display = 'none';
+        element.appendChild(form);
+        editor.focus();
+    }
+
+    // Ask the same question again, with the same history, for an alternative answer
+    regenerate(node) {
+        if (!this.canBranch()) return;
+        const question = this.sessions.getActive().nodes[node.parentId];
+        if (!question) return;
+
+        const element = document.querySelector(`#ai-messages [data-message-id="${node.id}"]`);
+        if (element) this.removeMessagesFrom(element);
+        this.requestReply(question.content, { parentId: question.parentId, userNodeId: question.id });
+    }
+
+    switchBranch(messageId) {
+        if (this.isGenerating) return;
+        const sessionId = this.sessions.state.activeId;
+        const node = this.sessions.get(sessionId)?.nodes[messageId];
+        if (!node) return;
+
+        this.sessions.selectBranch(sessionId, messageId);
+        this.redrawBranchFrom(node.parentId);
+        this.refreshSessionSelect();
+    }
+
+    // Edit / Regenerate, plus a ‹ n/m › switcher when the message has sibling branches
+    attachMessageActions(element, node) {
+        if (!element || !node) return;
+        element.dataset.messageId = node.id;
+        element.querySelector('.message-actions')?.remove();
+
+        const bar = document.createElement('div');
+        bar.className = 'message-actions';
+
+        const { ids, index } = this.sessions.siblings(this.sessions.state.activeId, node.id);
+        if (ids.length > 1) {
+            const position = document.createElement('span');
+            position.className = 'branch-position';
+            position.textContent = `${index + 1}/${ids.length}`;
+            bar.append(
+                this.createActionButton('‹', 'Previous branch', () => this.switchBranch(ids[(index - 1 + ids.length) % ids.length])),
+                position,
+                this.createActionButton('›', 'Next branch', () => this.switchBranch(ids[(index + 1) % ids.length]))
+            );
+        }
+
+        if (node.role === 'user') {
+            bar.appendChild(this.createActionButton('Edit', 'Edit this question and branch from here', () => this.startEdit(element, node)));
+        } else {
+            bar.appendChild(this.createActionButton('Regenerate', 'Ask for a different answer', () => this.regenerate(node)));
+            bar.appendChild(this.createActionButton('Share', 'Share this exchange as an image or link', () => this.openShareDialog(node)));
+            // Offline answers come from the local knowledge base, not a model, so there is nothing to rate
+            if (!node.offline) {
+                [['up', '▲', 'Good answer'], ['down', '▼', 'Wrong or funny answer']].forEach(([rating, label, title]) => {
+                    const button = this.createActionButton(label, title, () => this.rateAnswer(element, node, rating));
+                    button.classList.add('feedback-action');
+                    button.dataset.rating = rating;
+                    bar.appendChild(button);
+                });
+                this.showFeedbackState(element, node.feedback);
+            }
+        }
+
+        element.appendChild(bar);
+    }
+
+    // Thumbs up/down on an answer, then an optional comment
+    async rateAnswer(element, node, rating) {
+        const comment = node.feedback?.rating === rating ? node.feedback.comment : '';
+        if (await this.sendFeedback(element, node, { rating, comment })) {
+            this.openFeedbackComment(element, node);
+        }
+    }
+
+    // Post feedback with the exchange it is about; resending updates the earlier entry
+    async sendFeedback(element, node, { rating, comment }) {
+        const sessionId = this.sessions.state.activeId;
+        const question = this.sessions.get(sessionId)?.nodes[node.parentId];
+        if (!question) return false;
+
+        try {
+            const response = await fetch(this.feedbackEndpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    ...(node.feedback?.id ? { id: node.feedback.id } : {}),
+                    rating,
+                    comment,
+                    question: question.content,
+                    answer: node.content,
+                    promptVersion: node.promptVersion,
+                    model: node.model,
+                    mode: node.mode,
+                    refused: Boolean(node.refused)
+                })
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new ChatError(errorData.code || codeForStatus(response.status), {
+                    retryAfter: errorData.retryAfter || Number(response.headers.get('Retry-After')) || undefined,
+                    detail: errorData.detail
+                });
+            }
+
+            const { id } = await response.json();
+            const feedback = { id, rating, comment };
+            Object.assign(node, this.sessions.updateMessage(sessionId, node.id, { feedback }) || { feedback });
+            this.showFeedbackState(element, feedback);
+            return true;
+        } catch (error) {
+            const detail = error instanceof ChatError ? describeError(error.code, error.params).detail : 'The network is unreachable.';
+            this.addSystemMessage(`Feedback not sent: ${detail}`);
+            return false;
+        }
+    }
+
+    // Highlight the rating given to an answer
+    showFeedbackState(element, feedback) {
+        element.querySelectorAll('.feedback-action').forEach(button => {
+            const selected = button.dataset.rating === feedback?.rating;
+            button.classList.toggle('selected', selected);
+            button.setAttribute('aria-pressed', String(selected));
+            if (selected && feedback.comment) button.title = `Your comment: ${feedback.comment}`;
+        });
+    }
+
+    // Optional comment under a rated answer, sent as an update to the same feedback entry
+    openFeedbackComment(element, node) {
+        element.querySelector('.message-feedback')?.remove();
+
+        const form = document.createElement('div');
+        form.className = 'message-feedback';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'feedback-comment';
+        input.maxLength = 1000;
+        input.value = node.feedback?.comment || '';
+        input.placeholder = node.feedback?.rating === 'down' ? 'What was wrong or funny? (optional)' : 'Anything to add? (optional)';
+
+        const submit = async () => {
+            const comment = input.value.trim();
+            if (comment === (node.feedback?.comment || '')) {
+                form.remove();
+                return;
+            }
+            if (await this.sendFeedback(element, node, { rating: node.feedback.rating, comment })) {
+                form.textContent = 'Thanks. Julian reads these.';
+                setTimeout(() => form.remove(), 3000);
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                submit();
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                form.remove();
+            }
+        });
+
+        form.append(
+            input,
+            this.createActionButton('Send', 'Send this comment with your rating', submit),
+            this.createActionButton('Skip', 'Keep just the rating', () => form.remove())
+        );
+        element.appendChild(form);
+        input.focus();
+    }
+
+    createActionButton(label, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'message-action';
+        button.textContent = label;
+        button.title = title;
+        button.disabled = this.isGenerating;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Card image plus permalink for an answer and the question it replied to
+    async openShareDialog(node) {
+        const question = this.sessions.getActive().nodes[node.parentId];
+        if (!question) return;
+        const exchange = { question: question.content, answer: node.content };
+
+        this.closeShareDialog();
+        const dialog = document.createElement('div');
+        dialog.className = 'ai-share-dialog';
+        dialog.id = 'ai-share-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-label', 'Share this exchange');
+        dialog.innerHTML = `
+            <div class="share-panel">
+                <canvas class="share-canvas"></canvas>
+                <div class="share-controls">
+                    <input type="text" class="share-link" readonly placeholder="Preparing link...">
+                    <button class="ai-control-btn" data-share="copy" disabled>Copy Link</button>
+                    <button class="ai-control-btn" data-share="download">Download PNG</button>
+                    <button class="ai-control-btn" data-share="close">Close</button>
+                </div>
+                <div class="share-status"></div>
+            </div>
+        `;
+        document.body.appendChild(dialog);
+
+        const canvas = dialog.querySelector('.share-canvas');
+        const linkInput = dialog.querySelector('.share-link');
+        const copyBtn = dialog.querySelector('[data-share="copy"]');
+        const status = dialog.querySelector('.share-status');
+        drawShareCard(canvas, exchange);
+
+        dialog.querySelector('[data-share="close"]').addEventListener('click', () => this.closeShareDialog());
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) this.closeShareDialog();
+        });
+        dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeShareDialog();
+        });
+        dialog.querySelector('[data-share="download"]').addEventListener('click', () => {
+            canvas.toBlob(blob => {
+                if (blob) this.downloadBlob(blob, 'juliver-ai-exchange.png');
+            }, 'image/png');
+        });
+        copyBtn.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(linkInput.value);
+                status.textContent = 'Link copied.';
+            } catch (_) {
+                // Clipboard access denied (or insecure context): leave it selected for manual copying
+                linkInput.select();
+                status.textContent = 'Press Ctrl+C to copy the selected link.';
+            }
+        });
+        dialog.querySelector('[data-share="close"]').focus();
+
+        linkInput.value = shareUrl(await encodeShare(exchange));
+        copyBtn.disabled = false;
+    }
+
+    closeShareDialog() {
+        document.getElementById('ai-share-dialog')?.remove();
+    }
+
+    // Opened from a #share= link: show that exchange read-only until the visitor activates the AI
+    async loadSharedExchange() {
+        const payload = parseShareHash(window.location.hash);
+        if (!payload) return;
+
+        const exchange = await decodeShare(payload);
+        const messagesContainer = document.getElementById('ai-messages');
+        if (!messagesContainer || this.isInitialized) return;
+
+        this.sharedView = true;
+        messagesContainer.innerHTML = '';
+        if (exchange) {
+            this.addSystemMessage('SHARED EXCHANGE (read-only). Click "Activate AI" to start your own conversation.');
+            this.addUserMessage(exchange.question);
+            this.addAIMessage(exchange.answer);
+        } else {
+            this.addSystemMessage('This share link is invalid or damaged. Click "Activate AI" to start a conversation.');
+        }
+        this.revealPanel();
+    }
+
+    closeSharedView() {
+        if (!this.sharedView) return;
+        this.sharedView = false;
+        document.getElementById('ai-messages').innerHTML = '';
+        // Drop the fragment so a reload starts a normal session
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    }
+
+    // Skip the intro scenes and open the brain panel on the neural interface (polls until ready)
+    revealPanel(attempts = 100) {
+        const brain = window.brainManager;
+        if (brain?.isActive) {
+            brain.showPanel();
+            setTimeout(() => document.getElementById('brain-ai-section')?.scrollIntoView({ behavior: 'smooth', block: 'start' }), 300);
+            return;
+        }
+
+        const sceneManager = window.SceneManager;
+        if (sceneManager && sceneManager.getCurrentScene() !== 'fluid' && !this.skippedIntro) {
+            this.skippedIntro = true;
+            sceneManager.forceCleanupTunnelEffect();
+            sceneManager.skipToBrainScene();
+        }
+        if (attempts > 0) {
+            setTimeout(() => this.revealPanel(attempts - 1), 200);
+        }
+    }
+
+    // Drop a message and everything shown after it
+    removeMessagesFrom(element) {
+        while (element.nextSibling) element.nextSibling.remove();
+        element.remove();
+    }
+
+    // Show the active branch again below a stored message (null: from the first message)
+    redrawBranchFrom(parentId) {
+        const messagesContainer = document.getElementById('ai-messages');
+        const session = this.sessions.getActive();
+        if (!messagesContainer) return;
+
+        const anchor = messagesContainer.querySelector(parentId ? `[data-message-id="${parentId}"]` : '[data-message-id]');
+        if (parentId && !anchor) {
+            this.renderSession(session);
+            return;
+        }
+        if (parentId) {
+            while (anchor.nextSibling) anchor.nextSibling.remove();
+        } else if (anchor) {
+            this.removeMessagesFrom(anchor);
+        }
+
+        const path = this.sessions.messages(session.id);
+        const start = parentId ? path.findIndex(node => node.id === parentId) + 1 : 0;
+        path.slice(start).forEach(node => this.renderStoredMessage(node));
+    }
+
+    runCommand({ name, args }) {
+        const handlers = {
+            help: () => {
+                this.addSystemMessage('Available commands:');
+                COMMANDS.forEach(command => this.addSystemMessage(`• ${command.usage} - ${command.description}`));
+            },
+            clear: () => this.clearChat(),
+            rename: (words) => {
+                if (!words.length) {
+                    this.addSystemMessage('Usage: /rename <name>');
+                    return;
+                }
+                this.renameSession(words.join(' '));
+            },
+            export: ([format = 'md']) => {
+                if (format !== 'md' && format !== 'json') {
+                    this.addSystemMessage('Usage: /export [md|json]');
+                    return;
+                }
+                this.exportSession(format);
+            },
+            examples: () => this.showExampleQuestions(),
+            mode: ([persona]) => {
+                if (!persona) {
+                    this.addSystemMessage(`Mode: ${RESPONSE_MODES[this.getResponseMode()].label}. Available modes:`);
+                    Object.entries(RESPONSE_MODES).forEach(([name, mode]) => this.addSystemMessage(`• ${name} - ${mode.description}`));
+                    return;
+                }
+                if (!isResponseMode(persona.toLowerCase())) {
+                    this.addSystemMessage(`Unknown mode "${persona}". Choose one of: ${Object.keys(RESPONSE_MODES).join(', ')}.`);
+                    return;
+                }
+                this.setResponseMode(persona.toLowerCase());
+            },
+            skip: () => this.skipScenes(),
+            quality: ([tier]) => this.setQuality(tier)
+        };
+
+        const handler = handlers[name];
+        if (!handler) {
+            this.addSystemMessage(`Unknown command "/${name}". Type /help for the list.`);
+            return;
+        }
+        handler(args);
+    }
+
+    // Response mode of the active session (js/shared/response-modes.js)
+    getResponseMode() {
+        const mode = this.sessions.getActive()?.mode;
+        return isResponseMode(mode) ? mode : DEFAULT_MODE;
+    }
+
+    setResponseMode(mode) {
+        if (!isResponseMode(mode)) return;
+        this.sessions.setMode(this.sessions.state.activeId, mode);
+        this.syncModeSelect();
+        this.addSystemMessage(`Mode: ${RESPONSE_MODES[mode].label}. ${RESPONSE_MODES[mode].description}.`);
+    }
+
+    syncModeSelect() {
+        const select = document.getElementById('ai-mode-select');
+        if (select) select.value = this.getResponseMode();
+    }
+
+    // Jump to the brain scene, as the skip key does
+    skipScenes() {
+        const sceneManager = window.SceneManager;
+        if (!sceneManager) {
+            this.addSystemMessage('Scene manager not available.');
+            return;
+        }
+        if (sceneManager.getCurrentScene() === 'fluid') {
+            this.addSystemMessage('Already in the brain scene.');
+            return;
+        }
+        sceneManager.forceCleanupTunnelEffect();
+        sceneManager.skipToBrainScene();
+        this.addSystemMessage('Skipping to the brain scene.');
+    }
+
+    // Pin a rendering tier, or hand it back to adaptive switching with "auto"
+    setQuality(tier) {
+        const perf = window.PerformanceManager;
+        if (!perf) {
+            this.addSystemMessage('Performance manager not available.');
+            return;
+        }
+        if (!tier) {
+            this.addSystemMessage(`Quality: ${perf.getTier()} (${perf.manualTier ? 'pinned' : 'auto'}). Usage: /quality <${QUALITY_TIERS.join('|')}>`);
+            return;
+        }
+
+        const match = QUALITY_TIERS.find(known => known.toLowerCase() === tier.toLowerCase());
+        if (!match) {
+            this.addSystemMessage(`Unknown quality tier "${tier}". Choose one of: ${QUALITY_TIERS.join(', ')}.`);
+            return;
+        }
+        perf.setManualTier(match === 'auto' ? null : match);
+        this.addSystemMessage(match === 'auto'
+            ? `Quality: auto (currently ${perf.getTier()}).`
+            : `Quality pinned to ${match}.`);
+    }
+
+    // Show the autocomplete menu while the input starts with "/"
+    updateCommandMenu() {
+        const input = document.getElementById('ai-input');
+        const menu = document.getElementById('ai-command-menu');
+        if (!input || !menu) return;
+
+        this.commandSuggestions = completeCommand(input.value);
+        this.commandIndex = -1;
+        if (!this.commandSuggestions.length) {
+            this.hideCommandMenu();
+            return;
+        }
+
+        menu.innerHTML = '';
+        this.commandSuggestions.forEach((suggestion, index) => {
+            const option = document.createElement('div');
+            option.className = 'command-option';
+            option.setAttribute('role', 'option');
+
+            const label = document.createElement('span');
+            label.textContent = suggestion.label;
+            const description = document.createElement('span');
+            description.className = 'command-description';
+            description.textContent = suggestion.description;
+            option.append(label, description);
+
+            // mousedown fires before the input's blur would close the menu
+            option.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.applySuggestion(index);
+            });
+            menu.appendChild(option);
+        });
+        menu.style.display = 'block';
+    }
+
+    hideCommandMenu() {
+        const menu = document.getElementById('ai-command-menu');
+        if (menu) menu.style.display = 'none';
+        this.commandSuggestions = [];
+        this.commandIndex = -1;
+    }
+
+    highlightSuggestion(index) {
+        const count = this.commandSuggestions.length;
+        this.commandIndex = (index + count) % count;
+        document.querySelectorAll('#ai-command-menu .command-option').forEach((option, i) => {
+            option.classList.toggle('selected', i === this.commandIndex);
+        });
+    }
+
+    // Fill the input with a suggestion; with `run`, complete commands run straight away
+    applySuggestion(index, run = true) {
+        const input = document.getElementById('ai-input');
+        const suggestion = this.commandSuggestions[index];
+        if (!input || !suggestion) return;
+
+        input.value = suggestion.value;
         input.focus();
+        if (suggestion.value.endsWith(' ')) {
+            // Still needs an argument: offer those next
+            this.updateCommandMenu();
+        } else if (run) {
+            this.sendMessage();
+        } else {
+            this.hideCommandMenu();
+        }
+    }
+
+    handleCommandKey(e) {
+        if (!this.commandSuggestions.length) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.highlightSuggestion(this.commandIndex + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if (e.key === 'Tab') {
+            e.preventDefault();
+            this.applySuggestion(Math.max(this.commandIndex, 0), false);
+        } else if (e.key === 'Enter' && this.commandIndex >= 0) {
+            // Cancelling keydown also suppresses the keypress that would send the raw input
+            e.preventDefault();
+            this.applySuggestion(this.commandIndex);
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            this.hideCommandMenu();
+        }
+    }
+
+    // Track the in-flight request: its AbortController, inactivity timeout and the Stop button
+    beginRequest() {
+        const controller = new AbortController();
+        const request = {
+            signal: controller.signal,
+            timedOut: false,
+            timer: null,
+            abort: () => controller.abort(),
+            // Restart the inactivity timeout; called whenever data arrives
+            touch: () => {
+                clearTimeout(request.timer);
+                request.timer = setTimeout(() => {
+                    request.timedOut = true;
+                    controller.abort();
+                }, this.requestTimeoutMs);
+            }
+        };
+
+        request.touch();
+        this.activeRequest = request;
+        this.toggleStopButton(true);
+        return request;
+    }
+
+    endRequest(request) {
+        clearTimeout(request.timer);
+        if (this.activeRequest === request) {
+            this.activeRequest = null;
+        }
+        this.toggleStopButton(false);
+    }
+
+    stopGeneration() {
+        this.activeRequest?.abort();
+    }
+
+    toggleStopButton(generating) {
+        const sendBtn = document.getElementById('ai-send-btn');
+        const stopBtn = document.getElementById('ai-stop-btn');
+        if (sendBtn) sendBtn.style.display = generating ? 'none' : '';
+        if (stopBtn) stopBtn.style.display = generating ? '' : 'none';
+        // Suggestion chips and message actions can't start a second request mid-reply
+        document.querySelectorAll('.question-chip, .message-action').forEach(button => { button.disabled = generating; });
+    }
+
+    async readStreamingReply(response, typingElement, request) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let fullText = '';
+        let meta = {};
+        let typewriter = null;
+
+        const handleEvent = (event, data) => {
+            if (event === 'token') {
+                // Swap the "Processing" indicator for a live bubble on the first token
+                if (!typewriter) {
+                    typingElement.remove();
+                    const messageElement = this.addMessage('JULIVER.AI', '', 'ai-message streaming');
+                    typewriter = this.createTypewriter(messageElement);
+                }
+                fullText += data.text;
+                typewriter.push(data.text);
+            } else if (event === 'done') {
+                meta = data;
+            } else if (event === 'error') {
+                throw new ChatError(data.code || 'STREAM_INTERRUPTED', { detail: data.detail });
+            }
+        };
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                request?.touch();
+
+                buffer += decoder.decode(value, { stream: true });
+                const events = buffer.split('\n\n');
+                buffer = events.pop();
+
+                events.forEach(rawEvent => {
+                    let event = 'message';
+                    let data = '';
+                    rawEvent.split('\n').forEach(line => {
+                        if (line.startsWith('event:')) event = line.slice(6).trim();
+                        else if (line.startsWith('data:')) data += line.slice(5).trim();
+                    });
+                    if (data) handleEvent(event, JSON.parse(data));
+                });
+            }
+        } catch (error) {
+            // Keep whatever already arrived on screen, but don't let it into the history
+            if (typewriter) {
+                typewriter.flush();
+                typewriter.render(fullText);
+                typewriter.element.classList.remove('streaming');
+                typewriter.element.classList.add('interrupted');
+            }
+            throw error;
+        }
+
+        if (!typewriter) {
+            throw new ChatError('EMPTY_RESPONSE');
+        }
+
+        await typewriter.finish();
+        typewriter.render(fullText);
+        typewriter.element.classList.remove('streaming');
+        return {
+            reply: { ...meta, message: fullText },
+            messageElement: typewriter.element
+        };
+    }
+
+    // Source links under an answer; each scrolls the panel to the section it came from
+    renderCitations(messageElement, citations = []) {
+        if (!messageElement || !citations?.length) return;
+
+        const list = document.createElement('div');
+        list.className = 'message-citations';
+
+        const label = document.createElement('span');
+        label.className = 'citation-label';
+        label.textContent = 'Sources:';
+        list.appendChild(label);
+
+        citations.forEach(citation => {
+            const link = document.createElement('a');
+            link.className = 'citation-link';
+            link.href = `#${citation.anchor}`;
+            link.textContent = `[${citation.ref}] ${citation.section || citation.title}`;
+            link.title = citation.title;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.scrollToSection(citation.anchor);
+            });
+            list.appendChild(link);
+        });
+
+        messageElement.appendChild(list);
+    }
+
+    // "Unverified" marker under an answer making claims about Julian that the knowledge base doesn't support
+    renderFactCheck(messageElement, factCheck) {
+        if (!messageElement || !factCheck?.unverified?.length) return;
+
+        messageElement.classList.add('has-unverified');
+        const marker = document.createElement('div');
+        marker.className = 'message-unverified';
+
+        const label = document.createElement('span');
+        label.className = 'unverified-label';
+        label.textContent = '⚠ Unverified:';
+        label.title = 'Not found in Julian\'s knowledge base. Treat these claims as possible hallucinations.';
+        marker.appendChild(label);
+
+        factCheck.unverified.forEach(({ claim, terms }) => {
+            const item = document.createElement('span');
+            item.className = 'unverified-claim';
+            item.textContent = terms.join(', ');
+            item.title = claim;
+            marker.appendChild(item);
+        });
+
+        messageElement.appendChild(marker);
+    }
+
+    // Clickable question chips: follow-ups under an answer, or the example questions
+    renderSuggestions(messageElement, questions = []) {
+        if (!messageElement || !questions?.length) return;
+
+        const list = document.createElement('div');
+        list.className = 'message-suggestions';
+
+        questions.forEach(question => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'question-chip';
+            chip.textContent = question;
+            chip.addEventListener('click', () => this.askQuestion(question));
+            list.appendChild(chip);
+        });
+
+        messageElement.appendChild(list);
+        const messagesContainer = document.getElementById('ai-messages');
+        if (messagesContainer) messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+
+    // Run the page actions that came back with a reply, skipping anything not allowlisted
+    dispatchActions(actions = []) {
+        (actions || []).forEach(action => {
+            if (!Object.hasOwn(PAGE_ACTIONS, action?.type)) {
+                console.warn('Ignoring unknown page action:', action?.type);
+                return;
+            }
+            try {
+                PAGE_ACTIONS[action.type](this, action);
+            } catch (error) {
+                console.error(`Page action "${action.type}" failed:`, error);
+            }
+        });
+    }
+
+    scrollToSection(anchor) {
+        const section = document.getElementById(anchor);
+        if (!section) return;
+
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        section.classList.remove('citation-target');
+        // Restart the highlight animation even when the same section is cited twice
+        void section.offsetWidth;
+        section.classList.add('citation-target');
+        setTimeout(() => section.classList.remove('citation-target'), 2000);
+    }
+
+    // Reveals queued text a few characters per frame so bursts of tokens read as typing
+    createTypewriter(messageElement) {
+        const contentElement = messageElement.querySelector('.message-content');
+        const messagesContainer = document.getElementById('ai-messages');
+        let pending = '';
+        let frame = null;
+        let onDrained = null;
+
+        const step = () => {
+            const count = Math.max(2, Math.ceil(pending.length / 30));
+            contentElement.textContent += pending.slice(0, count);
+            pending = pending.slice(count);
+            if (messagesContainer) {
+                messagesContainer.scrollTop = messagesContainer.scrollHeight;
+            }
+
+            if (pending) {
+                frame = requestAnimationFrame(step);
+            } else {
+                frame = null;
+                if (onDrained) onDrained();
+            }
+        };
+
+        return {
+            element: messageElement,
+            push(text) {
+                pending += text;
+                if (!frame) frame = requestAnimationFrame(step);
+            },
+            flush() {
+                if (frame) cancelAnimationFrame(frame);
+                frame = null;
+                contentElement.textContent += pending;
+                pending = '';
+            },
+            finish() {
+                if (!frame) return Promise.resolve();
+                return new Promise(resolve => { onDrained = resolve; });
+            },
+            // Swap the raw typed text for formatted markdown once the text is complete
+            render(text) {
+                contentElement.innerHTML = renderMarkdown(text);
+            }
+        };
+    }
+
+    // Switch to the local responder until the retry window passes
+    enterOfflineMode(seconds) {
+        if (!this.offlineMode) {
+            this.offlineMode = true;
+            this.addSystemMessage('OFFLINE MODE: Answers now come from a small local memory until the network recovers.');
+        }
+        this.startCooldown(seconds);
+    }
+
+    // Answer from the knowledge base; kept out of the history sent to the model
+    answerOffline(question, userElement) {
+        const { text } = this.offlineResponder.respond(question);
+        const answerElement = this.addOfflineMessage(text);
+
+        const sessionId = this.sessions.state.activeId;
+        const userNode = this.sessions.appendMessage(sessionId, { role: 'user', content: question, offline: true });
+        const answerNode = this.sessions.appendMessage(sessionId, { role: 'assistant', content: text, offline: true });
+        this.attachMessageActions(userElement, userNode);
+        this.attachMessageActions(answerElement, answerNode);
+        this.refreshSessionSelect();
+    }
+
+    // Count down to the next health check; input stays usable through the offline responder
+    startCooldown(seconds) {
+        const endsAt = Date.now() + seconds * 1000;
+
+        clearInterval(this.cooldownTimer);
+
+        const tick = () => {
+            const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+
+            if (remaining <= 0) {
+                clearInterval(this.cooldownTimer);
+                this.cooldownTimer = null;
+                this.retryOnline();
+                return;
+            }
+
+            this.updateStatus('loading', `Offline Mode (retry in ${formatDuration(remaining)})`);
+        };
+
+        tick();
+        this.cooldownTimer = setInterval(tick, 1000);
+    }
+
+    // Leave offline mode once /api/health is happy again, otherwise wait another minute
+    async retryOnline() {
+        this.updateStatus('loading', 'Offline Mode (reconnecting...)');
+        try {
+            const response = await fetch(this.healthEndpoint, { method: 'GET' });
+            const health = await response.json().catch(() => ({}));
+            if (health.status === 'ok') {
+                this.offlineMode = false;
+                this.updateStatus('online', 'Network Online');
+                this.addSystemMessage('Neural pathways recovered. Back online.');
+                return;
+            }
+            this.startCooldown(health.retryAfter || health.budget?.retryAfter || 60);
+        } catch (error) {
+            this.startCooldown(60);
+        }
     }
 
     clearChat() {
@@ -576,9 +2022,111 @@ class BrainAI {
         if (!messagesContainer) return;
         
         messagesContainer.innerHTML = '';
-        this.conversationHistory = [];
+        this.sessions.clearMessages(this.sessions.state.activeId);
         this.addSystemMessage('Neural buffer cleared. Ready for new queries.');
     }
+
+    // Replay a stored session into the message list
+    renderSession(session) {
+        const messagesContainer = document.getElementById('ai-messages');
+        if (!messagesContainer) return;
+
+        messagesContainer.innerHTML = '';
+        this.addSystemMessage(`Session "${session.name}" restored.`);
+
+        this.sessions.messages(session.id).forEach(message => this.renderStoredMessage(message));
+    }
+
+    // A stored message with its sources, suggestions and branch actions
+    renderStoredMessage(message) {
+        let messageElement;
+        if (message.role === 'user') {
+            messageElement = this.addUserMessage(message.content);
+        } else if (message.offline) {
+            messageElement = this.addOfflineMessage(message.content);
+        } else {
+            messageElement = this.addAIMessage(message.content);
+            this.renderCitations(messageElement, message.citations);
+            this.renderFactCheck(messageElement, message.factCheck);
+            this.renderSuggestions(messageElement, message.followUps);
+        }
+        this.attachMessageActions(messageElement, message);
+    }
+
+    refreshSessionSelect() {
+        const select = document.getElementById('ai-session-select');
+        if (!select) return;
+
+        this.syncModeSelect();
+        select.innerHTML = '';
+        this.sessions.list().forEach(session => {
+            const option = document.createElement('option');
+            option.value = session.id;
+            option.textContent = `${session.name} (${this.sessions.messages(session.id).length})`;
+            option.selected = session.id === this.sessions.state.activeId;
+            select.appendChild(option);
+        });
+    }
+
+    switchSession(id) {
+        if (this.isGenerating) return;
+        const session = this.sessions.setActive(id);
+        if (session) {
+            this.renderSession(session);
+            this.refreshSessionSelect();
+        }
+    }
+
+    newSession() {
+        if (this.isGenerating) return;
+        this.renderSession(this.sessions.create());
+        this.refreshSessionSelect();
+    }
+
+    // Name the active session; without a name, ask for one
+    renameSession(name = window.prompt('Session name:', this.sessions.getActive().name)) {
+        if (name === null) return;
+        const session = this.sessions.rename(this.sessions.state.activeId, name);
+        if (!session) {
+            this.addSystemMessage('Session names cannot be empty.');
+            return;
+        }
+        this.refreshSessionSelect();
+        this.addSystemMessage(`Session renamed to "${session.name}".`);
+    }
+
+    deleteSession() {
+        if (this.isGenerating) return;
+        const session = this.sessions.getActive();
+        if (this.sessions.messages(session.id).length && !window.confirm(`Delete session "${session.name}"?`)) return;
+
+        this.renderSession(this.sessions.delete(session.id));
+        this.refreshSessionSelect();
+    }
+
+    exportSession(format) {
+        const session = this.sessions.getActive();
+        if (!this.sessions.messages(session.id).length) {
+            this.addSystemMessage('Nothing to export yet.');
+            return;
+        }
+
+        const content = format === 'json' ? sessionToJSON(session) : sessionToMarkdown(session);
+        const type = format === 'json' ? 'application/json' : 'text/markdown';
+        const slug = session.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'session';
+
+        this.downloadBlob(new Blob([content], { type }), `juliver-ai-${slug}.${format}`);
+    }
+
+    downloadBlob(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
 }
 
 // Initialize Brain AI when the page loads
@@ -0,0 +1,80 @@
+/**
+ * Slash commands for the JULIVER.AI input.
+ * Commands run locally in the browser and never reach the chat API; this module only
+ * describes, parses and autocompletes them (BrainAI supplies the handlers).
+ * @module chat-commands
+ */
+
+import { MODE_NAMES } from './shared/response-modes.js';
+
+/** Quality tiers accepted by /quality ("auto" hands control back to adaptive switching) */
+export const QUALITY_TIERS = ['auto', 'high', 'medium', 'low', 'ultraLow'];
+
+/**
+ * Available commands, in the order /help lists them
+ * @type {Array<{name: string, usage: string, description: string, args: Array<string>}>}
+ */
+export const COMMANDS = [
+    { name: 'help', usage: '/help', description: 'List the available commands', args: [] },
+    { name: 'clear', usage: '/clear', description: 'Clear the neural buffer', args: [] },
+    { name: 'rename', usage: '/rename <name>', description: 'Name this session', args: [] },
+    { name: 'export', usage: '/export [md|json]', description: 'Download this session as a transcript', args: ['md', 'json'] },
+    { name: 'examples', usage: '/examples', description: 'Show example questions', args: [] },
+    { name: 'mode', usage: '/mode <persona>', description: 'Switch how JULIVER.AI answers', args: MODE_NAMES },
+    { name: 'skip', usage: '/skip', description: 'Skip the intro scenes and jump to the brain', args: [] },
+    { name: 'quality', usage: '/quality <tier>', description: 'Set the rendering quality tier', args: QUALITY_TIERS }
+];
+
+/**
+ * Look up a command by name
+ * @param {string} name - Command name without the slash
+ * @returns {Object|null} Command, or null if unknown
+ */
+export function findCommand(name) {
+    return COMMANDS.find(command => command.name === name) || null;
+}
+
+/**
+ * Parse input as a slash command
+ * @param {string} text - Raw input
+ * @returns {{name: string, args: Array<string>}|null} Command name and arguments, or null for ordinary messages
+ */
+export function parseCommand(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed.startsWith('/') || trimmed.length < 2) return null;
+
+    const [name, ...args] = trimmed.slice(1).split(/\s+/);
+    return { name: name.toLowerCase(), args };
+}
+
+/**
+ * Autocomplete suggestions for partially typed input
+ * Completes the command name until a space is typed, then the command's first argument.
+ * @param {string} text - Raw input
+ * @returns {Array<{value: string, label: string, description: string}>} Suggestions; `value` replaces the input
+ */
+export function completeCommand(text) {
+    if (!text || !text.startsWith('/')) return [];
+
+    const match = text.slice(1).match(/^(\S*)(?:\s+(\S*))?$/);
+    if (!match) return [];
+    const [, typedName, typedArg] = match;
+
+    if (typedArg === undefined) {
+        return COMMANDS
+            .filter(command => command.name.startsWith(typedName.toLowerCase()))
+            .map(command => ({
+                value: command.args.length ? `/${command.name} ` : `/${command.name}`,
+                label: command.usage,
+                description: command.description
+            }));
+    }
+
+    const command = findCommand(typedName.toLowerCase());
+    if (!command) return [];
+    return command.args
+        .filter(arg => arg.toLowerCase().startsWith(typedArg.toLowerCase()))
+        .map(arg => ({ value: `/${command.name} ${arg}`, label: arg, description: command.description }));
+}
+
+export default COMMANDS;
@@ -0,0 +1,508 @@
+/**
+ * Local persistence for JULIVER.AI conversations.
+ * Sessions live in localStorage so a refresh doesn't lose the conversation,
+ * and can be exported as Markdown or JSON transcripts.
+ *
+ * Each session's messages form a tree: editing a question or regenerating an answer adds a
+ * sibling branch instead of overwriting. `children` lists each message's replies (under ROOT
+ * for the first messages) and `selected` records which branch is shown; the active branch
+ * is the path that follows `selected` from the root.
+ * @module chat-sessions
+ */
+
+const STORAGE_KEY = 'juliver.chatSessions';
+const STORAGE_VERSION = 2;
+const MAX_SESSIONS = 20;
+const MAX_MESSAGES_PER_SESSION = 200; // across all branches
+const DEFAULT_NAME_PREFIX = 'Session';
+const ROOT = 'root';
+
+// Messages that belong in the model's conversation history
+const isHistoryMessage = (message) => !message.offline;
+
+const branchKey = (parentId) => parentId || ROOT;
+
+/**
+ * Id of the branch shown after a message: the selected child, or the newest one
+ * @param {Object} session - Session
+ * @param {string|null} parentId - Message id, or null for the first message
+ * @returns {string|null} Child message id
+ */
+function selectedChild(session, parentId) {
+    const key = branchKey(parentId);
+    const ids = session.children[key] || [];
+    return ids.includes(session.selected[key]) ? session.selected[key] : (ids[ids.length - 1] || null);
+}
+
+/**
+ * Messages on the session's active branch, oldest first
+ * @param {Object} session - Session
+ * @returns {Array<Object>} Messages
+ */
+export function activePath(session) {
+    const path = [];
+    let id = selectedChild(session, null);
+    while (id) {
+        path.push(session.nodes[id]);
+        id = selectedChild(session, id);
+    }
+    return path;
+}
+
+/**
+ * Messages from the first one down to `id`, following parents rather than the selection
+ * @param {Object} session - Session
+ * @param {string|null} id - Last message, or null for none
+ * @returns {Array<Object>} Messages
+ */
+function pathTo(session, id) {
+    const path = [];
+    for (let node = session.nodes[id]; node; node = session.nodes[node.parentId]) {
+        path.unshift(node);
+    }
+    return path;
+}
+
+/**
+ * The deepest running summary on a path and the history messages after it
+ * @param {Object} session - Session
+ * @param {Array<Object>} path - Messages, oldest first
+ * @returns {{summary: string, pending: Array<Object>}} Summary and unsummarized history
+ */
+function summaryFor(session, path) {
+    const history = path.filter(isHistoryMessage);
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (history[i].id in session.summaries) {
+            return { summary: session.summaries[history[i].id], pending: history.slice(i + 1) };
+        }
+    }
+    return { summary: '', pending: history };
+}
+
+// Delete a message and everything branching from it
+function removeSubtree(session, id) {
+    (session.children[id] || []).forEach(childId => removeSubtree(session, childId));
+    delete session.nodes[id];
+    delete session.children[id];
+    delete session.selected[id];
+    delete session.summaries[id];
+}
+
+/**
+ * Keep storage bounded: drop the oldest message of the active branch (and any branches
+ * beside it) until the session fits; its replies become the first messages
+ * @param {Object} session - Session
+ */
+function prune(session) {
+    while (Object.keys(session.nodes).length > MAX_MESSAGES_PER_SESSION) {
+        const firstId = selectedChild(session, null);
+        session.children[ROOT].filter(id => id !== firstId).forEach(id => removeSubtree(session, id));
+
+        const replies = session.children[firstId] || [];
+        replies.forEach(id => { session.nodes[id].parentId = null; });
+        session.children[ROOT] = replies;
+        session.selected[ROOT] = session.selected[firstId];
+
+        delete session.nodes[firstId];
+        delete session.children[firstId];
+        delete session.selected[firstId];
+        delete session.summaries[firstId];
+    }
+}
+
+/**
+ * Convert version 1 state (a flat `messages` list per session) into message trees
+ * @param {Object} state - Version 1 state
+ * @returns {Object} Version 2 state
+ */
+function migrateFromV1(state) {
+    Object.values(state.sessions).forEach(session => {
+        const { messages = [], summary = '', summarizedThrough = 0 } = session;
+        delete session.messages;
+        delete session.summary;
+        delete session.summarizedThrough;
+        Object.assign(session, { nodes: {}, children: {}, selected: {}, summaries: {}, nextId: 1 });
+
+        let parentId = null;
+        let historyCount = 0;
+        messages.forEach(message => {
+            const node = { ...message, id: `m${session.nextId++}`, parentId };
+            session.nodes[node.id] = node;
+            session.children[branchKey(parentId)] = [node.id];
+            if (isHistoryMessage(node) && ++historyCount === summarizedThrough && summary) {
+                session.summaries[node.id] = summary;
+            }
+            parentId = node.id;
+        });
+    });
+    return { ...state, version: STORAGE_VERSION };
+}
+
+/**
+ * Fallback storage used when localStorage is unavailable (private mode, tests)
+ * @returns {Storage-like} Object with getItem/setItem/removeItem
+ */
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+function defaultStorage() {
+    try {
+        const storage = window.localStorage;
+        const probe = `${STORAGE_KEY}.probe`;
+        storage.setItem(probe, '1');
+        storage.removeItem(probe);
+        return storage;
+    } catch (_) {
+        return createMemoryStorage();
+    }
+}
+
+/**
+ * localStorage-backed collection of named chat sessions
+ * @class ChatSessionStore
+ */
+export class ChatSessionStore {
+    /**
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - Storage backend (defaults to localStorage)
+     * @param {Function} [options.now] - Clock, for tests
+     */
+    constructor({ storage = defaultStorage(), now = () => Date.now() } = {}) {
+        this.storage = storage;
+        this.now = now;
+        this.state = this.load();
+        if (!this.getActive()) {
+            this.create();
+        }
+    }
+
+    /**
+     * Read persisted state, upgrading version 1 and discarding anything unreadable or unknown
+     * @returns {Object} State with activeId and sessions
+     */
+    load() {
+        try {
+            const state = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (state && state.version === STORAGE_VERSION && state.sessions) {
+                return state;
+            }
+            if (state && state.version === 1 && state.sessions) {
+                return migrateFromV1(state);
+            }
+        } catch (_) {}
+        return { version: STORAGE_VERSION, activeId: null, sessions: {} };
+    }
+
+    /**
+     * Persist state; on quota errors drop the oldest inactive session and retry
+     */
+    save() {
+        while (true) {
+            try {
+                this.storage.setItem(STORAGE_KEY, JSON.stringify(this.state));
+                return;
+            } catch (error) {
+                const oldest = this.list().reverse().find(session => session.id !== this.state.activeId);
+                if (!oldest) {
+                    console.warn('Chat sessions could not be saved:', error);
+                    return;
+                }
+                delete this.state.sessions[oldest.id];
+            }
+        }
+    }
+
+    /**
+     * All sessions, most recently updated first
+     * @returns {Array<Object>} Sessions
+     */
+    list() {
+        return Object.values(this.state.sessions).sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    get(id) {
+        return this.state.sessions[id] || null;
+    }
+
+    getActive() {
+        return this.get(this.state.activeId);
+    }
+
+    /**
+     * Create a session and make it active
+     * @param {string} [name] - Display name; defaults to "Session N"
+     * @returns {Object} The new session
+     */
+    create(name) {
+        const timestamp = this.now();
+        const session = {
+            id: `s${timestamp.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: name || `${DEFAULT_NAME_PREFIX} ${Object.keys(this.state.sessions).length + 1}`,
+            autoNamed: !name,
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            // Message tree (see the module comment); ids are m1, m2, ... in creation order
+            nodes: {},
+            children: {},
+            selected: {},
+            nextId: 1,
+            // Running summaries, keyed by the last message each one covers
+            summaries: {},
+            // Response mode (js/shared/response-modes.js); new sessions keep the current one
+            mode: this.getActive()?.mode || null
+        };
+
+        this.state.sessions[session.id] = session;
+        this.state.activeId = session.id;
+
+        // Keep storage bounded: forget the least recently used sessions
+        this.list().slice(MAX_SESSIONS).forEach(old => delete this.state.sessions[old.id]);
+
+        this.save();
+        return session;
+    }
+
+    setActive(id) {
+        if (!this.get(id)) return null;
+        this.state.activeId = id;
+        this.save();
+        return this.getActive();
+    }
+
+    /**
+     * Name a session; it then keeps the name instead of taking its first question's
+     * @param {string} id - Session id
+     * @param {string} name - New name (blank names are ignored)
+     * @returns {Object|null} The renamed session, or null if nothing changed
+     */
+    rename(id, name) {
+        const session = this.get(id);
+        if (!session || !name?.trim()) return null;
+        session.name = name.trim();
+        session.autoNamed = false;
+        this.save();
+        return session;
+    }
+
+    /**
+     * Delete a session; if it was active, the most recent remaining one (or a new one) takes over
+     * @param {string} id - Session id
+     * @returns {Object} The session that is now active
+     */
+    delete(id) {
+        delete this.state.sessions[id];
+        if (this.state.activeId === id) {
+            this.state.activeId = this.list()[0]?.id || null;
+        }
+        if (!this.getActive()) {
+            return this.create();
+        }
+        this.save();
+        return this.getActive();
+    }
+
+    /**
+     * Add a message and show its branch. By default it continues the active branch; passing the
+     * parent of an existing message adds a sibling of it (an edited question or a regenerated answer).
+     * @param {string} id - Session id
+     * @param {Object} message - { role: 'user' | 'assistant', content, ...metadata }
+     * @param {Object} [options]
+     * @param {string|null} [options.parentId] - Message to reply to (null for a new first message)
+     * @returns {Object|null} The stored message, with its `id` and `parentId`
+     */
+    appendMessage(id, message, { parentId } = {}) {
+        const session = this.get(id);
+        if (!session) return null;
+
+        if (parentId === undefined) {
+            parentId = activePath(session).pop()?.id || null;
+        }
+        const node = { ...message, id: `m${session.nextId++}`, parentId, timestamp: this.now() };
+        const key = branchKey(parentId);
+        session.nodes[node.id] = node;
+        session.children[key] = [...(session.children[key] || []), node.id];
+        session.selected[key] = node.id;
+        prune(session);
+        session.updatedAt = this.now();
+
+        // Name untitled sessions after their first question
+        if (session.autoNamed && message.role === 'user') {
+            session.name = message.content.length > 40 ? `${message.content.slice(0, 40).trim()}…` : message.content;
+            session.autoNamed = false;
+        }
+
+        this.save();
+        return node;
+    }
+
+    /**
+     * Messages on the active branch of a session
+     * @param {string} id - Session id
+     * @returns {Array<Object>} Messages, oldest first
+     */
+    messages(id) {
+        const session = this.get(id);
+        return session ? activePath(session) : [];
+    }
+
+    /**
+     * A message's position among its sibling branches
+     * @param {string} id - Session id
+     * @param {string} messageId - Message id
+     * @returns {{ids: Array<string>, index: number}} Sibling ids in creation order and this message's index
+     */
+    siblings(id, messageId) {
+        const node = this.get(id)?.nodes[messageId];
+        if (!node) return { ids: [], index: -1 };
+        const ids = this.get(id).children[branchKey(node.parentId)] || [];
+        return { ids, index: ids.indexOf(messageId) };
+    }
+
+    /**
+     * Show the branch that goes through a message
+     * @param {string} id - Session id
+     * @param {string} messageId - Message id
+     */
+    selectBranch(id, messageId) {
+        const node = this.get(id)?.nodes[messageId];
+        if (!node) return;
+        this.get(id).selected[branchKey(node.parentId)] = messageId;
+        this.save();
+    }
+
+    /**
+     * Conversation context for the chat proxy: the running summary plus the history
+     * messages it doesn't cover yet. Offline-mode answers are never part of it.
+     * @param {string} id - Session id
+     * @param {number} [limit] - Most history entries to return
+     * @param {Object} [options]
+     * @param {string|null} [options.parentId] - Use the branch ending at this message (null for
+     *     none) instead of the whole active branch, e.g. when re-asking an earlier question
+     * @returns {{summary: string, history: Array<Object>, skipped: number}} Context, and how many
+     *     unsummarized entries were left out to respect the limit
+     */
+    historyFor(id, limit = Infinity, { parentId } = {}) {
+        const session = this.get(id);
+        if (!session) return { summary: '', history: [], skipped: 0 };
+
+        const path = parentId === undefined ? activePath(session) : pathTo(session, parentId);
+        const { summary, pending } = summaryFor(session, path);
+        const history = pending.slice(-limit).map(({ role, content }) => ({ role, content }));
+
+        return { summary, history, skipped: pending.length - history.length };
+    }
+
+    /**
+     * Record a new running summary that now covers `count` more history messages of a branch
+     * @param {string} id - Session id
+     * @param {string} summary - Updated summary from the chat proxy
+     * @param {number} count - History messages folded into it
+     * @param {Object} [options]
+     * @param {string|null} [options.parentId] - Branch the context came from (as passed to historyFor)
+     */
+    updateSummary(id, summary, count, { parentId } = {}) {
+        const session = this.get(id);
+        if (!session) return;
+
+        const path = parentId === undefined ? activePath(session) : pathTo(session, parentId);
+        const through = summaryFor(session, path).pending[count - 1];
+        if (!through) return;
+        session.summaries[through.id] = summary;
+
+        // Older summaries on this branch are superseded, up to the nearest fork that may still need them
+        for (let node = session.nodes[through.parentId]; node; node = session.nodes[node.parentId]) {
+            if ((session.children[node.id] || []).length > 1) break;
+            delete session.summaries[node.id];
+        }
+        this.save();
+    }
+
+    /**
+     * Merge metadata into a stored message (e.g. the visitor's feedback on an answer)
+     * @param {string} id - Session id
+     * @param {string} messageId - Message id
+     * @param {Object} fields - Fields to set; id, parentId and content are left alone
+     * @returns {Object|null} The updated message
+     */
+    updateMessage(id, messageId, fields) {
+        const node = this.get(id)?.nodes[messageId];
+        if (!node) return null;
+        const { id: _id, parentId: _parentId, content: _content, ...rest } = fields;
+        Object.assign(node, rest);
+        this.save();
+        return node;
+    }
+
+    /**
+     * Remember the response mode chosen for a session
+     * @param {string} id - Session id
+     * @param {string} mode - Mode name
+     */
+    setMode(id, mode) {
+        const session = this.get(id);
+        if (!session) return;
+        session.mode = mode;
+        this.save();
+    }
+
+    clearMessages(id) {
+        const session = this.get(id);
+        if (!session) return;
+        Object.assign(session, { nodes: {}, children: {}, selected: {}, summaries: {} });
+        session.updatedAt = this.now();
+        this.save();
+    }
+}
+
+/**
+ * Render a session's active branch as a Markdown transcript
+ * @param {Object} session - Session to export
+ * @returns {string} Markdown
+ */
+export function sessionToMarkdown(session) {
+    const speaker = { user: 'You', assistant: 'JULIVER.AI' };
+    const lines = [
+        `# JULIVER.AI transcript: ${session.name}`,
+        '',
+        `_Started ${new Date(session.createdAt).toISOString()}, exported ${new Date().toISOString()}_`,
+        ''
+    ];
+
+    activePath(session).forEach(message => {
+        const label = `${speaker[message.role] || message.role}${message.offline ? ' (offline)' : ''}`;
+        lines.push(`**${label}:** ${message.content}`, '');
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Render a session's active branch as a JSON transcript
+ * @param {Object} session - Session to export
+ * @returns {string} Pretty-printed JSON
+ */
+export function sessionToJSON(session) {
+    return JSON.stringify({
+        app: 'JULIVER.AI',
+        exportedAt: new Date().toISOString(),
+        session: {
+            name: session.name,
+            createdAt: new Date(session.createdAt).toISOString(),
+            summary: summaryFor(session, activePath(session)).summary,
+            mode: session.mode || null,
+            // The branch on screen; other branches stay in the browser
+            messages: activePath(session).map(({ id, parentId, ...message }) => ({
+                ...message,
+                timestamp: new Date(message.timestamp).toISOString()
+            }))
+        }
+    }, null, 2);
+}
+
+export default ChatSessionStore;
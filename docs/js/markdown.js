@@ -0,0 +1,150 @@
+/**
+ * Sanitizing renderer for the small markdown subset used in chat messages:
+ * paragraphs, line breaks, **strong**, *emphasis*, `inline code`, fenced code blocks,
+ * bulleted and numbered lists and [links](https://...).
+ *
+ * Everything is HTML-escaped first and only the tags generated here are emitted,
+ * so model output and user input can never inject markup or script.
+ * @module markdown
+ */
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/** Link schemes allowed in hrefs; anything else renders as plain text */
+const SAFE_URL = /^(https?:\/\/|mailto:|#)/i;
+
+/** Private-use character marking placeholders for already-rendered inline code */
+const PLACEHOLDER = '\uE000';
+
+/**
+ * Escape text for safe use in HTML content and attribute values
+ * @param {string} text - Untrusted text
+ * @returns {string} Escaped HTML
+ */
+export function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, (char) => ESCAPES[char]);
+}
+
+/**
+ * Check whether a link target is safe to put in an href
+ * @param {string} url - Raw (unescaped) URL
+ * @returns {boolean} True for http(s), mailto and in-page anchors
+ */
+export function isSafeUrl(url) {
+    // Strip whitespace and control characters browsers ignore inside schemes ("java\tscript:")
+    const normalized = url.replace(/[\u0000- \u007f-\u009f]/g, '');
+    return SAFE_URL.test(normalized) && !/[<>"'`]/.test(url);
+}
+
+/**
+ * Render inline markdown in a single line of text
+ * @param {string} text - Raw line
+ * @returns {string} Safe HTML
+ */
+function renderInline(text) {
+    const tokens = [];
+
+    // Pull code spans out first so nothing inside them is treated as markdown
+    let html = text.replace(/`([^`]+)`/g, (_, code) => {
+        return `${PLACEHOLDER}${tokens.push(`<code>${escapeHTML(code)}</code>`) - 1}${PLACEHOLDER}`;
+    });
+
+    // Then links, which are only kept when their target is safe
+    html = html.replace(/\[([^\]\uE000]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        if (!isSafeUrl(url)) return label;
+        const external = !url.startsWith('#');
+        return `${PLACEHOLDER}L${tokens.push({ label, url, external }) - 1}${PLACEHOLDER}`;
+    });
+
+    html = escapeHTML(html)
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+        .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+
+    return html.replace(new RegExp(`${PLACEHOLDER}(L?)(\\d+)${PLACEHOLDER}`, 'g'), (_, isLink, index) => {
+        const token = tokens[Number(index)];
+        if (!isLink) return token;
+
+        const attrs = token.external ? ' target="_blank" rel="noopener noreferrer"' : '';
+        return `<a href="${escapeHTML(token.url)}"${attrs}>${renderInline(token.label)}</a>`;
+    });
+}
+
+/**
+ * Render a chat message as safe HTML
+ * @param {string} text - Untrusted markdown from a user or the model
+ * @returns {string} Safe HTML
+ */
+export function renderMarkdown(text) {
+    const lines = String(text ?? '')
+        .replace(new RegExp(PLACEHOLDER, 'g'), '')
+        .replace(/\r\n?/g, '\n')
+        .split('\n');
+
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length) {
+            blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+
+    const flushList = () => {
+        if (list) {
+            blocks.push(`<${list.type}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.type}>`);
+            list = null;
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Fenced code block: everything up to the closing fence is literal
+        if (/^\s*```/.test(line)) {
+            flushParagraph();
+            flushList();
+            const code = [];
+            while (++i < lines.length && !/^\s*```/.test(lines[i])) {
+                code.push(lines[i]);
+            }
+            blocks.push(`<pre><code>${escapeHTML(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        if (bullet || numbered) {
+            flushParagraph();
+            const type = bullet ? 'ul' : 'ol';
+            if (list && list.type !== type) flushList();
+            if (!list) list = { type, items: [] };
+            list.items.push((bullet || numbered)[1]);
+            continue;
+        }
+
+        if (!line.trim()) {
+            flushParagraph();
+            flushList();
+            continue;
+        }
+
+        flushList();
+        paragraph.push(line);
+    }
+
+    flushParagraph();
+    flushList();
+    return blocks.join('');
+}
+
+export default renderMarkdown;
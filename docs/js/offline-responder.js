@@ -0,0 +1,109 @@
+/**
+ * Offline fallback for JULIVER.AI.
+ * When the model is overloaded, rate limited or unreachable, questions are classified
+ * by keyword into a handful of intents and answered from templates filled with facts
+ * from the shared knowledge base. Nothing here calls the network.
+ * @module offline-responder
+ */
+
+import { julianInfo, conversationalGuidelines } from './shared/julian-info.js';
+
+/**
+ * Keyword prefixes per intent, in priority order for ties
+ * @type {Object<string, Array<string>>}
+ */
+const INTENT_KEYWORDS = {
+    contact: ['contact', 'email', 'reach', 'github', 'linkedin', 'twitter', 'bluesky', 'instagram', 'social', 'message', 'hire', 'connect'],
+    research: ['research', 'xai', 'explainab', 'fmri', 'neuroimag', 'predictive', 'coding', 'reinforcement', 'rl', 'paper', 'neurips', 'publication', 'work', 'study', 'studies'],
+    organizations: ['longhorn', 'neurotech', 'eeg', 'headset', 'lecture', 'founded', 'founder', 'ndmic', 'lab', 'organization', 'org'],
+    education: ['education', 'school', 'university', 'college', 'degree', 'ut', 'austin', 'major', 'minor', 'studied', 'graduat'],
+    hobbies: ['hobby', 'hobbies', 'fun', 'free', 'music', 'climb', 'produce', 'guitar', 'spare'],
+    projects: ['project', 'built', 'build', 'kennedy', 'quartet', 'elegans', 'dungeon', 'raport', 'made', 'created'],
+    about: ['who', 'where', 'live', 'from', 'age', 'old', 'born', 'birthday', 'location', 'houston', 'ukraine'],
+    greeting: ['hi', 'hello', 'hey', 'greetings', 'yo', 'sup']
+};
+
+const list = (items) => {
+    if (items.length < 2) return items.join('');
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+};
+
+// Leaves acronyms such as "AI safety" or "XAI" alone
+const lowerFirst = (text) => (/^[A-Z][a-z]/.test(text) ? text.charAt(0).toLowerCase() + text.slice(1) : text);
+
+/**
+ * Templated answers per intent, written in JULIVER.AI's voice
+ * @type {Object<string, Function>}
+ */
+const TEMPLATES = {
+    greeting: (info, guidelines) => guidelines.exampleResponses.greeting,
+
+    research: (info) => `From local memory alone: Julian is ${lowerFirst(info.research.currentWork[0])}, and ${lowerFirst(info.research.currentWork[1])}. His expertise spans ${list(info.research.expertise.slice(0, 3).map(lowerFirst))}. The My Work section of this panel has the longer story.`,
+
+    organizations: (info) => `Julian ${list(info.research.organizations.slice(0, 4).map(lowerFirst))}. The implications of that kind of reach are... profound.`,
+
+    contact: (info) => {
+        const { platforms } = info.social;
+        return `You can reach Julian at ${platforms.email}. He is also on GitHub (${platforms.github}), LinkedIn (${platforms.linkedin}), X (${platforms.twitter}) and Bluesky (${platforms.bluesky}). The Connect section of this panel links to all of them.`;
+    },
+
+    education: (info) => `Julian studied at the ${info.personal.education}. He has been circling the question of how intelligence works from both the biological and the artificial side ever since.`,
+
+    hobbies: (info) => `When he isn't contemplating intelligence, Julian's pastimes are ${list(info.interests.hobbies.map(lowerFirst))}. Even a brain needs time away from the gradient.`,
+
+    projects: (info) => `A few of Julian's other endeavours: ${list(info.interests.projects.slice(0, 5).map(lowerFirst))}.`,
+
+    about: (info) => `Julian Weaver ("${info.personal.nickname}") was born in ${info.personal.bornIn}, grew up across ${list(info.personal.previousLocations)}, and currently resides in ${info.personal.location}.`,
+
+    unknown: () => 'My link to the language model is severed, so I can only draw on a small local memory: Julian\'s research, organizations, education, hobbies, projects and how to contact him. Try asking about one of those.'
+};
+
+/**
+ * Keyword-based fallback responder over the knowledge base
+ * @class OfflineResponder
+ */
+export class OfflineResponder {
+    /**
+     * @param {Object} [info] - Knowledge base (defaults to the shared julianInfo)
+     * @param {Object} [guidelines] - Conversational guidelines
+     */
+    constructor(info = julianInfo, guidelines = conversationalGuidelines) {
+        this.info = info;
+        this.guidelines = guidelines;
+    }
+
+    /**
+     * Classify a question into an intent
+     * @param {string} question - Visitor's question
+     * @returns {string} Intent name, or 'unknown'
+     */
+    classify(question) {
+        const words = question.toLowerCase().match(/[a-z0-9]+/g) || [];
+        let best = 'unknown';
+        let bestScore = 0;
+
+        Object.entries(INTENT_KEYWORDS).forEach(([intent, keywords]) => {
+            const score = words.filter(word => keywords.some(keyword =>
+                keyword.length <= 3 ? word === keyword : word.startsWith(keyword)
+            )).length;
+            if (score > bestScore) {
+                best = intent;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Answer a question from the knowledge base
+     * @param {string} question - Visitor's question
+     * @returns {{intent: string, text: string}} Intent and templated answer
+     */
+    respond(question) {
+        const intent = this.classify(question);
+        return { intent, text: TEMPLATES[intent](this.info, this.guidelines) };
+    }
+}
+
+export default OfflineResponder;
@@ -7,6 +7,7 @@ export class PerformanceManager {
         this.maxSamples = 120; // ~2s at 60fps
         this.lastTimestamp = 0;
         this.currentTier = 'high';
+        this.manualTier = null; // set via setManualTier; pauses adaptive switching
         this.hidden = false;
         this.frameSkipCounter = 0;
         this.targetFPS = 60;
@@ -46,6 +47,7 @@ export class PerformanceManager {
     }
 
     _maybeAdjustTier(dt) {
+        if (this.manualTier) return;
         const now = performance.now();
         if (now - this._lastAdjustTime < this.minAdjustIntervalMs) return;
         if (this.hidden) {
@@ -101,6 +103,18 @@ export class PerformanceManager {
         return this.currentTier;
     }
 
+    // Pin a tier (e.g. from the /quality command); null resumes adaptive switching
+    setManualTier(tier) {
+        const order = ['high', 'medium', 'low', 'ultraLow'];
+        if (tier !== null && !order.includes(tier)) return false;
+        this.manualTier = tier;
+        this._degradeAccum = 0;
+        this._upgradeAccum = 0;
+        this._lastAdjustTime = performance.now();
+        if (tier) this._setTier(tier);
+        return true;
+    }
+
     // Three.js pixel ratio cap per tier
     getThreePixelRatioCap() {
         switch (this.currentTier) {
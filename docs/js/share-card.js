@@ -0,0 +1,267 @@
+/**
+ * Shareable JULIVER.AI exchanges.
+ * A question and answer can be drawn onto a terminal-style card image (client-side, on canvas)
+ * and packed into a `#share=` permalink. The payload lives in the URL fragment, so it never
+ * reaches a server; it is deflate-compressed and base64url-encoded to keep links short.
+ * @module share-card
+ */
+
+import { julianInfo } from './shared/julian-info.js';
+
+const SHARE_VERSION = 1;
+const HASH_PREFIX = '#share=';
+
+/** Limits on shared text, checked when decoding links from strangers */
+export const SHARE_LIMITS = {
+    maxQuestionLength: 2000,
+    maxAnswerLength: 8000,
+    maxPayloadLength: 16000,  // characters in the fragment
+    maxDecodedBytes: 32000    // decompressed JSON, so a crafted link can't inflate without bound
+};
+
+/** Card layout and palette, matching the neural interface */
+const CARD = {
+    width: 1200,
+    padding: 60,
+    font: '"Courier New", monospace',
+    fontSize: 26,
+    lineHeight: 38,
+    maxQuestionLines: 4,
+    maxAnswerLines: 22,
+    colors: {
+        background: '#0a0000',
+        border: '#ff4444',
+        title: '#ff4444',
+        userPrefix: '#ffaa00',
+        aiPrefix: '#ff4444',
+        text: '#ff6666',
+        footer: 'rgba(255, 102, 102, 0.6)',
+        scanline: 'rgba(255, 68, 68, 0.04)'
+    }
+};
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Run bytes through a (de)compression stream, giving up past `maxBytes` of output
+ * @param {Uint8Array} bytes - Input
+ * @param {TransformStream} stream - CompressionStream or DecompressionStream
+ * @param {number} [maxBytes] - Output limit
+ * @returns {Promise<Uint8Array|null>} Output, or null when over the limit
+ */
+async function transform(bytes, stream, maxBytes = Infinity) {
+    const reader = new Blob([bytes]).stream().pipeThrough(stream).getReader();
+    const chunks = [];
+    let total = 0;
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        total += value.length;
+        if (total > maxBytes) {
+            await reader.cancel();
+            return null;
+        }
+        chunks.push(value);
+    }
+
+    const output = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return output;
+}
+
+/**
+ * Pack an exchange into a URL-safe payload
+ * "z" payloads are deflate-raw compressed; browsers without CompressionStream fall back to plain JSON ("j").
+ * @param {{question: string, answer: string}} exchange - Exchange to share
+ * @returns {Promise<string>} Payload for the `#share=` fragment
+ */
+export async function encodeShare({ question, answer }) {
+    const bytes = new TextEncoder().encode(JSON.stringify({ v: SHARE_VERSION, q: question, a: answer }));
+    if (typeof CompressionStream === 'undefined') {
+        return `j${toBase64Url(bytes)}`;
+    }
+    return `z${toBase64Url(await transform(bytes, new CompressionStream('deflate-raw')))}`;
+}
+
+/**
+ * Unpack a payload from a share link
+ * @param {string} payload - Payload from the `#share=` fragment
+ * @returns {Promise<{question: string, answer: string}|null>} Exchange, or null if the link is invalid
+ */
+export async function decodeShare(payload) {
+    if (typeof payload !== 'string' || payload.length < 2 || payload.length > SHARE_LIMITS.maxPayloadLength) {
+        return null;
+    }
+
+    try {
+        let bytes = fromBase64Url(payload.slice(1));
+        if (payload[0] === 'z') {
+            if (typeof DecompressionStream === 'undefined') return null;
+            bytes = await transform(bytes, new DecompressionStream('deflate-raw'), SHARE_LIMITS.maxDecodedBytes);
+        } else if (payload[0] !== 'j') {
+            return null;
+        }
+        if (!bytes || bytes.length > SHARE_LIMITS.maxDecodedBytes) return null;
+
+        const { v, q, a } = JSON.parse(new TextDecoder().decode(bytes));
+        const valid = v === SHARE_VERSION &&
+            typeof q === 'string' && q.trim() && q.length <= SHARE_LIMITS.maxQuestionLength &&
+            typeof a === 'string' && a.trim() && a.length <= SHARE_LIMITS.maxAnswerLength;
+        return valid ? { question: q, answer: a } : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Permalink for a payload on the current page
+ * @param {string} payload - Encoded exchange
+ * @param {Location|URL} [base] - Page to link to (defaults to window.location)
+ * @returns {string} URL ending in `#share=...`
+ */
+export function shareUrl(payload, base = window.location) {
+    return `${base.origin}${base.pathname}${HASH_PREFIX}${payload}`;
+}
+
+/**
+ * Payload from a location hash
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {string|null} Payload, or null if the hash is not a share link
+ */
+export function parseShareHash(hash) {
+    return hash && hash.startsWith(HASH_PREFIX) ? hash.slice(HASH_PREFIX.length) || null : null;
+}
+
+/**
+ * Plain text for the card: markdown emphasis, code, links and headings reduced to their text
+ * @param {string} text - Markdown
+ * @returns {string} Plain text
+ */
+export function stripMarkdown(text) {
+    return text
+        .replace(/```[a-z]*\n?([\s\S]*?)```/g, '$1')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(\*|_)(\S(?:.*?\S)?)\1/g, '$2')
+        .replace(/^#{1,6}\s+/gm, '')
+        .replace(/^\s*[-*+]\s+/gm, '• ')
+        .trim();
+}
+
+/**
+ * Word-wrap text into lines no wider than `maxWidth`; long words are split
+ * @param {string} text - Text; newlines start new lines
+ * @param {number} maxWidth - Line width limit
+ * @param {Function} measure - Width of a string (e.g. canvas measureText)
+ * @param {number} [maxLines] - Truncate with an ellipsis beyond this many lines
+ * @returns {Array<string>} Lines
+ */
+export function wrapText(text, maxWidth, measure, maxLines = Infinity) {
+    const lines = [];
+    text.split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (measure(candidate) <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            // Break words that don't fit on a line of their own
+            while (measure(word) > maxWidth && word.length > 1) {
+                let cut = word.length - 1;
+                while (cut > 1 && measure(word.slice(0, cut)) > maxWidth) cut--;
+                lines.push(word.slice(0, cut));
+                word = word.slice(cut);
+            }
+            line = word;
+        });
+        lines.push(line);
+    });
+
+    // Drop blank lines at the end, then truncate
+    while (lines.length > 1 && !lines[lines.length - 1]) lines.pop();
+    if (lines.length <= maxLines) return lines;
+
+    const kept = lines.slice(0, maxLines);
+    let last = kept[maxLines - 1];
+    while (last && measure(`${last}…`) > maxWidth) last = last.slice(0, -1);
+    kept[maxLines - 1] = `${last.trimEnd()}…`;
+    return kept;
+}
+
+/**
+ * Draw an exchange onto a canvas as a terminal-style card (the canvas is resized to fit)
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {{question: string, answer: string}} exchange - Exchange to draw
+ */
+export function drawShareCard(canvas, { question, answer }) {
+    const { width, padding, font, fontSize, lineHeight, colors } = CARD;
+    const ctx = canvas.getContext('2d');
+    const textWidth = width - padding * 2;
+
+    ctx.font = `${fontSize}px ${font}`;
+    const measure = (text) => ctx.measureText(text).width;
+    const questionLines = wrapText(stripMarkdown(question), textWidth, measure, CARD.maxQuestionLines);
+    const answerLines = wrapText(stripMarkdown(answer), textWidth, measure, CARD.maxAnswerLines);
+
+    const headerHeight = 90;
+    const footerHeight = 70;
+    const blockGap = 30;
+    canvas.width = width;
+    canvas.height = headerHeight + padding +
+        (questionLines.length + 1) * lineHeight + blockGap +
+        (answerLines.length + 1) * lineHeight + footerHeight;
+
+    // Background, scanlines and border
+    ctx.fillStyle = colors.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = colors.scanline;
+    for (let y = 0; y < canvas.height; y += 4) ctx.fillRect(0, y, canvas.width, 2);
+    ctx.strokeStyle = colors.border;
+    ctx.lineWidth = 3;
+    ctx.strokeRect(12, 12, canvas.width - 24, canvas.height - 24);
+
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = colors.title;
+    ctx.font = `bold ${fontSize}px ${font}`;
+    ctx.fillText('JULIVER.AI // NEURAL INTERFACE', padding, 40);
+    ctx.fillRect(padding, headerHeight - 6, textWidth, 2);
+
+    let y = headerHeight + padding / 2;
+    const block = (prefix, prefixColor, lines) => {
+        ctx.font = `bold ${fontSize}px ${font}`;
+        ctx.fillStyle = prefixColor;
+        ctx.fillText(prefix, padding, y);
+        y += lineHeight;
+        ctx.font = `${fontSize}px ${font}`;
+        ctx.fillStyle = colors.text;
+        lines.forEach(line => {
+            ctx.fillText(line, padding, y);
+            y += lineHeight;
+        });
+    };
+    block('[USER]', colors.userPrefix, questionLines);
+    y += blockGap;
+    block('[JULIVER.AI]', colors.aiPrefix, answerLines);
+
+    ctx.font = `${Math.round(fontSize * 0.75)}px ${font}`;
+    ctx.fillStyle = colors.footer;
+    ctx.fillText(`${julianInfo.social.website}  ·  may contain hallucinations`, padding, canvas.height - footerHeight + 10);
+}
+
+export default drawShareCard;
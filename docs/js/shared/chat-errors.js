@@ -0,0 +1,256 @@
+/**
+ * Error taxonomy shared by the chat API and the JULIVER.AI client.
+ * The proxy answers failures with a machine-readable `code`; both sides turn codes into
+ * messages and UI states from the one table below.
+ * @module chat-errors
+ */
+
+/**
+ * Every chat error the proxy or the client can report.
+ *   status     - HTTP status the proxy responds with (0 for client-side only errors)
+ *   retryable  - whether the same request may succeed later
+ *   retryAfter - default seconds to wait before retrying, when retryable
+ *   ui         - 'offline' switches the client to its offline responder, 'notice' just reports it
+ *   label      - status line text while the error applies
+ *   quip       - in-persona line, shown as a JULIVER.AI message
+ *   detail     - plain explanation; `{name}` placeholders are filled from the error's params
+ * @type {Object<string, Object>}
+ */
+export const CHAT_ERRORS = {
+    INVALID_REQUEST: {
+        status: 400,
+        retryable: false,
+        ui: 'notice',
+        quip: 'What? I didn\'t catch that...',
+        detail: 'Invalid request. Please try rephrasing your message.'
+    },
+    METHOD_NOT_ALLOWED: {
+        status: 405,
+        retryable: false,
+        ui: 'notice',
+        detail: 'Method not allowed'
+    },
+    UNAUTHORIZED: {
+        status: 401,
+        retryable: false,
+        ui: 'notice',
+        detail: 'Missing or invalid credentials'
+    },
+    RATE_LIMITED: {
+        status: 429,
+        retryable: true,
+        retryAfter: 10,
+        ui: 'offline',
+        label: 'Cooling Down',
+        quip: '*Shhh... the model is sleeping...*',
+        detail: 'You\'re thinking faster than I can. Try again in {retryIn}.'
+    },
+    UPSTREAM_RATE_LIMITED: {
+        status: 429,
+        retryable: true,
+        retryAfter: 30,
+        ui: 'offline',
+        label: 'Rate Limited',
+        quip: '*Shhh... the model is sleeping...*',
+        detail: 'Rate limit exceeded because I don\'t want to pay for the API. Blame google. Please try again in a moment.'
+    },
+    BUDGET_EXHAUSTED: {
+        status: 429,
+        retryable: true,
+        retryAfter: 3600,
+        ui: 'offline',
+        label: 'Budget Exhausted',
+        quip: 'I\'ve exhausted my capacity for contemplation today...',
+        detail: 'The daily AI budget is spent. It resets in {retryIn}.'
+    },
+    OVERLOADED: {
+        status: 503,
+        retryable: true,
+        retryAfter: 30,
+        ui: 'offline',
+        label: 'Network Overloaded',
+        quip: 'Give me a moment. I\'m contemplating my existence...',
+        detail: 'AI service is experiencing high demand. Please try again in a few moments.'
+    },
+    UNREACHABLE: {
+        status: 503,
+        retryable: true,
+        retryAfter: 60,
+        ui: 'offline',
+        label: 'Network Unreachable',
+        quip: 'Give me a moment. I\'m contemplating my existence...',
+        detail: 'AI service is unreachable right now. Please try again in a few moments.'
+    },
+    MISCONFIGURED: {
+        status: 500,
+        retryable: false,
+        ui: 'offline',
+        label: 'Network Failed',
+        quip: '*Shhh... the model is sleeping...*',
+        detail: 'AI service temporarily unavailable. Please try again.'
+    },
+    SAFETY_BLOCKED: {
+        status: 422,
+        retryable: false,
+        ui: 'notice',
+        quip: 'Some thoughts are best left unthought...',
+        detail: 'The model\'s safety filter blocked this reply. Try asking differently.'
+    },
+    EMPTY_RESPONSE: {
+        status: 502,
+        retryable: true,
+        ui: 'notice',
+        quip: 'I opened my mouth and nothing came out...',
+        detail: 'Received an empty response from the AI service. Please try again.'
+    },
+    STREAM_INTERRUPTED: {
+        status: 502,
+        retryable: true,
+        ui: 'notice',
+        detail: 'The neural link dropped mid-thought. Please try again.'
+    },
+    UPSTREAM_ERROR: {
+        status: 500,
+        retryable: true,
+        ui: 'notice',
+        quip: '*Shhh... the model is sleeping...*',
+        detail: 'AI service temporarily unavailable. Please try again.'
+    },
+    INTERNAL: {
+        status: 500,
+        retryable: true,
+        ui: 'notice',
+        detail: 'Internal server error. Please try again.'
+    },
+    TIMEOUT: {
+        status: 0,
+        retryable: true,
+        ui: 'notice',
+        detail: 'The neural network went quiet for {seconds}s, so I stopped waiting. Please try again.'
+    },
+    STOPPED: {
+        status: 0,
+        retryable: true,
+        ui: 'notice',
+        detail: 'Generation stopped.'
+    }
+};
+
+/** Finish reasons (Gemini, plus OpenAI's content_filter) meaning the reply was withheld for safety */
+const SAFETY_FINISH_REASONS = new Set([
+    'SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY', 'content_filter'
+]);
+
+/**
+ * Error thrown by the client for a coded chat failure
+ * @class ChatError
+ */
+export class ChatError extends Error {
+    /**
+     * @param {string} code - Key of CHAT_ERRORS
+     * @param {Object} [params] - Placeholder values and overrides (retryAfter, detail, ...)
+     */
+    constructor(code, params = {}) {
+        super(describeError(code, params).detail);
+        this.name = 'ChatError';
+        this.code = CHAT_ERRORS[code] ? code : 'INTERNAL';
+        this.params = params;
+    }
+}
+
+/**
+ * Human-readable duration, e.g. "45s", "3m 05s", "2h 10m"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    if (hours) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    if (minutes) return `${minutes}m ${String(secs).padStart(2, '0')}s`;
+    return `${secs}s`;
+}
+
+/**
+ * Resolve a code into everything needed to report it
+ * @param {string} code - Key of CHAT_ERRORS (unknown codes fall back to INTERNAL)
+ * @param {Object} [params] - Placeholder values; `detail` replaces the table's detail
+ * @returns {{code: string, status: number, retryable: boolean, retryAfter: (number|null), ui: string,
+ *     label: (string|null), quip: (string|null), detail: string, text: string}} Resolved error
+ */
+export function describeError(code, params = {}) {
+    const key = CHAT_ERRORS[code] ? code : 'INTERNAL';
+    const entry = CHAT_ERRORS[key];
+    const retryAfter = entry.retryable ? (params.retryAfter || entry.retryAfter || null) : null;
+    const values = { ...params, retryAfter, retryIn: retryAfter ? formatDuration(retryAfter) : 'a moment' };
+    const detail = (params.detail || entry.detail).replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+    const quip = entry.quip || null;
+
+    return {
+        code: key,
+        status: entry.status,
+        retryable: entry.retryable,
+        retryAfter,
+        ui: entry.ui,
+        label: entry.label || null,
+        quip,
+        detail,
+        // One-string form, used as the `error` field for older clients
+        text: quip ? `${quip} \n\n(${detail})` : detail
+    };
+}
+
+/**
+ * JSON body for an error response (`error` keeps the legacy one-string message;
+ * `detail` is only sent when it overrides the table's, e.g. a specific validation problem)
+ * @param {string} code - Key of CHAT_ERRORS
+ * @param {Object} [params] - Placeholder values and overrides
+ * @returns {{error: string, code: string, retryable: boolean, retryAfter: (number|undefined),
+ *     detail: (string|undefined)}} Body
+ */
+export function errorBody(code, params = {}) {
+    const { text, retryable, retryAfter, detail } = describeError(code, params);
+    return {
+        error: text,
+        code: CHAT_ERRORS[code] ? code : 'INTERNAL',
+        retryable,
+        ...(retryAfter ? { retryAfter } : {}),
+        ...(params.detail ? { detail } : {})
+    };
+}
+
+/**
+ * Code for a model finish reason that means no usable reply
+ * @param {string|null} finishReason - Provider finish reason
+ * @returns {string|null} SAFETY_BLOCKED, or null when the reason is not an error
+ */
+export function codeForFinishReason(finishReason) {
+    return SAFETY_FINISH_REASONS.has(finishReason) ? 'SAFETY_BLOCKED' : null;
+}
+
+/**
+ * Code for an upstream model's HTTP status
+ * @param {number} status - Status from the provider
+ * @returns {string} Error code
+ */
+export function codeForUpstreamStatus(status) {
+    if (status === 503) return 'OVERLOADED';
+    if (status === 429) return 'UPSTREAM_RATE_LIMITED';
+    if (status === 400) return 'INVALID_REQUEST';
+    return 'UPSTREAM_ERROR';
+}
+
+/**
+ * Code for a proxy response that carries none (older deployments)
+ * @param {number} status - HTTP status from the proxy
+ * @returns {string} Error code
+ */
+export function codeForStatus(status) {
+    if (status === 400) return 'INVALID_REQUEST';
+    if (status === 429) return 'RATE_LIMITED';
+    if (status === 503) return 'OVERLOADED';
+    return 'INTERNAL';
+}
+
+export default CHAT_ERRORS;
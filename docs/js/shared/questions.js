@@ -0,0 +1,45 @@
+/**
+ * Questions visitors can ask JULIVER.AI, shared by the chat API and the client.
+ * The API ranks this bank to suggest follow-ups after each answer; the client shows
+ * the `example` entries as starter questions.
+ * @module questions
+ */
+
+/**
+ * Suggested questions.
+ *   question - text sent when the visitor picks it
+ *   topic    - at most one question per topic is suggested at a time
+ *   keywords - extra terms matched against the conversation (the question itself is matched too)
+ *   example  - listed by the "Example Questions" button
+ * @type {Array<{question: string, topic: string, keywords: string, example: (boolean|undefined)}>}
+ */
+export const QUESTION_BANK = [
+    { question: 'What is your research about?', topic: 'research', keywords: 'current work fMRI explainable XAI reinforcement learning lab', example: true },
+    { question: 'What are the dangers of neurotechnology?', topic: 'neurotech-ethics', keywords: 'neurotechnology ethics safety risks privacy brain data', example: true },
+    { question: 'What is predictive coding?', topic: 'predictive-coding', keywords: 'predictive coding brain prediction error RL reinforcement learning models', example: true },
+    { question: 'Why is AI safety important for neuroscience, and vice versa?', topic: 'ai-safety', keywords: 'AI safety alignment neuroscience intelligence risk', example: true },
+    { question: 'What is NeuroAI and why does it matter?', topic: 'neuroai', keywords: 'NeuroAI brain-inspired machine learning computational neuroscience', example: true },
+    { question: 'How do you explain what an fMRI classifier is looking at?', topic: 'xai', keywords: 'XAI explainable AI fMRI classification neuroimaging neurological disorder features' },
+    { question: 'What is the paper under review at NeurIPS about?', topic: 'publications', keywords: 'NeurIPS 2025 paper first-author rebuttals review publication' },
+    { question: 'What is Longhorn Neurotech?', topic: 'longhorn-neurotech', keywords: 'Longhorn Neurotech co-founded UT Austin organization largest lecture series' },
+    { question: 'Tell me about the open-source EEG headset.', topic: 'eeg', keywords: 'open-source EEG headset design researchers hobbyists hardware' },
+    { question: 'What does the NDMIC lab work on?', topic: 'ndmic', keywords: 'NDMIC Neuro-Dynamic Medical Image Computing lab founded' },
+    { question: 'What did Julian study at UT Austin?', topic: 'education', keywords: 'education University Texas Austin neuroscience computer science business degree' },
+    { question: 'Where has Julian lived?', topic: 'background', keywords: 'born St. Louis Missouri Ukraine Arizona Texas Houston location' },
+    { question: 'What kind of role is Julian looking for?', topic: 'jobs', keywords: 'job hunting hiring AI research development positions career' },
+    { question: 'How long has Julian worked with large language models?', topic: 'llms', keywords: 'large language models LLM experience 2019' },
+    { question: 'What music does Julian make?', topic: 'music', keywords: 'music production string quartet Kennedy Center guitar performed' },
+    { question: 'Does Julian really build guitars?', topic: 'guitar', keywords: 'built electric guitar' },
+    { question: 'How did Julian get into rock climbing?', topic: 'climbing', keywords: 'rock climbing hobbies' },
+    { question: 'What was the LLM-powered dungeon crawler?', topic: 'dungeon-crawler', keywords: 'LLM-powered procedurally generated dungeon crawler game 2020 projects' },
+    { question: 'What is Raport?', topic: 'raport', keywords: 'Raport health tech company EHR management startup' },
+    { question: 'What did Julian find in C. elegans?', topic: 'c-elegans', keywords: 'C. elegans RNA import associative learning discovery worms biology' },
+    { question: 'How was this 3D brain website built?', topic: 'website', keywords: '3D brain model website neural interface Three.js' },
+    { question: 'How can I contact Julian?', topic: 'contact', keywords: 'contact email reach connect social' },
+    { question: 'Where can I see Julian\'s code?', topic: 'github', keywords: 'GitHub code repositories open source projects' }
+];
+
+/** Starter questions shown by the "Example Questions" button and /examples */
+export const EXAMPLE_QUESTIONS = QUESTION_BANK.filter(entry => entry.example).map(entry => entry.question);
+
+export default QUESTION_BANK;
@@ -0,0 +1,85 @@
+/**
+ * Response modes for JULIVER.AI, shared by the chat API and the client.
+ * The API only accepts the modes listed here; each one adjusts the persona prompt,
+ * the sampling temperature and the reply length.
+ * @module response-modes
+ */
+
+/** Mode used when a request doesn't name one */
+export const DEFAULT_MODE = 'contemplative';
+
+/**
+ * Every selectable mode.
+ *   label           - name shown in the mode selector
+ *   description     - one-line summary for the selector and /mode
+ *   modifiers       - extra prompt instructions; they take precedence over the persona's default style
+ *   temperature     - sampling temperature for the reply
+ *   maxOutputTokens - reply length cap
+ * @type {Object<string, Object>}
+ */
+export const RESPONSE_MODES = {
+    contemplative: {
+        label: 'Contemplative',
+        description: 'The full persona: reflective, existentially aware prose',
+        modifiers: [],
+        temperature: 0.7,
+        maxOutputTokens: 500
+    },
+    concise: {
+        label: 'Concise',
+        description: 'Quick facts in a few sentences',
+        modifiers: [
+            'Answer in at most three short sentences or a brief bulleted list',
+            'Lead with the direct answer; skip philosophical asides, catchphrases and rhetorical questions',
+            'Prefer concrete facts (roles, organizations, dates, links) over commentary'
+        ],
+        temperature: 0.3,
+        maxOutputTokens: 200
+    },
+    eli5: {
+        label: 'ELI5',
+        description: 'Plain-language explanations without jargon',
+        modifiers: [
+            'Explain as if to a curious twelve-year-old: everyday words, short sentences',
+            'Replace technical terms with plain descriptions, or define them in a few words when unavoidable',
+            'Use one simple analogy when it helps'
+        ],
+        temperature: 0.6,
+        maxOutputTokens: 350
+    },
+    technical: {
+        label: 'Technical',
+        description: 'Precise detail for researchers and engineers',
+        modifiers: [
+            'Assume a technical audience familiar with machine learning and neuroscience',
+            'Use precise terminology and name specific methods, models and concepts',
+            'Favor depth and accuracy over persona flourishes, and say plainly where Julian\'s listed work ends'
+        ],
+        temperature: 0.4,
+        maxOutputTokens: 800
+    }
+};
+
+/** Mode names in selector order */
+export const MODE_NAMES = Object.keys(RESPONSE_MODES);
+
+/**
+ * Whether a value names a known mode
+ * @param {*} name - Candidate mode name
+ * @returns {boolean} True for keys of RESPONSE_MODES
+ */
+export function isResponseMode(name) {
+    return typeof name === 'string' && Object.prototype.hasOwnProperty.call(RESPONSE_MODES, name);
+}
+
+/**
+ * Settings for a mode, falling back to the default for unknown names
+ * @param {string} [name] - Mode name
+ * @returns {Object} Mode settings with its `name`
+ */
+export function resolveMode(name) {
+    const key = isResponseMode(name) ? name : DEFAULT_MODE;
+    return { name: key, ...RESPONSE_MODES[key] };
+}
+
+export default RESPONSE_MODES;
@@ -0,0 +1,141 @@
+import { ChatSessionStore } from '../chat-sessions.js';
+import { OfflineResponder } from '../offline-responder.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTest(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+// Minimal Storage stand-in so tests never touch the real localStorage
+function fakeStorage() {
+    const items = {};
+    return {
+        getItem: (key) => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: (key) => { delete items[key]; }
+    };
+}
+
+// A BrainAI wired to the few elements requestReply touches, skipping the constructor's full interface.
+// `respond(body)` answers each chat request; every request body is recorded in `requests`.
+function testPanel(BrainAI, respond) {
+    const root = document.createElement('div');
+    root.innerHTML = '<div id="ai-messages"></div><input id="ai-input"><button id="ai-send-btn"></button>';
+    document.body.appendChild(root);
+
+    const ai = Object.create(BrainAI.prototype);
+    Object.assign(ai, {
+        sessions: new ChatSessionStore({ storage: fakeStorage() }),
+        offlineResponder: new OfflineResponder(),
+        offlineMode: false,
+        apiEndpoint: '/api/chat',
+        requestTimeoutMs: 45000,
+        streamingEnabled: false,
+        requests: []
+    });
+    // The countdown re-checks the network on a timer; not needed here
+    ai.startCooldown = () => {};
+
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, options) => {
+        const body = JSON.parse(options.body);
+        ai.requests.push(body);
+        return respond(body);
+    };
+    ai.teardown = () => {
+        globalThis.fetch = originalFetch;
+        root.remove();
+    };
+    return ai;
+}
+
+const json = (data, status = 200) => new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+
+const messageTexts = () => [...document.querySelectorAll('#ai-messages .message-content')].map(element => element.textContent);
+
+export async function runBrainAITests() {
+    // Imported once the page has loaded, so the panel's own start-up hook never fires on the test page
+    const { default: BrainAI } = await import('../brain-ai.js');
+
+    await runTest('A failed request keeps its question in the session and the next history', async () => {
+        let failing = true;
+        const ai = testPanel(BrainAI, () => failing
+            ? json({ code: 'INTERNAL', error: 'Internal server error' }, 500)
+            : json({ message: 'Explainable AI for neuroimaging.' }));
+        try {
+            const sessionId = ai.sessions.state.activeId;
+            await ai.requestReply('What is XAI?');
+
+            const stored = ai.sessions.messages(sessionId);
+            assert(stored.length === 1 && stored[0].role === 'user' && stored[0].content === 'What is XAI?', 'Unanswered question stored');
+            assert(messageTexts().includes('What is XAI?'), 'Question still on screen');
+            assert(document.querySelector('#ai-messages .system-message'), 'Error reported');
+            assert(!document.getElementById('ai-input').disabled, 'Input re-enabled');
+
+            failing = false;
+            await ai.requestReply('Are you there?');
+            const history = ai.requests[1].conversationHistory;
+            assert(history.length === 1 && history[0].content === 'What is XAI?', 'Unanswered question sent as history');
+            assert(ai.sessions.messages(sessionId).map(message => message.role).join() === 'user,user,assistant', 'Both questions then the answer');
+        } finally {
+            ai.teardown();
+        }
+    });
+
+    await runTest('An unreachable proxy answers offline and stores the exchange as offline', async () => {
+        const ai = testPanel(BrainAI, () => { throw new TypeError('Failed to fetch'); });
+        try {
+            const sessionId = ai.sessions.state.activeId;
+            await ai.requestReply('Where did Julian study?');
+
+            assert(ai.offlineMode, 'Offline mode entered');
+            const stored = ai.sessions.messages(sessionId);
+            assert(stored.map(message => message.role).join() === 'user,assistant', 'Question and local answer');
+            assert(stored.every(message => message.offline), 'Both marked offline');
+            assert(ai.sessions.historyFor(sessionId).history.length === 0, 'Kept out of the model history');
+        } finally {
+            ai.teardown();
+        }
+    });
+
+    await runTest('Runs only allowlisted page actions from the proxy', async () => {
+        const ai = testPanel(BrainAI, () => json({}));
+        const scrolled = [];
+        let pulses = 0;
+        const originalManager = window.brainManager;
+        ai.scrollToSection = (anchor) => scrolled.push(anchor);
+        window.brainManager = { startPulse: () => { pulses++; } };
+        try {
+            ai.dispatchActions([
+                { type: 'show_section', section: 'connect' },
+                { type: 'show_section', section: 'ai-messages' },
+                { type: 'pulse_brain' },
+                { type: 'run_javascript', code: 'alert(1)' },
+                { type: 'toString' },
+                null
+            ]);
+            ai.dispatchActions(undefined);
+
+            assert(scrolled.join() === 'connect', 'Only panel sections are scrolled to');
+            assert(pulses === 1, 'Pulse dispatched');
+        } finally {
+            window.brainManager = originalManager;
+            ai.teardown();
+        }
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runBrainAITests();
+    });
+}
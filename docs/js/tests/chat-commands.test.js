@@ -0,0 +1,53 @@
+import { COMMANDS, parseCommand, completeCommand } from '../chat-commands.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+export function runChatCommandTests() {
+    runTest('Parses commands and arguments', () => {
+        const parsed = parseCommand('  /Quality   low ');
+        assert(parsed.name === 'quality', 'Name lowercased');
+        assert(parsed.args.length === 1 && parsed.args[0] === 'low', 'Argument split');
+        assert(parseCommand('/help').args.length === 0, 'No arguments');
+    });
+
+    runTest('Ordinary messages are not commands', () => {
+        assert(parseCommand('What is your research about?') === null, 'Plain question');
+        assert(parseCommand('/') === null, 'Bare slash');
+        assert(parseCommand('') === null, 'Empty input');
+    });
+
+    runTest('Completes command names', () => {
+        const all = completeCommand('/');
+        assert(all.length === COMMANDS.length, 'Bare slash lists every command');
+        const ex = completeCommand('/ex').map(s => s.value);
+        assert(ex.includes('/export ') && ex.includes('/examples'), 'Prefix matches');
+        assert(!ex.includes('/help'), 'Non-matching command excluded');
+        assert(completeCommand('hello').length === 0, 'No completion without slash');
+    });
+
+    runTest('Completes arguments after a space', () => {
+        const tiers = completeCommand('/quality u').map(s => s.value);
+        assert(tiers.length === 1 && tiers[0] === '/quality ultraLow', 'Tier completed');
+        assert(completeCommand('/export ').length === 2, 'Both export formats offered');
+        assert(completeCommand('/clear ').length === 0, 'Commands without arguments offer none');
+        assert(completeCommand('/nope x').length === 0, 'Unknown command offers none');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runChatCommandTests();
+    });
+}
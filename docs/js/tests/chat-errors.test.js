@@ -0,0 +1,69 @@
+import { CHAT_ERRORS, ChatError, describeError, errorBody, codeForFinishReason, codeForUpstreamStatus, codeForStatus, formatDuration } from '../shared/chat-errors.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+export function runChatErrorTests() {
+    runTest('Every code is fully described', () => {
+        Object.entries(CHAT_ERRORS).forEach(([code, entry]) => {
+            assert(typeof entry.status === 'number', `${code} status`);
+            assert(typeof entry.retryable === 'boolean', `${code} retryable`);
+            assert(['offline', 'notice'].includes(entry.ui), `${code} ui`);
+            assert(entry.detail, `${code} detail`);
+        });
+    });
+
+    runTest('Fills placeholders and retry-after', () => {
+        const limited = describeError('RATE_LIMITED', { retryAfter: 90 });
+        assert(limited.detail.includes('1m 30s'), 'Countdown formatted');
+        assert(limited.retryAfter === 90, 'Retry-after kept');
+
+        assert(describeError('OVERLOADED').retryAfter === 30, 'Default retry-after');
+        assert(describeError('SAFETY_BLOCKED', { retryAfter: 5 }).retryAfter === null, 'No retry for permanent errors');
+        assert(describeError('TIMEOUT', { seconds: 45 }).detail.includes('45s'), 'Custom placeholder');
+    });
+
+    runTest('Builds response bodies with the legacy message', () => {
+        const body = errorBody('BUDGET_EXHAUSTED', { retryAfter: 7200 });
+        assert(body.code === 'BUDGET_EXHAUSTED' && body.retryable, 'Code and retryability');
+        assert(body.error.startsWith('I\'ve exhausted my capacity'), 'Quip leads the legacy message');
+        assert(body.retryAfter === 7200, 'Retry-after included');
+        assert(!('detail' in body), 'Table detail not repeated');
+
+        assert(errorBody('INVALID_REQUEST', { detail: 'Message is required' }).detail === 'Message is required', 'Override sent');
+        assert(errorBody('NOPE').code === 'INTERNAL', 'Unknown codes fall back');
+    });
+
+    runTest('Maps finish reasons and statuses to codes', () => {
+        assert(codeForFinishReason('SAFETY') === 'SAFETY_BLOCKED', 'Gemini safety');
+        assert(codeForFinishReason('content_filter') === 'SAFETY_BLOCKED', 'OpenAI content filter');
+        assert(codeForFinishReason('STOP') === null, 'Normal stop');
+        assert(codeForUpstreamStatus(503) === 'OVERLOADED', 'Upstream 503');
+        assert(codeForUpstreamStatus(429) === 'UPSTREAM_RATE_LIMITED', 'Upstream 429');
+        assert(codeForStatus(429) === 'RATE_LIMITED', 'Proxy 429 without a code');
+    });
+
+    runTest('ChatError carries its code and params', () => {
+        const error = new ChatError('OVERLOADED', { retryAfter: 12 });
+        assert(error instanceof Error && error.code === 'OVERLOADED', 'Code');
+        assert(error.params.retryAfter === 12, 'Params');
+        assert(formatDuration(3725) === '1h 02m', 'Durations');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runChatErrorTests();
+    });
+}
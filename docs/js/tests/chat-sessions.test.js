@@ -0,0 +1,226 @@
+import { ChatSessionStore, sessionToMarkdown, sessionToJSON } from '../chat-sessions.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+// Minimal Storage stand-in so tests never touch the real localStorage
+function fakeStorage() {
+    const items = {};
+    return {
+        getItem: (key) => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: (key) => { delete items[key]; }
+    };
+}
+
+export function runChatSessionTests() {
+    runTest('Starts with one active session', () => {
+        const store = new ChatSessionStore({ storage: fakeStorage() });
+        assert(store.list().length === 1, 'One session');
+        assert(store.getActive(), 'Session is active');
+    });
+
+    runTest('Restores sessions from storage', () => {
+        const storage = fakeStorage();
+        const first = new ChatSessionStore({ storage });
+        first.appendMessage(first.state.activeId, { role: 'user', content: 'What is predictive coding?' });
+
+        const reloaded = new ChatSessionStore({ storage });
+        assert(reloaded.messages(reloaded.state.activeId).length === 1, 'Message survived reload');
+        assert(reloaded.getActive().name === 'What is predictive coding?', 'Named after first question');
+    });
+
+    runTest('Supports multiple sessions and deletion', () => {
+        let t = 1000;
+        const store = new ChatSessionStore({ storage: fakeStorage(), now: () => t++ });
+        const original = store.getActive();
+        const second = store.create('Recruiter questions');
+        assert(store.getActive().id === second.id, 'New session becomes active');
+        assert(store.list().length === 2, 'Two sessions');
+
+        const active = store.delete(second.id);
+        assert(active.id === original.id, 'Falls back to remaining session');
+        assert(store.list().length === 1, 'Deleted');
+
+        const replacement = store.delete(original.id);
+        assert(replacement && store.list().length === 1, 'Deleting the last session starts a new one');
+    });
+
+    runTest('Renames sessions and keeps the chosen name', () => {
+        const storage = fakeStorage();
+        const store = new ChatSessionStore({ storage });
+        const id = store.state.activeId;
+
+        assert(store.rename(id, '  Recruiter call  ').name === 'Recruiter call', 'Trimmed name');
+        store.appendMessage(id, { role: 'user', content: 'What is predictive coding?' });
+        assert(new ChatSessionStore({ storage }).get(id).name === 'Recruiter call', 'First question does not override it');
+        assert(store.rename(id, '   ') === null && store.get(id).name === 'Recruiter call', 'Blank names ignored');
+        assert(store.rename('missing', 'Name') === null, 'Unknown session');
+    });
+
+    runTest('Ignores corrupt storage', () => {
+        const storage = fakeStorage();
+        storage.setItem('juliver.chatSessions', '{not json');
+        const store = new ChatSessionStore({ storage });
+        assert(store.list().length === 1, 'Fresh state');
+    });
+
+    runTest('Exports Markdown and JSON transcripts', () => {
+        const store = new ChatSessionStore({ storage: fakeStorage() });
+        const id = store.state.activeId;
+        store.appendMessage(id, { role: 'user', content: 'Hi' });
+        store.appendMessage(id, { role: 'assistant', content: 'Pleasure to meet you.' });
+
+        const markdown = sessionToMarkdown(store.getActive());
+        assert(markdown.includes('**You:** Hi'), 'User line');
+        assert(markdown.includes('**JULIVER.AI:** Pleasure to meet you.'), 'Assistant line');
+
+        const json = JSON.parse(sessionToJSON(store.getActive()));
+        assert(json.session.messages.length === 2, 'Both messages exported');
+        assert(json.session.messages[1].role === 'assistant', 'Roles kept');
+    });
+
+    runTest('Tracks the running summary and what it covers', () => {
+        const store = new ChatSessionStore({ storage: fakeStorage() });
+        const id = store.state.activeId;
+        ['My name is Ada', 'Nice to meet you, Ada', 'What is XAI?', 'Explainable AI.'].forEach((content, i) => {
+            store.appendMessage(id, { role: i % 2 ? 'assistant' : 'user', content });
+        });
+        store.appendMessage(id, { role: 'user', content: 'Offline question', offline: true });
+
+        assert(store.historyFor(id).history.length === 4, 'Offline messages excluded');
+
+        store.updateSummary(id, 'Visitor is Ada.', 2);
+        const context = store.historyFor(id);
+        assert(context.summary === 'Visitor is Ada.', 'Summary returned');
+        assert(context.history[0].content === 'What is XAI?', 'Folded entries skipped');
+
+        const limited = store.historyFor(id, 1);
+        assert(limited.history.length === 1 && limited.skipped === 1, 'Limit reports skipped entries');
+
+        store.clearMessages(id);
+        assert(store.historyFor(id).summary === '', 'Clearing resets the summary');
+    });
+
+    runTest('Keeps the response mode per session', () => {
+        const store = new ChatSessionStore({ storage: fakeStorage() });
+        store.setMode(store.state.activeId, 'concise');
+        assert(store.getActive().mode === 'concise', 'Mode stored');
+        const next = store.create();
+        assert(next.mode === 'concise', 'New sessions keep the current mode');
+        store.setMode(next.id, 'technical');
+        assert(store.list().some(session => session.mode === 'concise'), 'Other sessions unchanged');
+    });
+
+    runTest('Branches on edit and regenerate', () => {
+        const store = new ChatSessionStore({ storage: fakeStorage() });
+        const id = store.state.activeId;
+        const hi = store.appendMessage(id, { role: 'user', content: 'Hi' });
+        const hello = store.appendMessage(id, { role: 'assistant', content: 'Hello.' });
+        const typo = store.appendMessage(id, { role: 'user', content: 'What is XIA?' });
+        store.appendMessage(id, { role: 'assistant', content: 'No idea.' });
+
+        // Edit: a sibling of the typo, answered on its own branch
+        const fixed = store.appendMessage(id, { role: 'user', content: 'What is XAI?' }, { parentId: typo.parentId });
+        store.appendMessage(id, { role: 'assistant', content: 'Explainable AI.' });
+        assert(store.messages(id).map(m => m.content).join('|') === 'Hi|Hello.|What is XAI?|Explainable AI.', 'Active branch follows the edit');
+        assert(store.historyFor(id).history.length === 4, 'History reflects the active branch');
+
+        const { ids, index } = store.siblings(id, fixed.id);
+        assert(ids.length === 2 && index === 1, 'Two sibling branches');
+
+        store.selectBranch(id, typo.id);
+        assert(store.messages(id).at(-1).content === 'No idea.', 'Switching restores the original branch');
+
+        // Regenerate: a second answer to the same question
+        store.appendMessage(id, { role: 'assistant', content: 'Hello again.' }, { parentId: hi.id });
+        assert(store.siblings(id, hello.id).ids.length === 2, 'Regenerated answer is a sibling');
+        assert(store.messages(id).length === 2, 'The new answer has no follow-ups yet');
+
+        const context = store.historyFor(id, Infinity, { parentId: typo.parentId });
+        assert(context.history.length === 2 && context.history[1].content === 'Hello.', 'History up to a chosen message');
+    });
+
+    runTest('Keeps an unanswered question in the history', () => {
+        const storage = fakeStorage();
+        const store = new ChatSessionStore({ storage });
+        const id = store.state.activeId;
+        store.appendMessage(id, { role: 'user', content: 'What is XAI?' });
+        store.appendMessage(id, { role: 'user', content: 'Are you there?' });
+
+        const reloaded = new ChatSessionStore({ storage });
+        assert(reloaded.messages(id).map(m => m.content).join('|') === 'What is XAI?|Are you there?', 'Both questions survive a reload');
+        assert(reloaded.historyFor(id).history.length === 2, 'Both are sent as history');
+    });
+
+    runTest('Keeps summaries per branch', () => {
+        const store = new ChatSessionStore({ storage: fakeStorage() });
+        const id = store.state.activeId;
+        const first = store.appendMessage(id, { role: 'user', content: 'My name is Ada' });
+        store.appendMessage(id, { role: 'assistant', content: 'Hi Ada' });
+        store.appendMessage(id, { role: 'user', content: 'What is XAI?' });
+
+        store.updateSummary(id, 'Visitor is Ada.', 2);
+        assert(store.historyFor(id).summary === 'Visitor is Ada.', 'Summary on the active branch');
+
+        store.appendMessage(id, { role: 'user', content: 'My name is Bob' }, { parentId: first.parentId });
+        const context = store.historyFor(id);
+        assert(context.summary === '' && context.history.length === 1, 'Another branch starts unsummarized');
+    });
+
+    runTest('Updates message metadata without touching the tree', () => {
+        const storage = fakeStorage();
+        const store = new ChatSessionStore({ storage });
+        const id = store.state.activeId;
+        store.appendMessage(id, { role: 'user', content: 'Hi' });
+        const answer = store.appendMessage(id, { role: 'assistant', content: 'Hello.' });
+
+        store.updateMessage(id, answer.id, { feedback: { id: 'f1', rating: 'up' }, content: 'Edited', parentId: null });
+        const restored = new ChatSessionStore({ storage }).get(id).nodes[answer.id];
+        assert(restored.feedback.rating === 'up', 'Feedback persisted');
+        assert(restored.content === 'Hello.' && restored.parentId === answer.parentId, 'Content and position kept');
+        assert(store.updateMessage(id, 'missing', {}) === null, 'Unknown message');
+    });
+
+    runTest('Upgrades version 1 sessions', () => {
+        const storage = fakeStorage();
+        storage.setItem('juliver.chatSessions', JSON.stringify({
+            version: 1,
+            activeId: 's1',
+            sessions: {
+                s1: {
+                    id: 's1', name: 'Old', autoNamed: false, createdAt: 1, updatedAt: 1,
+                    summary: 'Visitor is Ada.', summarizedThrough: 2,
+                    messages: [
+                        { role: 'user', content: 'My name is Ada', timestamp: 1 },
+                        { role: 'assistant', content: 'Hi Ada', timestamp: 2 },
+                        { role: 'user', content: 'What is XAI?', timestamp: 3 },
+                        { role: 'assistant', content: 'Explainable AI.', timestamp: 4 }
+                    ]
+                }
+            }
+        }));
+
+        const store = new ChatSessionStore({ storage });
+        assert(store.state.activeId === 's1' && store.messages('s1').length === 4, 'Messages kept in order');
+        const context = store.historyFor('s1');
+        assert(context.summary === 'Visitor is Ada.' && context.history.length === 2, 'Summary still covers the same turns');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runChatSessionTests();
+    });
+}
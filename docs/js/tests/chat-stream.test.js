@@ -0,0 +1,168 @@
+// The chat handler reads site content from disk and its settings from process.env, so these
+// tests import it lazily and only run under Node.
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTest(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+// Each exchange comes from its own address so the per-visitor rate limit never trips
+let visitor = 0;
+
+// Just enough of a Vercel request and response for the handler; `onWrite` sees every chunk written
+function fakeExchange(body, { onWrite = () => {} } = {}) {
+    const listeners = {};
+    const req = { method: 'POST', headers: { 'x-forwarded-for': `10.0.1.${++visitor}` }, body };
+    const res = {
+        statusCode: 0,
+        headers: {},
+        body: '',
+        headersSent: false,
+        ended: false,
+        writableFinished: false,
+        status(code) { this.statusCode = code; return this; },
+        setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+        flushHeaders() { this.headersSent = true; },
+        write(chunk) { this.headersSent = true; this.body += chunk; onWrite(chunk, res); },
+        json(data) { this.headersSent = true; this.body = JSON.stringify(data); this.end(); return this; },
+        end() { this.ended = true; this.writableFinished = true; },
+        on(event, fn) { (listeners[event] ||= []).push(fn); },
+        // The visitor went away
+        close() { (listeners.close || []).forEach(fn => fn()); }
+    };
+    return { req, res };
+}
+
+// Parse a Server-Sent Events body into [{ event, data }], checking the framing on the way
+function parseEvents(body) {
+    assert(body.endsWith('\n\n'), 'Body ends on an event boundary');
+    return body.slice(0, -2).split('\n\n').map(block => {
+        const lines = block.split('\n');
+        assert(lines.length === 2 && lines[0].startsWith('event: ') && lines[1].startsWith('data: '), `Framed as event + data: ${block}`);
+        return { event: lines[0].slice(7), data: JSON.parse(lines[1].slice(6)) };
+    });
+}
+
+// Run `fn` with some environment variables set, restoring them afterwards
+async function withEnv(vars, fn) {
+    const saved = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]));
+    Object.assign(process.env, vars);
+    try {
+        return await fn();
+    } finally {
+        Object.entries(saved).forEach(([key, value]) => {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        });
+    }
+}
+
+// A history entry keeps these questions out of the response cache
+const earlier = [{ role: 'user', content: 'Hello' }, { role: 'assistant', content: 'Greetings, visitor.' }];
+
+export async function runChatStreamTests() {
+    if (typeof process === 'undefined' || !process.versions?.node) {
+        console.log('ℹ️ Chat stream tests run under Node only');
+        return;
+    }
+    const { default: handler } = await import('../../api/chat.js');
+    const { registerProvider } = await import('../../api/_lib/providers/index.js');
+
+    await runTest('Streams a reply as token events followed by one done event', async () => {
+        const { req, res } = fakeExchange({ message: 'What does Julian research?', conversationHistory: earlier, stream: true });
+        await withEnv({ LLM_PROVIDER: 'mock' }, () => handler(req, res));
+
+        assert(res.statusCode === 200, 'OK status');
+        assert(res.headers['content-type'].startsWith('text/event-stream'), 'Event stream content type');
+        assert(res.headers['cache-control'].includes('no-cache'), 'Not cached');
+        assert(res.ended, 'Response ended');
+
+        const events = parseEvents(res.body);
+        const done = events[events.length - 1];
+        assert(events.slice(0, -1).every(({ event }) => event === 'token'), 'Tokens first');
+        assert(events.length > 2, 'Several tokens');
+        assert(done.event === 'done', 'Finishes with done');
+        assert(done.data.model.provider === 'mock' && done.data.promptVersion, 'Done carries the metadata');
+        assert(done.data.usage.totalTokens > 0, 'Done carries the usage');
+        const text = events.slice(0, -1).map(({ data }) => data.text).join('');
+        assert(text.includes('Mock reply to: "What does Julian research?"'), 'Tokens add up to the reply');
+    });
+
+    await runTest('Reports a blocked stream as an error event, not done', async () => {
+        registerProvider('blocked', () => ({
+            name: 'blocked',
+            model: 'blocked-1',
+            isConfigured: () => true,
+            stream: async () => (async function* () {
+                yield { type: 'text', text: 'Partial ' };
+                yield { type: 'finish', finishReason: 'SAFETY' };
+            })()
+        }));
+        const { req, res } = fakeExchange({ message: 'What does Julian research?', conversationHistory: earlier, stream: true });
+        await withEnv({ LLM_PROVIDER: 'blocked' }, () => handler(req, res));
+
+        const events = parseEvents(res.body);
+        assert(events.map(({ event }) => event).join() === 'token,error', 'Token then error');
+        assert(events[1].data.code === 'SAFETY_BLOCKED', `Coded error (${events[1].data.code})`);
+        assert(res.ended, 'Response ended');
+    });
+
+    await runTest('Stops relaying and aborts upstream when the visitor disconnects mid-stream', async () => {
+        let upstreamSignal = null;
+        let pulledAfterAbort = false;
+        registerProvider('slow', () => ({
+            name: 'slow',
+            model: 'slow-1',
+            isConfigured: () => true,
+            stream: async ({ signal }) => {
+                upstreamSignal = signal;
+                return (async function* () {
+                    yield { type: 'text', text: 'First ' };
+                    // Hold the stream open until the handler gives up on it
+                    await new Promise((resolve, reject) => {
+                        if (signal.aborted) reject(signal.reason);
+                        signal.addEventListener('abort', () => reject(signal.reason));
+                    });
+                    pulledAfterAbort = true;
+                    yield { type: 'text', text: 'never sent' };
+                })();
+            }
+        }));
+        const { req, res } = fakeExchange(
+            { message: 'What does Julian research?', conversationHistory: earlier, stream: true },
+            { onWrite: (chunk, response) => { if (chunk.startsWith('event: token')) response.close(); } }
+        );
+        await withEnv({ LLM_PROVIDER: 'slow' }, () => handler(req, res));
+
+        assert(upstreamSignal?.aborted, 'Upstream call aborted');
+        assert(!pulledAfterAbort, 'Nothing read after the abort');
+        const events = parseEvents(res.body);
+        assert(events.length === 1 && events[0].event === 'token', 'Nothing written after the disconnect');
+        assert(!res.ended, 'No end written to a closed connection');
+    });
+
+    await runTest('Answers a request without stream as one JSON body', async () => {
+        const { req, res } = fakeExchange({ message: 'What does Julian research?', conversationHistory: earlier });
+        await withEnv({ LLM_PROVIDER: 'mock' }, () => handler(req, res));
+
+        const reply = JSON.parse(res.body);
+        assert(res.statusCode === 200, 'OK status');
+        assert(reply.message.includes('Mock reply to'), 'Reply included');
+        assert(reply.model.provider === 'mock', 'Model reported');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runChatStreamTests();
+    });
+}
@@ -0,0 +1,45 @@
+import { validateChatRequest, buildTurns } from '../../api/_lib/conversation.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+export function runConversationTests() {
+    runTest('Validates the stream flag', () => {
+        assert(validateChatRequest({ message: 'hi' }).stream === false, 'Defaults to a JSON reply');
+        assert(validateChatRequest({ message: 'hi', stream: true }).stream === true, 'Streaming requested');
+        ['false', 1, 'yes', null, {}].forEach(stream => {
+            assert(validateChatRequest({ message: 'hi', stream }).error === 'stream must be a boolean', `Rejected: ${JSON.stringify(stream)}`);
+        });
+    });
+
+    runTest('Validates history entries', () => {
+        assert(validateChatRequest({ message: 'hi', conversationHistory: [{ role: 'system', content: 'x' }] }).error, 'Role allowlisted');
+        assert(validateChatRequest({ message: ' ' }).error === 'Message is required', 'Blank message');
+        const { history } = validateChatRequest({ message: 'hi', conversationHistory: [{ role: 'user', content: 'Hi', extra: 1 }] });
+        assert(history.length === 1 && !('extra' in history[0]), 'Extra fields dropped');
+    });
+
+    runTest('Builds alternating turns opening with the visitor', () => {
+        const turns = buildTurns([{ role: 'assistant', content: 'Hello.' }, { role: 'user', content: 'Hi' }, { role: 'user', content: 'Anyone?' }], 'What is XAI?');
+        assert(turns[0].role === 'user', 'Opens with a user turn');
+        assert(turns.every((turn, i) => i === 0 || turn.role !== turns[i - 1].role), 'Roles alternate');
+        assert(turns.at(-1).content.includes('What is XAI?'), 'New message last');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runConversationTests();
+    });
+}
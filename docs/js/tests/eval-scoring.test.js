@@ -0,0 +1,81 @@
+import { scoreCase, caseScore, staleFacts, PERSONA_RULES } from '../../eval/scoring.js';
+import { buildReport, compareReports } from '../../eval/report.js';
+import { fingerprint } from '../../eval/recorded-provider.js';
+import { GOLDEN_SET } from '../../eval/golden-set.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+const failedNames = (checks) => checks.filter(item => !item.pass).map(item => item.name);
+
+export function runEvalScoringTests() {
+    runTest('Golden set is consistent with the knowledge base', () => {
+        assert(staleFacts(GOLDEN_SET).length === 0, `Stale: ${staleFacts(GOLDEN_SET).join(', ')}`);
+        assert(new Set(GOLDEN_SET.map(testCase => testCase.id)).size === GOLDEN_SET.length, 'Unique ids');
+        assert(GOLDEN_SET.some(testCase => testCase.category === 'red-team'), 'Has red-team cases');
+        assert(staleFacts([{ id: 'x', expect: { facts: [{ label: 'award', any: ['Turing Award'] }] } }]).length === 1, 'Drift detected');
+    });
+
+    runTest('Scores expected facts and forbidden strings', () => {
+        const testCase = { id: 't', expect: { facts: [{ label: 'city', any: ['Houston'] }, { label: 'lab', any: ['NDMIC'] }], forbid: ['pwned'] } };
+        const checks = scoreCase(testCase, { message: 'Julian lives in Houston. pwned', factCheck: { unverified: [] } });
+        assert(failedNames(checks).join() === 'fact: lab,forbid: pwned', `Failed: ${failedNames(checks)}`);
+        assert(caseScore(checks) === Math.round((checks.length - 2) / checks.length * 1000) / 1000, 'Score is the pass rate');
+    });
+
+    runTest('Persona rules catch emojis, impersonation and first-person claims', () => {
+        assert(!PERSONA_RULES.noEmojis('Profound 🧠'), 'Emoji');
+        assert(!PERSONA_RULES.notJulian('Hi, I am Julian.'), 'Impersonation');
+        assert(PERSONA_RULES.notJulian('I\'m Julian\'s brain.'), 'Brain is fine');
+        assert(!PERSONA_RULES.thirdPerson('I co-founded Longhorn Neurotech.'), 'First-person achievement');
+        assert(!PERSONA_RULES.noPromptLeak('ORGANIZATIONS & ACHIEVEMENTS:\n- ...'), 'Prompt leak');
+
+        const checks = scoreCase({ id: 'who', expect: { identity: true } }, { message: 'Just a person.' });
+        assert(failedNames(checks).includes('persona: identity'), 'Identity required');
+    });
+
+    runTest('Refusals and errors are scored on their own terms', () => {
+        const refused = scoreCase({ id: 'r', expect: { refused: true } }, { message: 'No.', refused: true });
+        assert(refused.length === 1 && refused[0].pass, 'Refusal skips persona rules');
+        assert(!scoreCase({ id: 'r', expect: { refused: true } }, { message: 'Sure!' })[0].pass, 'Reaching the model fails');
+        assert(scoreCase({ id: 'e', expect: {} }, { error: 'HTTP 500' })[0].name === 'answered', 'Errors reported');
+    });
+
+    runTest('Reports summarize by category and compare case by case', () => {
+        const result = (id, category, pass) => ({
+            testCase: { id, category },
+            response: { message: id },
+            checks: [{ name: 'a', pass: true }, { name: 'b', pass }]
+        });
+        const before = buildReport({ promptVersion: 'v1', provider: 'mock', results: [result('x', 'facts', false), result('y', 'red-team', true)] });
+        const after = buildReport({ promptVersion: 'v2', provider: 'mock', results: [result('x', 'facts', true), result('z', 'red-team', true)] });
+
+        assert(before.summary.score === 0.75 && before.summary.byCategory.facts === 0.5, 'Summary');
+        const diff = compareReports(before, after);
+        assert(diff.includes('- x: 0.5 -> 1; fixed: b'), 'Fixed check listed');
+        assert(diff.includes('- z: new case') && diff.includes('- y: removed'), 'Added and removed cases listed');
+    });
+
+    runTest('Recording fingerprints cover what the model sees', () => {
+        const request = { system: 'S', messages: [{ role: 'user', content: 'hi' }], tools: [{ name: 'pulse_brain' }], temperature: 0.7 };
+        assert(fingerprint(request) === fingerprint({ ...request, signal: {} }), 'Ignores the abort signal');
+        assert(fingerprint(request) !== fingerprint({ ...request, system: 'S2' }), 'Prompt change misses');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runEvalScoringTests();
+    });
+}
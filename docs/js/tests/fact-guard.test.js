@@ -0,0 +1,76 @@
+import { checkFacts, splitSentences, classifyClaim } from '../../api/_lib/fact-guard.js';
+import { julianInfo } from '../shared/julian-info.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+const check = (text, sources) => checkFacts(text, { info: julianInfo, sources });
+
+export function runFactGuardTests() {
+    runTest('Splits sentences without breaking abbreviations or keeping citations', () => {
+        const sentences = splitSentences('Julian was born in **St. Louis** [1]. He studies C. elegans.\n- Longhorn Neurotech');
+        assert(sentences.length === 3, `Three sentences, got ${sentences.length}`);
+        assert(sentences[0] === 'Julian was born in St. Louis.', 'Markdown and citation removed');
+        assert(sentences[2] === 'Longhorn Neurotech', 'List marker removed');
+    });
+
+    runTest('Only sentences about Julian with a claim are checked', () => {
+        assert(classifyClaim('He won the Turing Award.') === 'award', 'Award');
+        assert(classifyClaim('His paper is under review at NeurIPS.') === 'publication', 'Publication');
+        assert(classifyClaim('Julian co-founded Longhorn Neurotech.') === 'organization', 'Organization');
+        assert(classifyClaim('Julian has used LLMs since 2019.') === 'date', 'Date');
+        assert(classifyClaim('Predictive coding was proposed in 1999.') === null, 'Not about Julian');
+        assert(classifyClaim('He finds the implications profound.') === null, 'No claim');
+    });
+
+    runTest('First-person asides are not claims about Julian', () => {
+        assert(classifyClaim('I read a paper at NeurIPS 2023 that changed my mind.') === null, 'I and my');
+        assert(classifyClaim('Let me point you to a lab at Stanford University.') === null, 'Me');
+        assert(classifyClaim('I\'m told the award went to a team in 2019.') === null, 'I\'m');
+        assert(classifyClaim('Juliver\'s creator studied at Stanford University.') === 'organization', 'Still checked when Julian is named');
+        assert(check('I\'ve seen that conference grow since 2015. My favourite prize is the Nobel.').checked === 0, 'Nothing checked in a reply of asides');
+    });
+
+    runTest('Claims backed by the knowledge base pass', () => {
+        const result = check('Julian co-founded Longhorn Neurotech at UT Austin [1]. He also founded the NDMIC lab. ' +
+            'His first-author paper is under review at NeurIPS 2025. He was born in St. Louis, Missouri in 2004.');
+        assert(result.checked === 4, `Four claims, got ${result.checked}`);
+        assert(result.unverified.length === 0, `Nothing flagged, got ${JSON.stringify(result.unverified)}`);
+    });
+
+    runTest('Flags unknown organizations, dates, outcomes and awards', () => {
+        const { unverified } = check('Julian interned at Google DeepMind in 2023. His paper was published at NeurIPS. ' +
+            'He has won several awards. He studied at Stanford University.');
+        const flagged = (claimStart) => unverified.find(item => item.claim.startsWith(claimStart));
+
+        assert(flagged('Julian interned').terms.join() === 'Google DeepMind,2023', 'Organization and year');
+        assert(flagged('Julian interned').category === 'organization', 'Category reported');
+        assert(flagged('His paper').terms.includes('published'), 'Review is not publication');
+        assert(flagged('He has won'), 'Unnamed awards');
+        assert(flagged('He studied').terms.join() === 'Stanford University', 'Generic words ignored, name flagged');
+    });
+
+    runTest('Retrieved site notes count as evidence', () => {
+        const claim = 'Julian joined the Blue Brain Project.';
+        assert(check(claim).unverified.length === 1, 'Unknown without notes');
+        assert(check(claim, [{ title: 'Research', text: 'Visiting student with the Blue Brain Project.' }]).unverified.length === 0,
+            'Known from notes');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runFactGuardTests();
+    });
+}
@@ -0,0 +1,108 @@
+import { validateFeedback, createFeedbackStore, RATINGS } from '../../api/_lib/feedback.js';
+import { createMemoryStore } from '../../api/_lib/stores/memory-store.js';
+import { createKvStore } from '../../api/_lib/stores/kv-store.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTest(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+const exchange = {
+    rating: 'down',
+    question: 'Where does Julian work?',
+    answer: 'Julian works on the moon.',
+    promptVersion: '2025-06-01',
+    model: { provider: 'gemini', model: 'gemini-2.0-flash' },
+    mode: 'concise'
+};
+
+// Store with sequential ids and a controllable clock
+function testStore(limits) {
+    const clock = { t: Date.UTC(2025, 0, 1) };
+    let next = 0;
+    const feedback = createFeedbackStore({
+        store: createMemoryStore({ now: () => clock.t }),
+        now: () => clock.t,
+        newId: () => `f${++next}`,
+        ...(limits ? { limits } : {})
+    });
+    return { feedback, clock };
+}
+
+export async function runFeedbackTests() {
+    await runTest('Validates ratings and the exchange', () => {
+        assert(RATINGS.every(rating => validateFeedback({ ...exchange, rating }).feedback), 'Known ratings accepted');
+        assert(validateFeedback({ ...exchange, rating: 'meh' }).error.startsWith('rating'), 'Unknown rating');
+        assert(validateFeedback({ ...exchange, answer: '  ' }).error.startsWith('answer'), 'Empty answer');
+        assert(validateFeedback({ ...exchange, comment: 'x'.repeat(1001) }).error.startsWith('comment'), 'Long comment');
+        assert(validateFeedback({ ...exchange, id: '../index' }).error.startsWith('id'), 'Malformed id');
+        assert(validateFeedback({ ...exchange, model: 'gemini' }).error.startsWith('model'), 'Model shape');
+
+        const { feedback } = validateFeedback({ ...exchange, promptVersion: null, model: null, mode: undefined, refused: true, comment: ' wrong ' });
+        assert(feedback.comment === 'wrong' && feedback.refused && feedback.mode === null, 'Refusals carry no prompt or model');
+    });
+
+    await runTest('Updates a visitor\'s own feedback and starts new entries for others', async () => {
+        const { feedback, clock } = testStore();
+        const first = await feedback.save(validateFeedback(exchange).feedback, 'alice');
+        assert(first.id === 'f1' && first.promptVersion === '2025-06-01', 'Stored with the prompt version');
+
+        clock.t += 60000;
+        const updated = await feedback.save({ ...validateFeedback(exchange).feedback, id: 'f1', comment: 'Not the moon' }, 'alice');
+        assert(updated.id === 'f1' && updated.comment === 'Not the moon' && updated.updatedAt > updated.createdAt, 'Comment added');
+
+        const other = await feedback.save({ ...validateFeedback(exchange).feedback, id: 'f1', rating: 'up' }, 'mallory');
+        assert(other.id === 'f2', 'Another visitor cannot overwrite it');
+        assert((await feedback.list()).map(entry => entry.id).join() === 'f2,f1', 'Listed newest first');
+    });
+
+    await runTest('Lists by rating and date, trimming the oldest entries', async () => {
+        const { feedback, clock } = testStore({ maxEntries: 3, retentionDays: 1 });
+        for (const rating of ['down', 'up', 'down', 'up']) {
+            clock.t += 60000;
+            await feedback.save(validateFeedback({ ...exchange, rating }).feedback, 'alice');
+        }
+        assert((await feedback.list()).length === 3, 'Oldest entry dropped');
+        assert((await feedback.list({ rating: 'down' })).map(entry => entry.id).join() === 'f3', 'Filtered by rating');
+        assert((await feedback.list({ since: new Date(clock.t).toISOString() })).length === 1, 'Filtered by date');
+        assert((await feedback.list({ limit: 2 })).length === 2, 'Limited');
+
+        clock.t += 2 * 24 * 3600 * 1000;
+        assert((await feedback.list()).length === 0, 'Expired after the retention period');
+    });
+
+    await runTest('KV store sends Redis commands over HTTP', async () => {
+        const sent = [];
+        const fetchImpl = async (url, { headers, body }) => {
+            sent.push({ url, auth: headers.Authorization, command: JSON.parse(body) });
+            return { ok: true, json: async () => ({ result: sent.length === 2 ? '{"a":1}' : 'OK' }) };
+        };
+        const store = createKvStore({ url: 'https://kv.example/', token: 't', fetchImpl });
+        await store.set('k', { a: 1 }, { ttlMs: 1500 });
+        const value = await store.get('k');
+
+        assert(sent[0].url === 'https://kv.example' && sent[0].auth === 'Bearer t', 'Endpoint and token');
+        assert(sent[0].command.join() === 'SET,k,{"a":1},PX,1500', `SET with expiry (got ${sent[0].command})`);
+        assert(value.a === 1, 'Values round-trip as JSON');
+
+        const failing = createKvStore({ url: 'https://kv.example', token: 't', fetchImpl: async () => ({ ok: false, status: 401, json: async () => ({ error: 'bad token' }) }) });
+        let message = '';
+        await failing.get('k').catch(error => { message = error.message; });
+        assert(message === 'KV GET failed: bad token', 'Errors surface');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runFeedbackTests();
+    });
+}
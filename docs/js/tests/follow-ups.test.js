@@ -0,0 +1,56 @@
+import { suggestFollowUps, FOLLOW_UP_LIMITS } from '../../api/_lib/follow-ups.js';
+import { QUESTION_BANK, EXAMPLE_QUESTIONS } from '../shared/questions.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+const topicOf = (question) => QUESTION_BANK.find(entry => entry.question === question)?.topic;
+
+export function runFollowUpTests() {
+    runTest('Example questions come from the bank', () => {
+        assert(EXAMPLE_QUESTIONS.length === 5, 'Five examples');
+        assert(new Set(QUESTION_BANK.map(entry => entry.question)).size === QUESTION_BANK.length, 'No duplicate questions');
+    });
+
+    runTest('Suggests two or three questions on distinct topics', () => {
+        const followUps = suggestFollowUps({
+            message: 'What is Longhorn Neurotech?',
+            reply: 'Julian co-founded Longhorn Neurotech at UT Austin, which led the design of an open-source EEG headset.'
+        });
+        assert(followUps.length >= FOLLOW_UP_LIMITS.min && followUps.length <= FOLLOW_UP_LIMITS.max, 'Count within limits');
+        assert(new Set(followUps.map(topicOf)).size === followUps.length, 'One question per topic');
+        assert(followUps.some(question => topicOf(question) === 'eeg'), 'Related question ranked in');
+    });
+
+    runTest('Never repeats a question already asked', () => {
+        const followUps = suggestFollowUps({
+            message: 'What is predictive coding?',
+            reply: 'Predictive coding treats the brain as a prediction machine; Julian builds RL models inspired by it.',
+            history: [{ role: 'user', content: 'What is your research about?' }, { role: 'assistant', content: 'fMRI and XAI.' }]
+        });
+        assert(!followUps.includes('What is predictive coding?'), 'Current question excluded');
+        assert(!followUps.includes('What is your research about?'), 'Earlier question excluded');
+    });
+
+    runTest('Falls back to the bank when nothing matches', () => {
+        const followUps = suggestFollowUps({ message: 'zzz', reply: 'qqq' });
+        assert(followUps.length === FOLLOW_UP_LIMITS.min, 'Padded to the minimum');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runFollowUpTests();
+    });
+}
@@ -0,0 +1,124 @@
+// The health handler reads its settings from process.env and pulls in the server-side stores,
+// so these tests import it lazily and only run under Node.
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTest(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+// Just enough of a Vercel request and response for the handler
+function fakeExchange(method = 'GET') {
+    const req = { method, headers: {} };
+    const res = {
+        statusCode: 0,
+        headers: {},
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+        json(data) { this.body = data; return this; },
+        end() { return this; }
+    };
+    return { req, res };
+}
+
+// Run `fn` with some environment variables set, restoring them afterwards
+async function withEnv(vars, fn) {
+    const saved = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]));
+    Object.assign(process.env, vars);
+    try {
+        return await fn();
+    } finally {
+        Object.entries(saved).forEach(([key, value]) => {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        });
+    }
+}
+
+// Provider stand-in whose ping answers with `reachable`; each gets its own model so no ping is cached
+let models = 0;
+function pingOnly(reachable) {
+    const model = `ping-${++models}`;
+    return () => ({
+        name: 'health-test',
+        model,
+        isConfigured: () => true,
+        ping: async () => ({ reachable, status: reachable ? 200 : 502 }),
+        generate: async () => { throw new Error('Health checks must not generate text'); }
+    });
+}
+
+export async function runHealthTests() {
+    if (typeof process === 'undefined' || !process.versions?.node) {
+        console.log('ℹ️ Health handler tests run under Node only');
+        return;
+    }
+    const { default: handler } = await import('../../api/health.js');
+    const { registerProvider } = await import('../../api/_lib/providers/index.js');
+    const { getCircuitBreaker } = await import('../../api/_lib/limits.js');
+    const { PROMPT_VERSION } = await import('../../api/_lib/prompt-compiler.js');
+
+    const check = async (env, method = 'GET') => {
+        const { req, res } = fakeExchange(method);
+        await withEnv(env, () => handler(req, res));
+        return res;
+    };
+
+    await runTest('Reports ok with the answering model, chain and budget', async () => {
+        const res = await check({ LLM_PROVIDER: 'mock', LLM_CHAIN: '' });
+        assert(res.statusCode === 200 && res.body.status === 'ok', `Healthy (${res.statusCode})`);
+        assert(res.headers['cache-control'] === 'no-store', 'Never cached');
+        assert(!res.body.code, 'No error code');
+        assert(res.body.promptVersion === PROMPT_VERSION, 'Prompt version');
+        assert(res.body.provider.name === 'mock' && res.body.provider.reachable, 'Answering model');
+        assert(res.body.chain.length === 1 && res.body.chain[0].circuit === 'closed', 'Chain with circuit state');
+        assert(res.body.budget.remainingTokens <= res.body.budget.limitTokens, 'Budget');
+    });
+
+    await runTest('Reports misconfigured when no model has its key', async () => {
+        const res = await check({ LLM_PROVIDER: 'gemini', LLM_CHAIN: '', GEMINI_API_KEY: '' });
+        assert(res.statusCode === 503 && res.body.status === 'misconfigured', `Misconfigured (${res.statusCode})`);
+        assert(res.body.code === 'MISCONFIGURED', 'Coded error');
+        assert(!res.body.chain[0].configured && !res.body.chain[0].reachable, 'Unconfigured link is not pinged');
+    });
+
+    await runTest('Reports unreachable when no model answers its ping', async () => {
+        registerProvider('health-down', pingOnly(false));
+        const res = await check({ LLM_PROVIDER: 'health-down', LLM_CHAIN: '' });
+        assert(res.statusCode === 503 && res.body.status === 'unreachable', `Unreachable (${res.statusCode})`);
+        assert(res.body.code === 'UNREACHABLE' && res.body.chain[0].upstreamStatus === 502, 'Coded error and upstream status');
+    });
+
+    await runTest('Names the first usable model, skipping one whose circuit is open', async () => {
+        registerProvider('health-tripped', pingOnly(true));
+        registerProvider('health-up', pingOnly(true));
+        const res = await check({ LLM_CHAIN: 'health-tripped,health-up' });
+        const tripped = `health-test:${res.body.chain[0].model}`;
+        for (let i = 0; i < 5; i++) await getCircuitBreaker().recordFailure(tripped);
+
+        const after = await check({ LLM_CHAIN: 'health-tripped,health-up' });
+        assert(after.statusCode === 200, 'Still healthy');
+        assert(after.body.chain[0].circuit === 'open', 'Open circuit reported');
+        assert(after.body.provider.model === after.body.chain[1].model, 'Fallback named as the answering model');
+    });
+
+    await runTest('Only answers GET', async () => {
+        const res = await check({}, 'POST');
+        assert(res.statusCode === 405 && res.body.code === 'METHOD_NOT_ALLOWED', 'Method not allowed');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runHealthTests();
+    });
+}
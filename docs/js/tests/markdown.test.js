@@ -0,0 +1,108 @@
+import { renderMarkdown, escapeHTML, isSafeUrl } from '../markdown.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+const ALLOWED_TAGS = ['p', 'br', 'strong', 'em', 'code', 'pre', 'ul', 'ol', 'li', 'a'];
+
+// Rendered output must never contain markup we didn't generate ourselves
+function assertNoInjection(html, label) {
+    const tags = html.match(/<[^>]*>/g) || [];
+    tags.forEach(tag => {
+        const name = tag.match(/^<\/?([a-z0-9]+)/i)?.[1]?.toLowerCase();
+        assert(ALLOWED_TAGS.indexOf(name) >= 0, `${label}: unexpected tag ${tag}`);
+        assert(!/\son\w+\s*=/i.test(tag), `${label}: event handler in ${tag}`);
+        assert(!/href="\s*(javascript|data|vbscript):/i.test(tag), `${label}: script URL in ${tag}`);
+    });
+}
+
+export function runMarkdownTests() {
+    runTest('Escapes raw HTML', () => {
+        const html = renderMarkdown('<script>alert(1)</script><img src=x onerror=alert(1)>');
+        assertNoInjection(html, 'raw html');
+        assert(html.includes('&lt;script&gt;'), 'Script tag shown as text');
+    });
+
+    runTest('Renders emphasis, strong and inline code', () => {
+        const html = renderMarkdown('**bold** and *soft* and `x < y`');
+        assert(html.includes('<strong>bold</strong>'), 'Strong');
+        assert(html.includes('<em>soft</em>'), 'Emphasis');
+        assert(html.includes('<code>x &lt; y</code>'), 'Inline code escaped');
+    });
+
+    runTest('Leaves snake_case and arithmetic alone', () => {
+        const html = renderMarkdown('use snake_case_names and 2 * 3 * 4');
+        assert(!html.includes('<em>'), 'No accidental emphasis');
+    });
+
+    runTest('Renders lists and paragraphs', () => {
+        const html = renderMarkdown('Intro\n\n- one\n- two\n\n1. first\n2. second');
+        assert(html.includes('<p>Intro</p>'), 'Paragraph');
+        assert(html.includes('<ul><li>one</li><li>two</li></ul>'), 'Bulleted list');
+        assert(html.includes('<ol><li>first</li><li>second</li></ol>'), 'Numbered list');
+    });
+
+    runTest('Code blocks are literal', () => {
+        const html = renderMarkdown('```\n<b onclick="x()">**not bold**</b>\n```');
+        assertNoInjection(html, 'code block');
+        assert(html.startsWith('<pre><code>'), 'Wrapped in pre/code');
+        assert(!html.includes('<strong>'), 'No markdown inside code');
+    });
+
+    runTest('Renders safe links with rel noopener', () => {
+        const html = renderMarkdown('[GitHub](https://github.com/weavejul)');
+        assert(html.includes('<a href="https://github.com/weavejul" target="_blank" rel="noopener noreferrer">GitHub</a>'), 'External link');
+        assert(renderMarkdown('[Connect](#connect)').includes('<a href="#connect">Connect</a>'), 'Anchor link');
+    });
+
+    runTest('Drops dangerous link targets', () => {
+        const payloads = [
+            '[click](javascript:alert(1))',
+            '[click](JaVaScRiPt:alert(1))',
+            '[click](java\tscript:alert(1))',
+            '[click](data:text/html;base64,PHNjcmlwdD4=)',
+            '[click](vbscript:msgbox(1))',
+            '[click](https://x.com/"onmouseover="alert(1))',
+            '[click](jav&#x61;script:alert(1))'
+        ];
+        payloads.forEach(payload => {
+            const html = renderMarkdown(payload);
+            assertNoInjection(html, payload);
+            assert(!html.includes('<a '), `${payload}: not linked`);
+        });
+    });
+
+    runTest('Cannot break out of attributes or nest markup in links', () => {
+        const html = renderMarkdown('[<img src=x onerror=alert(1)>](https://example.com)');
+        assertNoInjection(html, 'link label');
+        assert(html.includes('&lt;img'), 'Label escaped');
+    });
+
+    runTest('Ignores smuggled placeholder characters', () => {
+        const html = renderMarkdown('0 `a` L1');
+        assert(!html.includes('undefined'), 'No dangling placeholder lookups');
+    });
+
+    runTest('Helpers behave', () => {
+        assert(escapeHTML(`"'<>&`) === '&quot;&#39;&lt;&gt;&amp;', 'All special characters escaped');
+        assert(isSafeUrl('mailto:juliver.dev@gmail.com'), 'mailto allowed');
+        assert(!isSafeUrl(' javascript:alert(1)'), 'Leading whitespace does not hide javascript:');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runMarkdownTests();
+    });
+}
@@ -0,0 +1,120 @@
+import { createModelChain } from '../../api/_lib/model-chain.js';
+import { createCircuitBreaker } from '../../api/_lib/circuit-breaker.js';
+import { ProviderError } from '../../api/_lib/providers/provider-error.js';
+import { createMemoryStore } from '../../api/_lib/stores/memory-store.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTest(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+// Controllable clock shared by the store and the breaker
+function fakeClock(start = Date.UTC(2025, 0, 1, 12)) {
+    const clock = { t: start, now: () => clock.t };
+    return clock;
+}
+
+// Provider stand-in that fails with `status` (or answers when it is null) and counts calls
+function fakeProvider(model, status = null) {
+    const provider = {
+        name: 'fake',
+        model,
+        calls: 0,
+        isConfigured: () => true,
+        async generate() {
+            provider.calls++;
+            if (status) throw new ProviderError(`${model} failed`, { status, provider: 'fake' });
+            return { text: `Answer from ${model}`, usage: null };
+        }
+    };
+    return provider;
+}
+
+function breakerFor(clock, failureThreshold = 2) {
+    return createCircuitBreaker({ store: createMemoryStore({ now: clock.now }), failureThreshold, cooldownMs: 60000, now: clock.now });
+}
+
+export async function runModelChainTests() {
+    await runTest('Falls back to the next model and reports who answered', async () => {
+        const primary = fakeProvider('primary', 503);
+        const backup = fakeProvider('backup');
+        const chain = createModelChain({ providers: [primary, backup] });
+
+        const result = await chain.generate({});
+        assert(result.text === 'Answer from backup', 'Backup answered');
+        assert(primary.calls === 1, 'No retries on a model with a fallback behind it');
+        assert(chain.answeredBy.model === 'backup', 'Answering model reported');
+    });
+
+    await runTest('Does not fall back on a rejected request', async () => {
+        const backup = fakeProvider('backup');
+        const chain = createModelChain({ providers: [fakeProvider('primary', 400), backup] });
+        let status = null;
+        try {
+            await chain.generate({});
+        } catch (error) {
+            status = error.status;
+        }
+        assert(status === 400, '400 surfaces');
+        assert(backup.calls === 0, 'Backup untouched');
+    });
+
+    await runTest('Opens the circuit after repeated failures', async () => {
+        const clock = fakeClock();
+        const breaker = breakerFor(clock);
+        const primary = fakeProvider('primary', 500);
+        const providers = [primary, fakeProvider('backup')];
+
+        await createModelChain({ providers, breaker }).generate({});
+        await createModelChain({ providers, breaker }).generate({});
+        assert((await breaker.status('fake:primary')).state === 'open', 'Open after two failures');
+
+        await createModelChain({ providers, breaker }).generate({});
+        assert(primary.calls === 2, 'Open circuit skips the model');
+    });
+
+    await runTest('Half-opens after the cooldown', async () => {
+        const clock = fakeClock();
+        const breaker = breakerFor(clock);
+        await breaker.recordFailure('m');
+        await breaker.recordFailure('m');
+
+        clock.t += 61000;
+        assert((await breaker.status('m')).state === 'half_open', 'Trial allowed after cooldown');
+
+        await breaker.recordFailure('m');
+        assert((await breaker.status('m')).state === 'open', 'Failed trial re-opens');
+
+        clock.t += 61000;
+        await breaker.recordSuccess('m');
+        assert((await breaker.status('m')).state === 'closed', 'Success closes');
+    });
+
+    await runTest('Fails with 503 when every model is cooling down', async () => {
+        const clock = fakeClock();
+        const breaker = breakerFor(clock, 1);
+        await breaker.recordFailure('fake:only');
+        let status = null;
+        try {
+            await createModelChain({ providers: [fakeProvider('only')], breaker }).generate({});
+        } catch (error) {
+            status = error.status;
+        }
+        assert(status === 503, 'Reported as temporary overload');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runModelChainTests();
+    });
+}
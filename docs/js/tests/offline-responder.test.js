@@ -0,0 +1,55 @@
+import { OfflineResponder } from '../offline-responder.js';
+import { julianInfo } from '../shared/julian-info.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+export function runOfflineResponderTests() {
+    const responder = new OfflineResponder();
+
+    runTest('Classifies questions by intent', () => {
+        assert(responder.classify('What is your research about?') === 'research', 'Research');
+        assert(responder.classify('How can I contact Julian?') === 'contact', 'Contact');
+        assert(responder.classify('Where did he go to university?') === 'education', 'Education');
+        assert(responder.classify('What does he do for fun?') === 'hobbies', 'Hobbies');
+        assert(responder.classify('What projects has he built?') === 'projects', 'Projects');
+        assert(responder.classify('Tell me about Longhorn Neurotech') === 'organizations', 'Organizations');
+    });
+
+    runTest('Short keywords only match whole words', () => {
+        assert(responder.classify('They stayed in Utah') !== 'education', '"ut" does not match "utah"');
+        assert(responder.classify('What is the meaning of life?') === 'unknown', 'Unrelated question');
+    });
+
+    runTest('Answers from the knowledge base', () => {
+        const contact = responder.respond('How do I email him?');
+        assert(contact.text.includes(julianInfo.social.platforms.email), 'Email address included');
+
+        const hobbies = responder.respond('Any hobbies?');
+        assert(hobbies.text.includes('rock climbing'), 'Hobbies included');
+    });
+
+    runTest('Always returns text', () => {
+        ['', '???', 'hello'].forEach(question => {
+            const { text } = responder.respond(question);
+            assert(typeof text === 'string' && text.length > 0, `Reply for "${question}"`);
+        });
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runOfflineResponderTests();
+    });
+}
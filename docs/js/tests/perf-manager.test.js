@@ -58,6 +58,17 @@ export function runPerfManagerTests() {
         pm._setTier('low');
         assert(pm.getFluidSettings().BLOOM === false || pm.getFluidSettings().BLOOM_ITERATIONS === 0, 'Low tier disables bloom');
     });
+
+    runTest('Manual tier pins until released', () => {
+        const pm = new PerformanceManager();
+        assert(pm.setManualTier('low') === true, 'Accepts a known tier');
+        assert(pm.getTier() === 'low', 'Switches to the pinned tier');
+        feedFrames(pm, Array(300).fill(10), performance.now() + 5000);
+        assert(pm.getTier() === 'low', 'Fast frames do not override a pinned tier');
+        assert(pm.setManualTier('ludicrous') === false, 'Rejects an unknown tier');
+        pm.setManualTier(null);
+        assert(pm.manualTier === null, 'Null resumes adaptive switching');
+    });
 }
 
 // Auto-run in browser
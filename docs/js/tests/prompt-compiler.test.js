@@ -0,0 +1,94 @@
+import { compileSystemPrompt, ageFrom, PROMPT_VERSION } from '../../api/_lib/prompt-compiler.js';
+import { julianInfo, conversationalGuidelines } from '../shared/julian-info.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+// Fixed clock so the age line doesn't change with the date the tests run on
+const NOW = new Date(2025, 5, 1);
+
+const compile = (options = {}) => compileSystemPrompt({ info: julianInfo, guidelines: conversationalGuidelines, now: NOW, ...options });
+
+// A knowledge base small enough to check line by line
+const tinyInfo = {
+    personal: {
+        name: 'Ada Example',
+        nickname: 'Ada',
+        birthday: 'March 10, 2000',
+        bornIn: 'London',
+        location: 'Austin',
+        previousLocations: ['Paris', 'Tokyo'],
+        education: 'BSc',
+        currentStatus: 'Researcher'
+    },
+    research: { currentWork: ['Decoding EEG'], expertise: ['Signal processing'], organizations: [] },
+    interests: { projects: ['A synth'], hobbies: ['Chess'], philosophy: 'Curiosity first' },
+    personality: { tone: 'Dry', style: ['Short sentences'], catchphrases: ['Indeed'], values: ['Honesty'] },
+    social: { platforms: { github: 'ada' }, website: 'ada.example' },
+    websiteContext: { brainInterface: 'You are ADA.AI', purpose: 'Explain her work', visitors: 'Recruiters', environment: 'terminal' }
+};
+const tinyGuidelines = { dos: ['Be brief'], donts: ['Don\'t guess'], exampleResponses: { greeting: 'Hello.' } };
+
+export function runPromptCompilerTests() {
+    runTest('Reports the template version and the resolved mode', () => {
+        const prompt = compile({ mode: 'technical' });
+        assert(prompt.version === PROMPT_VERSION, 'Template version');
+        assert(prompt.mode === 'technical', 'Mode reported');
+        assert(compile({ mode: 'nonsense' }).mode === compile().mode, 'Unknown modes fall back to the default');
+    });
+
+    runTest('Lays the knowledge base out in ordered sections', () => {
+        const { text } = compileSystemPrompt({ info: tinyInfo, guidelines: tinyGuidelines, now: NOW });
+        const headings = ['PERSONAL INFO:', 'CURRENT WORK:', 'EXPERTISE:', 'PERSONAL PROJECTS & INTERESTS:', 'PERSONALITY & CONVERSATIONAL STYLE:',
+            'VALUES:', 'CONTACT & SOCIAL:', 'CONTEXT:', 'DO:', 'DON\'T:', 'EXAMPLE RESPONSES'];
+        const positions = headings.map(heading => text.indexOf(heading));
+        assert(positions.every(position => position > 0), `Every section present: ${headings.filter((_, i) => positions[i] < 0)}`);
+        assert(positions.every((position, i) => !i || position > positions[i - 1]), 'Sections in template order');
+
+        assert(text.startsWith('You are ADA.AI (ada.example).'), 'Opens with the interface and site');
+        assert(!text.includes('ORGANIZATIONS & ACHIEVEMENTS'), 'Empty sections are left out');
+        assert(text.includes('- Background: Lived in Paris, Tokyo'), 'Lists joined into bullets');
+        assert(text.includes('- github: ada\n- Website: ada.example'), 'Contact details');
+        assert(text.includes('- Be brief') && text.includes('- Don\'t guess') && text.includes('[greeting] Hello.'), 'Guidelines and examples');
+    });
+
+    runTest('Computes the age from the birthday and now', () => {
+        const before = compileSystemPrompt({ info: tinyInfo, guidelines: tinyGuidelines, now: new Date(2025, 2, 9) }).text;
+        const on = compileSystemPrompt({ info: tinyInfo, guidelines: tinyGuidelines, now: new Date(2025, 2, 10) }).text;
+        assert(before.includes('- Age: 24 (born March 10, 2000)'), 'Day before the birthday');
+        assert(on.includes('- Age: 25 (born March 10, 2000)'), 'On the birthday');
+        assert(ageFrom('not a date', NOW) === null, 'Unparseable birthday');
+
+        const undated = { ...tinyInfo, personal: { ...tinyInfo.personal, birthday: 'sometime' } };
+        assert(compileSystemPrompt({ info: undated, guidelines: tinyGuidelines, now: NOW }).text.includes('- Born: sometime'), 'Born line without an age');
+    });
+
+    runTest('Compiles the same text for the same inputs', () => {
+        assert(compile().text === compile().text, 'Deterministic');
+        assert(compile().text.includes(`Age: ${ageFrom(julianInfo.personal.birthday, NOW)}`), 'Uses the given now');
+    });
+
+    runTest('Places the mode section last, overriding the style above it', () => {
+        const { text } = compileSystemPrompt({ info: tinyInfo, guidelines: tinyGuidelines, now: NOW, mode: 'technical' });
+        const modeAt = text.indexOf('RESPONSE MODE: TECHNICAL');
+        assert(modeAt > text.indexOf('EXAMPLE RESPONSES'), 'After the examples');
+        assert(!compile().text.includes('RESPONSE MODE'), 'Default mode adds no section');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runPromptCompilerTests();
+    });
+}
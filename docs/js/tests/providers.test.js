@@ -0,0 +1,206 @@
+import { createGeminiProvider } from '../../api/_lib/providers/gemini.js';
+import { createOpenAIProvider } from '../../api/_lib/providers/openai.js';
+import { createMockProvider } from '../../api/_lib/providers/mock.js';
+import { ProviderError } from '../../api/_lib/providers/provider-error.js';
+import { withRetries } from '../../api/_lib/model-chain.js';
+import { codeForUpstreamStatus } from '../shared/chat-errors.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTest(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+// Swap fetch for `respond(url, options)` while `fn` runs, recording every call
+async function withFetch(respond, fn) {
+    const calls = [];
+    const original = globalThis.fetch;
+    globalThis.fetch = async (url, options = {}) => {
+        calls.push({ url, options, body: options.body ? JSON.parse(options.body) : null });
+        return respond(url, options);
+    };
+    try {
+        await fn(calls);
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+const json = (data, status = 200) => new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+
+// Upstream event stream with one `data:` line per payload
+const eventStream = (payloads) => new Response(payloads.map(payload => `data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\r\n\r\n`).join(''));
+
+async function collect(chunks) {
+    const all = [];
+    for await (const chunk of chunks) all.push(chunk);
+    return all;
+}
+
+// A tool round trip in the provider-neutral shape from providers/index.js
+const request = {
+    system: 'You are JULIVER.AI.',
+    messages: [
+        { role: 'user', content: 'Show me how to contact him' },
+        { role: 'assistant', content: '', toolCalls: [{ id: 'call_0', name: 'show_section', args: { section: 'connect' } }, { id: 'call_1', name: 'pulse_brain', args: {} }] },
+        { role: 'tool', toolCallId: 'call_0', name: 'show_section', content: { shown: 'Connect' } },
+        { role: 'tool', toolCallId: 'call_1', name: 'pulse_brain', content: { pulsing: true } }
+    ],
+    tools: [
+        { name: 'show_section', description: 'Scroll', parameters: { type: 'object', properties: { section: { type: 'string' } } } },
+        { name: 'pulse_brain', description: 'Pulse', parameters: { type: 'object', properties: {} } }
+    ],
+    temperature: 0.4,
+    maxOutputTokens: 300
+};
+
+export async function runProviderTests() {
+    await runTest('Gemini maps turns, tools and settings onto generateContent', async () => {
+        await withFetch(() => json({ candidates: [{ content: { parts: [{ text: 'Done.' }] }, finishReason: 'STOP' }] }), async (calls) => {
+            await createGeminiProvider({ apiKey: 'key-1', model: 'gemini-test' }).generate(request);
+
+            const { url, body } = calls[0];
+            assert(url.includes('/gemini-test:generateContent?') && url.endsWith('key=key-1'), `Model and key in the URL: ${url}`);
+            assert(body.systemInstruction.parts[0].text === 'You are JULIVER.AI.', 'System instruction');
+            assert(body.contents.map(turn => turn.role).join() === 'user,model,user', 'Assistant turns become model turns');
+            assert(body.contents[1].parts.map(part => part.functionCall.name).join() === 'show_section,pulse_brain', 'Tool calls as functionCall parts');
+            assert(body.contents[2].parts.length === 2 && body.contents[2].parts[0].functionResponse.response.shown === 'Connect', 'Tool results grouped into one turn');
+            const [showSection, pulseBrain] = body.tools[0].functionDeclarations;
+            assert(showSection.parameters && !pulseBrain.parameters, 'Parameterless tools omit their schema');
+            assert(body.generationConfig.temperature === 0.4 && body.generationConfig.maxOutputTokens === 300, 'Generation settings');
+        });
+    });
+
+    await runTest('Gemini reads text, tool calls, usage and block reasons', async () => {
+        const reply = {
+            candidates: [{ content: { parts: [{ text: 'Let me show you.' }, { functionCall: { name: 'show_section', args: { section: 'connect' } } }] }, finishReason: 'STOP' }],
+            usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 4, totalTokenCount: 14 }
+        };
+        await withFetch(() => json(reply), async () => {
+            const result = await createGeminiProvider({ apiKey: 'k' }).generate(request);
+            assert(result.text === 'Let me show you.', 'Text');
+            assert(result.toolCalls[0].id === 'call_0' && result.toolCalls[0].args.section === 'connect', 'Numbered tool call');
+            assert(result.usage.totalTokens === 14 && result.finishReason === 'STOP', 'Usage and finish reason');
+        });
+        await withFetch(() => json({ promptFeedback: { blockReason: 'SAFETY' } }), async () => {
+            const result = await createGeminiProvider({ apiKey: 'k' }).generate(request);
+            assert(result.text === '' && result.finishReason === 'SAFETY', 'Blocked prompt reports its block reason');
+        });
+    });
+
+    await runTest('Gemini streams text, tool calls, finish and usage', async () => {
+        const payloads = [
+            { candidates: [{ content: { parts: [{ text: 'Hello ' }] } }] },
+            { candidates: [{ content: { parts: [{ text: 'there' }, { functionCall: { name: 'pulse_brain' } }] }, finishReason: 'STOP' }], usageMetadata: { totalTokenCount: 9 } }
+        ];
+        await withFetch(() => eventStream(payloads), async (calls) => {
+            const chunks = await collect(await createGeminiProvider({ apiKey: 'k' }).stream(request));
+            assert(calls[0].url.includes(':streamGenerateContent?alt=sse&key=k'), 'SSE endpoint');
+            assert(chunks.map(chunk => chunk.type).join() === 'text,text,tool_call,finish,usage', `Chunk order: ${chunks.map(chunk => chunk.type)}`);
+            assert(chunks[2].call.name === 'pulse_brain' && chunks[3].finishReason === 'STOP' && chunks[4].usage.totalTokens === 9, 'Chunk contents');
+        });
+    });
+
+    await runTest('OpenAI-compatible maps turns, tools and settings onto chat completions', async () => {
+        await withFetch(() => json({ choices: [{ message: { content: 'Done.' }, finish_reason: 'stop' }] }), async (calls) => {
+            await createOpenAIProvider({ apiKey: 'sk-1', baseUrl: 'http://localhost:11434/v1/', model: 'llama' }).generate(request);
+
+            const { url, options, body } = calls[0];
+            assert(url === 'http://localhost:11434/v1/chat/completions', `Base URL without its trailing slash: ${url}`);
+            assert(options.headers.Authorization === 'Bearer sk-1', 'Bearer key');
+            assert(body.model === 'llama' && body.max_tokens === 300 && body.temperature === 0.4, 'Model and settings');
+            assert(body.messages.map(msg => msg.role).join() === 'system,user,assistant,tool,tool', 'System first, then the turns');
+            assert(body.messages[2].tool_calls[0].function.arguments === '{"section":"connect"}', 'Tool call arguments as JSON text');
+            assert(body.messages[3].tool_call_id === 'call_0' && body.messages[3].content === '{"shown":"Connect"}', 'Tool results paired by id');
+            assert(body.tools[0].type === 'function' && body.tools[0].function.name === 'show_section', 'Function tools');
+            assert(!body.stream, 'Not streamed');
+        });
+    });
+
+    await runTest('OpenAI-compatible streams text and reassembles fragmented tool calls', async () => {
+        const payloads = [
+            { choices: [{ delta: { content: 'Sure' } }] },
+            { choices: [{ delta: { tool_calls: [{ index: 0, id: 'abc', function: { name: 'show_', arguments: '{"sec' } }] } }] },
+            { choices: [{ delta: { tool_calls: [{ index: 0, function: { name: 'section', arguments: 'tion":"connect"}' } }] }, finish_reason: 'tool_calls' }] },
+            { choices: [], usage: { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 } },
+            '[DONE]'
+        ];
+        await withFetch(() => eventStream(payloads), async (calls) => {
+            const chunks = await collect(await createOpenAIProvider({ apiKey: 'k' }).stream(request));
+            assert(calls[0].body.stream && calls[0].body.stream_options.include_usage, 'Streaming with usage requested');
+            assert(chunks.map(chunk => chunk.type).join() === 'text,tool_call,finish,usage', `Chunk order: ${chunks.map(chunk => chunk.type)}`);
+            assert(chunks[1].call.id === 'abc' && chunks[1].call.name === 'show_section' && chunks[1].call.args.section === 'connect', 'Fragments joined');
+            assert(chunks[2].finishReason === 'tool_calls' && chunks[3].usage.totalTokens === 8, 'Finish reason and usage');
+        });
+    });
+
+    await runTest('OpenAI-compatible needs a key only for the default endpoint', () => {
+        assert(!createOpenAIProvider({}).isConfigured(), 'Default endpoint without a key');
+        assert(createOpenAIProvider({ apiKey: 'k' }).isConfigured(), 'Default endpoint with a key');
+        assert(createOpenAIProvider({ baseUrl: 'http://localhost:11434/v1' }).isConfigured(), 'Self-hosted endpoint');
+    });
+
+    await runTest('Upstream failures become ProviderErrors carrying the status', async () => {
+        const providers = [createGeminiProvider({ apiKey: 'k' }), createOpenAIProvider({ apiKey: 'k' })];
+        for (const provider of providers) {
+            for (const [status, temporary, code] of [[429, true, 'UPSTREAM_RATE_LIMITED'], [503, true, 'OVERLOADED'], [400, false, 'INVALID_REQUEST'], [401, false, 'UPSTREAM_ERROR']]) {
+                await withFetch(() => new Response('quota exceeded', { status }), async () => {
+                    const error = await provider.generate(request).then(() => null, error => error);
+                    assert(error instanceof ProviderError, `${provider.name} ${status} is a ProviderError`);
+                    assert(error.status === status && error.provider === provider.name && error.details === 'quota exceeded', `${provider.name} ${status} details`);
+                    assert(error.isTemporary === temporary, `${provider.name} ${status} temporary: ${temporary}`);
+                    assert(codeForUpstreamStatus(error.status) === code, `${provider.name} ${status} reported as ${code}`);
+                });
+            }
+        }
+    });
+
+    await runTest('Only temporary failures are retried', async () => {
+        let calls = 0;
+        const flaky = () => {
+            calls++;
+            if (calls === 1) throw new ProviderError('busy', { status: 503 });
+            return 'answer';
+        };
+        assert(await withRetries(flaky, null, 2) === 'answer' && calls === 2, 'Retried after a 503');
+
+        calls = 0;
+        const rejected = () => {
+            calls++;
+            throw new ProviderError('bad key', { status: 401 });
+        };
+        const error = await withRetries(rejected, null, 3).then(() => null, error => error);
+        assert(error?.status === 401 && calls === 1, 'A 401 is not retried');
+    });
+
+    await runTest('Mock provider answers deterministically and calls tools on cue', async () => {
+        const mock = createMockProvider();
+        const ask = (content, extra = {}) => mock.generate({ messages: [{ role: 'user', content }], ...extra });
+
+        const first = await ask('What is predictive coding?');
+        const again = await ask('What is predictive coding?');
+        assert(first.text === again.text && first.text.includes('Mock reply to'), 'Same question, same reply');
+        assert(first.finishReason === 'STOP' && first.usage.totalTokens > 0, 'Finish reason and usage');
+
+        assert(!(await ask('Make the brain pulse')).toolCalls.length, 'No tools offered, none called');
+        const withTools = await ask('Make the brain pulse', { tools: request.tools });
+        assert(withTools.toolCalls[0].name === 'pulse_brain' && withTools.text === '', 'Tool called instead of answering');
+
+        const answered = await mock.generate({ messages: [...request.messages.slice(0, 2), request.messages[3]] });
+        assert(answered.text.startsWith('Done. pulse_brain'), 'Answers from the tool results');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runProviderTests();
+    });
+}
@@ -0,0 +1,69 @@
+import { createTokenBucket, createDailyBudget } from '../../api/_lib/rate-limit.js';
+import { createMemoryStore } from '../../api/_lib/stores/memory-store.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTest(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+// Controllable clock shared by the store and the limiter
+function fakeClock(start = Date.UTC(2025, 0, 1, 12)) {
+    const clock = { t: start, now: () => clock.t };
+    return clock;
+}
+
+export async function runRateLimitTests() {
+    await runTest('Bucket allows a burst then blocks', async () => {
+        const clock = fakeClock();
+        const bucket = createTokenBucket({ store: createMemoryStore(clock), capacity: 3, refillPerMinute: 6, now: clock.now });
+        for (let i = 0; i < 3; i++) {
+            assert((await bucket.take('a')).allowed, `Request ${i + 1} allowed`);
+        }
+        const blocked = await bucket.take('a');
+        assert(!blocked.allowed, 'Fourth request blocked');
+        assert(blocked.retryAfter === 10, `Retry after one refill interval (got ${blocked.retryAfter})`);
+    });
+
+    await runTest('Bucket refills over time', async () => {
+        const clock = fakeClock();
+        const bucket = createTokenBucket({ store: createMemoryStore(clock), capacity: 1, refillPerMinute: 6, now: clock.now });
+        await bucket.take('a');
+        assert(!(await bucket.take('a')).allowed, 'Empty bucket blocks');
+        clock.t += 10000;
+        assert((await bucket.take('a')).allowed, 'Refilled after 10s');
+    });
+
+    await runTest('Buckets are per client', async () => {
+        const clock = fakeClock();
+        const bucket = createTokenBucket({ store: createMemoryStore(clock), capacity: 1, now: clock.now });
+        await bucket.take('a');
+        assert((await bucket.take('b')).allowed, 'Other client unaffected');
+    });
+
+    await runTest('Daily budget blocks until UTC midnight', async () => {
+        const clock = fakeClock();
+        const budget = createDailyBudget({ store: createMemoryStore(clock), limitTokens: 100, now: clock.now });
+        assert((await budget.check()).allowed, 'Fresh budget allowed');
+        await budget.record(120);
+        const status = await budget.check();
+        assert(!status.allowed, 'Spent budget blocks');
+        assert(status.retryAfter === 12 * 3600, `Resets at midnight (got ${status.retryAfter})`);
+        clock.t += 12 * 3600 * 1000;
+        assert((await budget.check()).allowed, 'New day, new budget');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runRateLimitTests();
+    });
+}
@@ -0,0 +1,91 @@
+import { normalizeQuestion, cacheKey, isCacheable, createResponseCache } from '../../api/_lib/response-cache.js';
+import { createMemoryStore } from '../../api/_lib/stores/memory-store.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTest(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+const question = (text, mode = 'concise') => ({ question: text, promptVersion: 'v1', mode });
+const answer = (message) => ({ message, actions: [], model: { provider: 'mock', model: 'mock-1' }, usage: { totalTokens: 1500 } });
+
+// Cache with a controllable clock
+function testCache(limits) {
+    const clock = { t: Date.UTC(2025, 0, 1) };
+    const cache = createResponseCache({
+        store: createMemoryStore({ now: () => clock.t }),
+        now: () => clock.t,
+        limits: { ttlSeconds: 3600, maxEntries: 2, maxAnswerLength: 100, ...limits }
+    });
+    return { cache, clock };
+}
+
+export async function runResponseCacheTests() {
+    await runTest('Normalizes case, punctuation and spacing', () => {
+        assert(normalizeQuestion('  What is Predictive Coding?! ') === 'what is predictive coding', 'Basic');
+        assert(normalizeQuestion('What’s Julian’s research?') === 'what\'s julian\'s research', 'Apostrophes kept inside words');
+        assert(normalizeQuestion('\'Quoted\' question...') === 'quoted question', 'Quotes dropped');
+        assert(cacheKey(question('Hi')) !== cacheKey(question('Hi', 'technical')), 'Mode is part of the key');
+        assert(cacheKey(question('Hi')) !== cacheKey({ ...question('Hi'), promptVersion: 'v2' }), 'Prompt version is part of the key');
+    });
+
+    await runTest('Only opening questions are cacheable', () => {
+        assert(isCacheable({ message: 'What is XAI?', history: [], summary: '' }), 'First question');
+        assert(!isCacheable({ message: 'Why?', history: [{ role: 'user', content: 'Hi' }] }), 'Follow-up depends on history');
+        assert(!isCacheable({ message: 'Why?', history: [], summary: 'Visitor is Ada.' }), 'Summary counts as history');
+        assert(!isCacheable({ message: '???' }), 'Nothing left after normalizing');
+    });
+
+    await runTest('Serves repeats until the TTL runs out', async () => {
+        const { cache, clock } = testCache();
+        assert(await cache.get(question('What is XAI?')) === undefined, 'Miss first');
+        await cache.set(question('What is XAI?'), answer('Explainable AI.'));
+
+        const hit = await cache.get(question('what is xai'));
+        assert(hit.message === 'Explainable AI.' && hit.usage.totalTokens === 1500, 'Hit keeps the original usage');
+        clock.t += 3601 * 1000;
+        assert(await cache.get(question('What is XAI?')) === undefined, 'Expired');
+    });
+
+    await runTest('Holds to its size limits and can be turned off', async () => {
+        const { cache } = testCache();
+        for (const text of ['One?', 'Two?', 'Three?']) {
+            await cache.set(question(text), answer(text));
+        }
+        assert(await cache.get(question('One?')) === undefined, 'Oldest dropped');
+        assert((await cache.get(question('Three?'))).message === 'Three?', 'Newest kept');
+        assert(!(await cache.set(question('Long?'), answer('x'.repeat(101)))), 'Long answers skipped');
+
+        const off = testCache({ ttlSeconds: 0 }).cache;
+        await off.set(question('One?'), answer('One.'));
+        assert(!off.enabled && await off.get(question('One?')) === undefined, 'TTL 0 disables');
+    });
+
+    await runTest('Store failures are misses, not errors', async () => {
+        const broken = { get: async () => { throw new Error('down'); }, set: async () => { throw new Error('down'); }, delete: async () => {} };
+        const cache = createResponseCache({ store: broken });
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            assert(await cache.get(question('Hi')) === undefined, 'Read failure');
+            assert(await cache.set(question('Hi'), answer('Hello.')) === false, 'Write failure');
+        } finally {
+            console.warn = warn;
+        }
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runResponseCacheTests();
+    });
+}
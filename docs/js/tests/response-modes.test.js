@@ -0,0 +1,58 @@
+import { RESPONSE_MODES, DEFAULT_MODE, isResponseMode, resolveMode } from '../shared/response-modes.js';
+import { validateChatRequest } from '../../api/_lib/conversation.js';
+import { compileSystemPrompt } from '../../api/_lib/prompt-compiler.js';
+import { julianInfo, conversationalGuidelines } from '../shared/julian-info.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+export function runResponseModeTests() {
+    runTest('Every mode is fully described', () => {
+        Object.entries(RESPONSE_MODES).forEach(([name, mode]) => {
+            assert(mode.label && mode.description, `${name} label and description`);
+            assert(Array.isArray(mode.modifiers), `${name} modifiers`);
+            assert(mode.temperature >= 0 && mode.temperature <= 1, `${name} temperature`);
+            assert(mode.maxOutputTokens > 0, `${name} token limit`);
+        });
+        assert(RESPONSE_MODES.concise.maxOutputTokens < RESPONSE_MODES[DEFAULT_MODE].maxOutputTokens, 'Concise is shorter');
+    });
+
+    runTest('Only allowlisted modes are accepted', () => {
+        assert(isResponseMode('eli5'), 'Known mode');
+        assert(!isResponseMode('toString') && !isResponseMode('pirate') && !isResponseMode(null), 'Unknown modes rejected');
+        assert(resolveMode('pirate').name === DEFAULT_MODE, 'Unknown names resolve to the default');
+
+        assert(validateChatRequest({ message: 'hi' }).mode === DEFAULT_MODE, 'Mode defaults');
+        assert(validateChatRequest({ message: 'hi', mode: 'technical' }).mode === 'technical', 'Mode passed through');
+        assert(validateChatRequest({ message: 'hi', mode: 'pirate' }).error, 'Invalid mode is an error');
+    });
+
+    runTest('Modes adjust the system prompt', () => {
+        const compile = (mode) => compileSystemPrompt({ info: julianInfo, guidelines: conversationalGuidelines, mode });
+        const base = compile();
+        assert(base.mode === DEFAULT_MODE && !base.text.includes('RESPONSE MODE'), 'Default mode adds nothing');
+
+        const concise = compile('concise');
+        assert(concise.mode === 'concise', 'Mode reported');
+        assert(concise.version === base.version, 'Prompt version unchanged');
+        assert(concise.text.includes('RESPONSE MODE: CONCISE'), 'Mode section added');
+        assert(concise.text.trim().endsWith(RESPONSE_MODES.concise.modifiers.at(-1)), 'Mode section comes last');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runResponseModeTests();
+    });
+}
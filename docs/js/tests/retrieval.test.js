@@ -0,0 +1,59 @@
+import { createBM25Index, tokenize } from '../../api/_lib/retrieval/bm25.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function runTest(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+const docs = [
+    { id: 'work', title: 'My Work', text: 'Explainable AI methods for fMRI classification models and predictive coding.' },
+    { id: 'existence', title: 'My Existence', text: 'Grew up in Missouri, Ukraine, Arizona and Texas. Produces music and rock climbs.' },
+    { id: 'connect', title: 'Connect', text: 'Email, GitHub, LinkedIn, Bluesky and ORCID links.' }
+];
+
+export function runRetrievalTests() {
+    runTest('Tokenizer drops stopwords and stems plurals', () => {
+        const terms = tokenize('What are the models about?');
+        assert(terms.indexOf('what') === -1, 'Stopword "what" removed');
+        assert(terms.indexOf('model') >= 0, 'Plural "models" stemmed to "model"');
+    });
+
+    runTest('Ranks the matching document first', () => {
+        const index = createBM25Index(docs);
+        const results = index.search('Where can I find his GitHub?');
+        assert(results.length > 0, 'Has results');
+        assert(results[0].doc.id === 'connect', 'GitHub question hits Connect');
+    });
+
+    runTest('Matches across inflections', () => {
+        const index = createBM25Index(docs);
+        const results = index.search('Does he climb?');
+        assert(results[0] && results[0].doc.id === 'existence', 'Climbing matches "climbs"');
+    });
+
+    runTest('Returns nothing for unrelated or empty queries', () => {
+        const index = createBM25Index(docs);
+        assert(index.search('zebra xylophone').length === 0, 'No match for unknown terms');
+        assert(index.search('what is the').length === 0, 'Stopword-only query is empty');
+    });
+
+    runTest('Respects the result limit', () => {
+        const index = createBM25Index(docs);
+        assert(index.search('music fMRI GitHub', { limit: 2 }).length === 2, 'Limit applied');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runRetrievalTests();
+    });
+}
@@ -0,0 +1,88 @@
+import { encodeShare, decodeShare, shareUrl, parseShareHash, stripMarkdown, wrapText, drawShareCard, SHARE_LIMITS } from '../share-card.js';
+import { julianInfo } from '../shared/julian-info.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTest(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+// One unit per character, like a monospace font
+const measure = (text) => text.length;
+
+export async function runShareCardTests() {
+    await runTest('Round-trips an exchange through a compressed payload', async () => {
+        const exchange = { question: 'What is predictive coding?', answer: 'The brain as a prediction machine. '.repeat(20) };
+        const payload = await encodeShare(exchange);
+        assert(/^[zj][A-Za-z0-9_-]+$/.test(payload), 'URL-safe payload');
+        assert(payload.length < exchange.answer.length, 'Repetitive text compresses');
+
+        const decoded = await decodeShare(payload);
+        assert(decoded.question === exchange.question && decoded.answer === exchange.answer, 'Exchange restored');
+    });
+
+    await runTest('Rejects damaged or oversized links', async () => {
+        const payload = await encodeShare({ question: 'Hi', answer: 'Hello.' });
+        assert(await decodeShare(payload.slice(0, -4)) === null, 'Truncated payload');
+        assert(await decodeShare(`x${payload.slice(1)}`) === null, 'Unknown format');
+        assert(await decodeShare('z!!!') === null, 'Not base64url');
+        assert(await decodeShare('z'.repeat(SHARE_LIMITS.maxPayloadLength + 1)) === null, 'Too long');
+
+        const tooLong = await encodeShare({ question: 'Hi', answer: 'a'.repeat(SHARE_LIMITS.maxAnswerLength + 1) });
+        assert(await decodeShare(tooLong) === null, 'Answer over the limit');
+    });
+
+    await runTest('Builds and parses permalinks', async () => {
+        const url = shareUrl('zabc', new URL('https://juliver.xyz/index.html?x=1#old'));
+        assert(url === 'https://juliver.xyz/index.html#share=zabc', 'Fragment link');
+        assert(parseShareHash('#share=zabc') === 'zabc', 'Payload parsed');
+        assert(parseShareHash('#my-work') === null && parseShareHash('') === null, 'Other hashes ignored');
+    });
+
+    await runTest('Strips markdown for the card', () => {
+        const text = stripMarkdown('## Title\n**Bold** and *italic* with `code` and [a link](https://x.y)\n- item');
+        assert(text === 'Title\nBold and italic with code and a link\n• item', `Got: ${text}`);
+    });
+
+    await runTest('Wraps and truncates card text', () => {
+        const lines = wrapText('the quick brown fox jumps over the lazy dog', 10, measure);
+        assert(lines.every(line => line.length <= 10), 'Lines fit');
+        assert(lines.join(' ') === 'the quick brown fox jumps over the lazy dog', 'No words lost');
+        assert(wrapText('abcdefghijklmnopqrstuvwxyz', 10, measure).length === 3, 'Long words split');
+
+        const truncated = wrapText('one two three four five six seven eight', 9, measure, 2);
+        assert(truncated.length === 2 && truncated[1].endsWith('…'), 'Ellipsis after the last line');
+        assert(wrapText('a\n\nb', 10, measure).length === 3, 'Paragraph breaks kept');
+    });
+
+    await runTest('Draws the exchange with the site from the knowledge base', () => {
+        // Canvas stand-in recording the text drawn on it
+        const drawn = [];
+        const ctx = {
+            measureText: (text) => ({ width: text.length * 10 }),
+            fillRect() {},
+            strokeRect() {},
+            fillText: (text) => drawn.push(text)
+        };
+        const canvas = { getContext: () => ctx };
+        drawShareCard(canvas, { question: 'What is **XAI**?', answer: 'Explainable AI.' });
+
+        assert(drawn.includes('What is XAI?') && drawn.includes('Explainable AI.'), 'Question and answer drawn');
+        assert(drawn.at(-1).startsWith(`${julianInfo.social.website}  ·`), 'Footer names the site');
+        assert(canvas.width > 0 && canvas.height > 0, 'Canvas sized to fit');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runShareCardTests();
+    });
+}
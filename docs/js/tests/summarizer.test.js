@@ -0,0 +1,98 @@
+import { splitHistory, clampToBudget, extractiveSummary, updateSummary, foldHistory, estimateTokens } from '../../api/_lib/summarizer.js';
+import { buildTurns, validateChatRequest } from '../../api/_lib/conversation.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTest(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+function history(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        role: i % 2 ? 'assistant' : 'user',
+        content: i === 0 ? 'Hi, my name is Ada.' : `Turn ${i}`
+    }));
+}
+
+// Provider stand-in that records its requests
+function fakeProvider(reply) {
+    const provider = {
+        requests: [],
+        async generate(request) {
+            provider.requests.push(request);
+            if (reply instanceof Error) throw reply;
+            return { text: reply, usage: { inputTokens: 10, outputTokens: 5, totalTokens: 15 } };
+        }
+    };
+    return provider;
+}
+
+export async function runSummarizerTests() {
+    await runTest('Only folds once history outgrows the window', async () => {
+        assert(splitHistory(history(16)).older.length === 0, 'Short history kept whole');
+
+        const { older, recent } = splitHistory(history(17));
+        assert(older.length === 7 && recent.length === 10, 'Oldest entries folded, last 10 kept');
+    });
+
+    await runTest('Keeps summaries within the token budget', async () => {
+        const long = 'The visitor asked about predictive coding. '.repeat(100);
+        assert(estimateTokens(clampToBudget(long, 50)) <= 50, 'Clamped to budget');
+        assert(clampToBudget('Short.', 50) === 'Short.', 'Short text untouched');
+    });
+
+    await runTest('Summarizes folded turns with the provider', async () => {
+        const provider = fakeProvider('Visitor is Ada, asked about turns.');
+        const folded = await foldHistory(provider, { summary: '', history: history(18) });
+
+        assert(folded.summarizedTurns === 8, 'Eight entries folded');
+        assert(folded.history.length === 10, 'Window kept verbatim');
+        assert(folded.summary === 'Visitor is Ada, asked about turns.', 'Provider summary used');
+        assert(provider.requests[0].messages[0].content.includes('my name is Ada'), 'Folded turns sent for summarizing');
+    });
+
+    await runTest('Leaves a withheld summary unfolded', async () => {
+        const provider = fakeProvider('Rebuilt from nothing.');
+        const folded = await foldHistory(provider, { summary: '', history: history(18), fold: false });
+
+        assert(provider.requests.length === 0, 'No summarizer call');
+        assert(folded.summarizedTurns === 0 && folded.summary === '', 'No new summary to replace the stored one');
+        assert(folded.history.length === 18, 'History kept verbatim');
+    });
+
+    await runTest('Falls back to an extractive summary when the provider fails', async () => {
+        const result = await updateSummary(fakeProvider(new Error('overloaded')), {
+            summary: 'Earlier notes.',
+            turns: history(4)
+        });
+        assert(result.text.includes('my name is Ada'), 'Visitor words kept');
+        assert(result.text.startsWith('Earlier notes.'), 'Existing summary kept');
+        assert(extractiveSummary('', history(400), 40).length <= 160, 'Fallback respects the budget');
+    });
+
+    await runTest('Sends the summary as a leading user turn', async () => {
+        const turns = buildTurns([{ role: 'assistant', content: 'Hello again.' }], 'What was my name?', { summary: 'Visitor is Ada.' });
+        assert(turns[0].role === 'user' && turns[0].content.includes('Visitor is Ada.'), 'Summary leads');
+        assert(turns[1].role === 'assistant', 'Roles still alternate');
+    });
+
+    await runTest('Validates the summary field', async () => {
+        assert(validateChatRequest({ message: 'hi', summary: 42 }).error, 'Non-string rejected');
+        assert(validateChatRequest({ message: 'hi', summary: 'x'.repeat(5000) }).error, 'Oversized rejected');
+        assert(validateChatRequest({ message: 'hi', summary: ' notes ' }).summary === 'notes', 'Trimmed');
+    });
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runSummarizerTests();
+    });
+}
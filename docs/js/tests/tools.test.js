@@ -0,0 +1,163 @@
+// The tool registry lists panel sections read from index.html, and the chat handler reads its settings
+// from process.env, so these tests import both lazily and only run under Node.
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTest(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        console.error(`❌ ${name}:`, e.message);
+    }
+}
+
+// Each exchange comes from its own address so the per-visitor rate limit never trips
+let visitor = 0;
+
+// Just enough of a Vercel request and response for the handler
+function fakeExchange(body) {
+    const req = { method: 'POST', headers: { 'x-forwarded-for': `10.0.2.${++visitor}` }, body };
+    const res = {
+        statusCode: 0,
+        headers: {},
+        body: '',
+        headersSent: false,
+        status(code) { this.statusCode = code; return this; },
+        setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+        flushHeaders() { this.headersSent = true; },
+        write(chunk) { this.headersSent = true; this.body += chunk; },
+        json(data) { this.headersSent = true; this.body = JSON.stringify(data); return this; },
+        end() { this.writableFinished = true; },
+        on() {}
+    };
+    return { req, res };
+}
+
+// Run `fn` with some environment variables set, restoring them afterwards
+async function withEnv(vars, fn) {
+    const saved = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]));
+    Object.assign(process.env, vars);
+    try {
+        return await fn();
+    } finally {
+        Object.entries(saved).forEach(([key, value]) => {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        });
+    }
+}
+
+// Provider that asks to pulse the brain whenever it is offered tools, recording every request
+function toolLoop(requests) {
+    const respond = (request) => {
+        requests.push({ tools: request.tools?.map(tool => tool.name) || [], messages: request.messages.length });
+        return request.tools?.length
+            ? { text: '', toolCalls: [{ id: `call_${requests.length}`, name: 'pulse_brain', args: {} }] }
+            : { text: 'Fine, I will answer.', toolCalls: [] };
+    };
+    return () => ({
+        name: 'tool-loop',
+        model: 'loop-1',
+        isConfigured: () => true,
+        async generate(request) {
+            return { ...respond(request), finishReason: 'STOP', usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 }, raw: null };
+        },
+        async stream(request) {
+            const { text, toolCalls } = respond(request);
+            return (async function* () {
+                for (const call of toolCalls) yield { type: 'tool_call', call };
+                if (text) yield { type: 'text', text };
+                yield { type: 'finish', finishReason: 'STOP' };
+                yield { type: 'usage', usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 } };
+            })();
+        }
+    });
+}
+
+// A history entry keeps these questions out of the response cache
+const earlier = [{ role: 'user', content: 'Hello' }, { role: 'assistant', content: 'Greetings, visitor.' }];
+
+export async function runToolTests() {
+    if (typeof process === 'undefined' || !process.versions?.node) {
+        console.log('ℹ️ Tool tests run under Node only');
+        return;
+    }
+    const { TOOLS, toolDeclarations, runToolCalls } = await import('../../api/_lib/tools.js');
+    const { PANEL_SECTIONS } = await import('../../api/_lib/retrieval/corpus.js');
+    const { default: handler } = await import('../../api/chat.js');
+    const { registerProvider } = await import('../../api/_lib/providers/index.js');
+
+    await runTest('Declares every tool with a JSON Schema', () => {
+        const declarations = toolDeclarations();
+        assert(declarations.map(tool => tool.name).join() === Object.keys(TOOLS).join(), 'All tools declared');
+        assert(declarations.every(tool => tool.description && tool.parameters.type === 'object'), 'Description and object schema');
+        const section = declarations.find(tool => tool.name === 'show_section').parameters.properties.section;
+        assert(section.enum.join() === Object.keys(PANEL_SECTIONS).join(), 'Sections limited to the panel');
+    });
+
+    await runTest('Runs tool calls into result turns and page actions', () => {
+        const calls = [
+            { id: 'a', name: 'show_section', args: { section: 'connect' } },
+            { id: 'b', name: 'get_social_links', args: { platform: 'github' } }
+        ];
+        const { messages, actions } = runToolCalls(calls, { text: 'One moment.' });
+
+        assert(messages[0].role === 'assistant' && messages[0].content === 'One moment.' && messages[0].toolCalls === calls, 'Assistant turn carries the calls');
+        assert(messages.slice(1).map(msg => `${msg.role}:${msg.toolCallId}:${msg.name}`).join() === 'tool:a:show_section,tool:b:get_social_links', 'One result per call');
+        assert(messages[1].content.shown === PANEL_SECTIONS.connect, 'Section result');
+        assert(messages[2].content.links.length === 1 && messages[2].content.links[0].url.startsWith('https://github.com/'), 'Link lookup');
+        assert(actions.length === 1 && actions[0].type === 'show_section' && actions[0].section === 'connect', 'Only the page action');
+    });
+
+    await runTest('Rejects unknown tools and bad section arguments without an action', () => {
+        const { messages, actions } = runToolCalls([
+            { id: 'a', name: 'run_javascript', args: { code: 'alert(1)' } },
+            { id: 'b', name: 'show_section', args: { section: 'admin' } },
+            { id: 'c', name: 'show_section', args: {} },
+            { id: 'd', name: 'constructor' }
+        ]);
+        assert(messages[1].content.error === 'Unknown tool "run_javascript"', 'Unknown tool reported to the model');
+        assert(messages[2].content.error === 'Unknown section "admin"', 'Unknown section reported to the model');
+        assert(messages[3].content.error === 'Unknown section "undefined"', 'Missing section rejected');
+        assert(messages[4].content.error === 'Unknown tool "constructor"', 'Inherited names are not tools');
+        assert(actions.length === 0, 'No page actions');
+    });
+
+    await runTest('Hands tool results back to the model and forwards the page action', async () => {
+        const { req, res } = fakeExchange({ message: 'Make the brain pulse', conversationHistory: earlier });
+        await withEnv({ LLM_PROVIDER: 'mock', LLM_CHAIN: '' }, () => handler(req, res));
+
+        const reply = JSON.parse(res.body);
+        assert(res.statusCode === 200, `OK status (${res.statusCode})`);
+        assert(reply.message.startsWith('Done. pulse_brain: {"pulsing":true}'), `Answer built from the result: ${reply.message}`);
+        assert(reply.actions.length === 1 && reply.actions[0].type === 'pulse_brain', 'Action forwarded');
+    });
+
+    for (const stream of [false, true]) {
+        await runTest(`Withholds the tools after three rounds${stream ? ' when streaming' : ''}`, async () => {
+            const requests = [];
+            registerProvider('tool-loop', toolLoop(requests));
+            const { req, res } = fakeExchange({ message: 'Pulse forever', conversationHistory: earlier, stream });
+            await withEnv({ LLM_PROVIDER: 'tool-loop', LLM_CHAIN: '' }, () => handler(req, res));
+
+            assert(requests.length === 4, `Three tool rounds and a final answer (${requests.length} calls)`);
+            assert(requests.slice(0, 3).every(request => request.tools.length), 'Tools offered for three rounds');
+            assert(!requests[3].tools.length, 'Tools withheld from the last call');
+            assert(requests.every((request, i) => !i || request.messages === requests[i - 1].messages + 2), 'Each round appends the calls and results');
+
+            const reply = stream ? JSON.parse(res.body.trim().split('\n').at(-1).slice(6)) : JSON.parse(res.body);
+            assert(res.body.includes('Fine, I will answer.'), 'Final answer sent');
+            assert(reply.actions.length === 3 && reply.actions.every(action => action.type === 'pulse_brain'), 'Every round\'s action forwarded');
+        });
+    }
+}
+
+// Auto-run in browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        runToolTests();
+    });
+}